@@ -5,9 +5,73 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const dbPath = path.join(__dirname, 'events.db');
+const migrationsPath = path.join(__dirname, 'migrations.sql');
 
 let db;
 
+const createClient = () => ({
+  query: (sql, params = []) => {
+    try {
+      const stmt = db.prepare(sql);
+      stmt.bind(params);
+      const result = [];
+      while (stmt.step()) {
+        result.push(stmt.getAsObject());
+      }
+      stmt.free();
+      return result;
+    } catch (error) {
+      console.error('Database query error:', error);
+      throw error;
+    }
+  },
+  
+  exec: (sql, params = []) => {
+    try {
+      const stmt = db.prepare(sql);
+      stmt.bind(params);
+      stmt.run();
+      stmt.free();
+    } catch (error) {
+      console.error('Database exec error:', error);
+      throw error;
+    }
+  },
+
+  // Make a JavaScript function callable from SQL
+  createFunction: (name, fn) => {
+    db.create_function(name, fn);
+  },
+
+  close: async () => {
+    if (db) {
+      const data = db.export();
+      await fs.writeFile(dbPath, Buffer.from(data));
+      db.close();
+    }
+  }
+});
+
+// Apply schema changes made after the initial schema. Every statement in
+// migrations.sql must be safe to re-run on each start: tables and indexes use
+// IF NOT EXISTS, and columns that were already added are skipped.
+const applyMigrations = async () => {
+  const migrations = await fs.readFile(migrationsPath, 'utf8');
+  const statements = migrations.split(';').filter(s => s.trim());
+
+  for (const statement of statements) {
+    try {
+      db.exec(statement);
+    } catch (err) {
+      if (/duplicate column name/i.test(err.message)) {
+        continue;
+      }
+      console.error('Error applying migration:', statement.trim().split('\n')[0]);
+      throw err;
+    }
+  }
+};
+
 const initDb = async () => {
   console.log('Initializing SQL.js...');
   const SQL = await initSqlJs({
@@ -16,6 +80,7 @@ const initDb = async () => {
   console.log('SQL.js initialized successfully');
   
   // Try to read existing database
+  let hasTables = false;
   try {
     const data = await fs.readFile(dbPath);
     db = new SQL.Database(data);
@@ -23,51 +88,18 @@ const initDb = async () => {
     
     // Verify if tables exist
     const tables = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
-    if (tables[0]?.values?.length > 0) {
-      console.log('Database already contains tables, skipping schema execution');
-      return {
-        query: (sql, params = []) => {
-          try {
-            const stmt = db.prepare(sql);
-            stmt.bind(params);
-            const result = [];
-            while (stmt.step()) {
-              result.push(stmt.getAsObject());
-            }
-            stmt.free();
-            return result;
-          } catch (error) {
-            console.error('Database query error:', error);
-            throw error;
-          }
-        },
-        
-        exec: (sql, params = []) => {
-          try {
-            const stmt = db.prepare(sql);
-            stmt.bind(params);
-            stmt.run();
-            stmt.free();
-          } catch (error) {
-            console.error('Database exec error:', error);
-            throw error;
-          }
-        },
-
-        close: async () => {
-          if (db) {
-            const data = db.export();
-            await fs.writeFile(dbPath, Buffer.from(data));
-            db.close();
-          }
-        }
-      };
-    }
+    hasTables = tables[0]?.values?.length > 0;
   } catch (err) {
     console.log('No existing database found, creating new one');
     db = new SQL.Database();
   }
 
+  if (hasTables) {
+    console.log('Database already contains tables, skipping schema execution');
+    await applyMigrations();
+    return createClient();
+  }
+
   // Read and execute schema.sql with error handling
     try {
       const schemaPath = path.join(__dirname, 'schema.sql');
@@ -119,6 +151,9 @@ const initDb = async () => {
       const tables = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
       console.log('Final tables:', tables[0]?.values || []);
       console.log('Schema execution complete');
+
+      await applyMigrations();
+      console.log('Migrations applied');
     } catch (err) {
       console.error('Error executing schema:', err);
       throw err;
@@ -146,43 +181,7 @@ const initDb = async () => {
       throw err;
     }
 
-    return {
-    query: (sql, params = []) => {
-      try {
-        const stmt = db.prepare(sql);
-        stmt.bind(params);
-        const result = [];
-        while (stmt.step()) {
-          result.push(stmt.getAsObject());
-        }
-        stmt.free();
-        return result;
-      } catch (error) {
-        console.error('Database query error:', error);
-        throw error;
-      }
-    },
-    
-    exec: (sql, params = []) => {
-      try {
-        const stmt = db.prepare(sql);
-        stmt.bind(params);
-        stmt.run();
-        stmt.free();
-      } catch (error) {
-        console.error('Database exec error:', error);
-        throw error;
-      }
-    },
-
-    close: async () => {
-      if (db) {
-        const data = db.export();
-        await fs.writeFile(dbPath, Buffer.from(data));
-        db.close();
-      }
-    }
-  };
+    return createClient();
 };
 
 const dbInstance = await initDb();
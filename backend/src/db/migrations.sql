@@ -0,0 +1,345 @@
+-- Schema changes made after schema.sql. Applied in order on every start, so
+-- each statement must be idempotent.
+
+-- Per-session sign-up with its own waitlist
+CREATE TABLE IF NOT EXISTS session_registrations (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    registration_time TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_registrations_session ON session_registrations(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_registrations_user ON session_registrations(user_id);
+
+-- Record of waitlisted registrations promoted to confirmed, kept so the
+-- attendee can be told
+CREATE TABLE IF NOT EXISTS waitlist_promotions (
+    id TEXT PRIMARY KEY,
+    registration_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    promoted_at TEXT NOT NULL,
+    seen_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_promotions_user ON waitlist_promotions(user_id);
+
+-- Signed tickets: the version in a ticket must match the registration's
+-- current one, and revoked versions are listed for offline scanners
+ALTER TABLE registrations ADD COLUMN ticket_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS ticket_revocations (
+    id TEXT PRIMARY KEY,
+    registration_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    ticket_version INTEGER NOT NULL,
+    reason TEXT,
+    revoked_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_revocations_event ON ticket_revocations(event_id);
+
+-- Attendees can edit their feedback for a while after submitting it
+ALTER TABLE event_feedback ADD COLUMN updated_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_event_feedback_event_user ON event_feedback(event_id, user_id);
+
+-- Moderation of vendor booth reviews
+ALTER TABLE vendor_ratings ADD COLUMN status TEXT NOT NULL DEFAULT 'visible';
+ALTER TABLE vendor_ratings ADD COLUMN moderated_by TEXT;
+ALTER TABLE vendor_ratings ADD COLUMN moderated_at TEXT;
+ALTER TABLE vendor_ratings ADD COLUMN moderation_reason TEXT;
+ALTER TABLE vendor_ratings ADD COLUMN updated_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_ratings_booth ON vendor_ratings(booth_id);
+
+-- Per-user read receipts for announcements
+CREATE TABLE IF NOT EXISTS announcement_reads (
+    announcement_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    read_at TEXT NOT NULL,
+    PRIMARY KEY (announcement_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcements_event ON announcements(event_id);
+
+-- Organizer announcements: scheduled publication, edits and soft deletes.
+-- Announcements are only visible once published_at is set.
+ALTER TABLE announcements ADD COLUMN publish_at TEXT;
+ALTER TABLE announcements ADD COLUMN published_at TEXT;
+ALTER TABLE announcements ADD COLUMN updated_at TEXT;
+ALTER TABLE announcements ADD COLUMN deleted_at TEXT;
+
+UPDATE announcements SET published_at = COALESCE(created_at, CURRENT_TIMESTAMP)
+WHERE published_at IS NULL AND publish_at IS NULL;
+
+-- Previous versions of edited or deleted announcements
+CREATE TABLE IF NOT EXISTS announcement_revisions (
+    id TEXT PRIMARY KEY,
+    announcement_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    priority TEXT,
+    publish_at TEXT,
+    changed_by TEXT,
+    changed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcement_revisions_announcement ON announcement_revisions(announcement_id);
+
+-- Outgoing email queue, sent by a background worker with retries
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id TEXT PRIMARY KEY,
+    to_email TEXT NOT NULL,
+    to_name TEXT,
+    template TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id TEXT,
+    next_attempt_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    sent_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, next_attempt_at);
+
+-- Event reminder emails are sent once per registration
+ALTER TABLE registrations ADD COLUMN reminder_sent_at TEXT;
+
+-- Paid registrations hold a seat as pending_payment until the provider
+-- confirms payment or the hold expires
+ALTER TABLE registrations ADD COLUMN amount_due REAL;
+ALTER TABLE registrations ADD COLUMN checkout_url TEXT;
+ALTER TABLE registrations ADD COLUMN hold_expires_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_registrations_payment ON registrations(payment_id);
+CREATE INDEX IF NOT EXISTS idx_registrations_event_user ON registrations(event_id, user_id);
+
+-- Ticket types (student, general, VIP, early-bird, ...) with their own
+-- price, quota and sale window. registrations.ticket_type holds the type id.
+CREATE TABLE IF NOT EXISTS ticket_types (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    price REAL NOT NULL DEFAULT 0,
+    quota INTEGER,
+    sales_start TEXT,
+    sales_end TEXT,
+    visibility TEXT NOT NULL DEFAULT 'public',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_types_event ON ticket_types(event_id);
+
+-- Refund policy: a full refund until refund_full_days before the event, then
+-- refund_partial_percent of the amount paid until it starts, nothing after.
+ALTER TABLE events ADD COLUMN refund_full_days INTEGER NOT NULL DEFAULT 7;
+ALTER TABLE events ADD COLUMN refund_partial_percent INTEGER NOT NULL DEFAULT 50;
+
+-- Cancellations keep the registration row. Refunds get their own ledger so
+-- the payment survives the row being reused by a later re-registration.
+ALTER TABLE registrations ADD COLUMN cancelled_at TEXT;
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id TEXT PRIMARY KEY,
+    registration_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    payment_id TEXT NOT NULL,
+    amount_paid REAL NOT NULL,
+    amount REAL NOT NULL,
+    policy TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    provider_refund_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    FOREIGN KEY (registration_id) REFERENCES registrations(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_event ON refunds(event_id);
+
+-- Organizer-managed promo codes. Codes are stored upper case and are unique
+-- per event. A code with rows in promo_code_ticket_types only applies to
+-- those ticket types.
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    code TEXT NOT NULL,
+    discount_type TEXT NOT NULL,
+    discount_value REAL NOT NULL,
+    max_uses INTEGER,
+    expires_at TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_event_code ON promo_codes(event_id, code);
+
+CREATE TABLE IF NOT EXISTS promo_code_ticket_types (
+    promo_code_id TEXT NOT NULL,
+    ticket_type_id TEXT NOT NULL,
+    PRIMARY KEY (promo_code_id, ticket_type_id)
+);
+
+ALTER TABLE registrations ADD COLUMN promo_code_id TEXT;
+ALTER TABLE registrations ADD COLUMN discount_amount REAL;
+CREATE INDEX IF NOT EXISTS idx_registrations_promo_code ON registrations(promo_code_id);
+
+-- Group registrations: one person registers several attendees under a
+-- shared order that is paid for with a single checkout.
+CREATE TABLE IF NOT EXISTS registration_orders (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    purchaser_id TEXT NOT NULL,
+    attendee_count INTEGER NOT NULL,
+    total_amount REAL NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    payment_id TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (purchaser_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_orders_payment ON registration_orders(payment_id);
+
+ALTER TABLE registrations ADD COLUMN order_id TEXT;
+ALTER TABLE registrations ADD COLUMN registered_by TEXT;
+
+-- Ticket transfers: the holder of a confirmed registration offers it to
+-- someone by email, and it changes hands when they accept.
+ALTER TABLE events ADD COLUMN allow_transfers INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+    id TEXT PRIMARY KEY,
+    registration_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    from_user_id TEXT NOT NULL,
+    to_email TEXT NOT NULL,
+    to_user_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    responded_at TEXT,
+    FOREIGN KEY (registration_id) REFERENCES registrations(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_registration ON ticket_transfers(registration_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_to_email ON ticket_transfers(to_email);
+
+-- Custom registration questions per event. Choice options are a JSON array.
+-- Questions dropped from a form are archived so earlier answers keep their label.
+CREATE TABLE IF NOT EXISTS registration_questions (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    label TEXT NOT NULL,
+    help_text TEXT,
+    type TEXT NOT NULL,
+    required INTEGER NOT NULL DEFAULT 0,
+    options TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    archived_at TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_questions_event ON registration_questions(event_id);
+
+-- Answers are stored JSON encoded so checkbox answers stay booleans
+CREATE TABLE IF NOT EXISTS registration_answers (
+    registration_id TEXT NOT NULL,
+    question_id TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    answered_at TEXT NOT NULL,
+    PRIMARY KEY (registration_id, question_id)
+);
+
+-- Invitations let admin-created users choose their own password. Only a hash
+-- of the emailed token is stored.
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    accepted_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_user ON user_invitations(user_id);
+
+-- Secret calendar feed links, one per user. Calendar apps cannot send an
+-- Authorization header so the token in the URL is the credential.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    last_fetched_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Recurring event series. Each occurrence is an ordinary event created from
+-- the series template (JSON event details) on a date from the recurrence
+-- rule (JSON).
+CREATE TABLE IF NOT EXISTS event_series (
+    id TEXT PRIMARY KEY,
+    organizer_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    template TEXT NOT NULL,
+    recurrence TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (organizer_id) REFERENCES users(id)
+);
+
+ALTER TABLE events ADD COLUMN series_id TEXT REFERENCES event_series(id);
+
+CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id, date);
+
+-- Audit trail of event status changes. changed_by is NULL for automatic ones.
+CREATE TABLE IF NOT EXISTS event_status_changes (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    changed_by TEXT,
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_status_changes_event ON event_status_changes(event_id);
+CREATE INDEX IF NOT EXISTS idx_events_status ON events(status, date);
+
+-- What a status change did, e.g. how many registrations a cancellation
+-- cancelled and refunded (JSON)
+ALTER TABLE event_status_changes ADD COLUMN details TEXT;
+ALTER TABLE vendor_booths ADD COLUMN cancelled_at TEXT;
+
+-- Full-text index of events: their title, description and location, the
+-- organizer's name and the speakers on their agenda. Triggers cannot be
+-- written in this file, so services/search.js keeps it in sync.
+CREATE VIRTUAL TABLE IF NOT EXISTS event_search USING fts4(
+    event_id,
+    title,
+    description,
+    location,
+    organizer,
+    speakers,
+    notindexed=event_id,
+    tokenize=unicode61 "remove_diacritics=1"
+);
+
+-- The index's vocabulary, used to correct misspelled search terms
+CREATE VIRTUAL TABLE IF NOT EXISTS event_search_terms USING fts4aux(event_search);
@@ -10,7 +10,15 @@ import eventRoutes from './routes/events.js';
 import userRoutes from './routes/users.js';
 import vendorRoutes from './routes/vendors.js';
 import adminRoutes from './routes/admin.js';
+import paymentRoutes from './routes/payments.js';
+import seriesRoutes from './routes/series.js';
 import { authenticateToken } from './middleware/auth.js';
+import { publishDueAnnouncements } from './services/announcements.js';
+import { processEmailQueue, queueEventReminders, registerEmailChannel } from './services/email/index.js';
+import { expireUnpaidHolds, getPaymentProvider } from './services/payments/index.js';
+import { completePastEvents } from './services/eventLifecycle.js';
+import { rebuildSearchIndex } from './services/search.js';
+import { getTicketKeys } from './services/tickets.js';
 
 // Initialize Redis client with error handling
 const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
@@ -55,11 +63,15 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  // Pagination details of list endpoints
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link'],
   credentials: true
 }));
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf, encoding) => {
+    // Keep the raw body for webhook signature checks
+    req.rawBody = buf;
     try {
       JSON.parse(buf.toString(encoding || 'utf8'));
     } catch (e) {
@@ -110,6 +122,8 @@ app.use('/api/events', eventRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/vendors', vendorRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/series', seriesRoutes);
 
 // Error handling middleware with better error responses
 app.use((err, req, res, next) => {
@@ -143,11 +157,75 @@ app.use((err, req, res, next) => {
   });
 });
 
+// The search index is kept in sync as events change. Rebuilding it on start
+// also picks up events from before it existed.
+const indexedEvents = await rebuildSearchIndex();
+console.log(`Search index built for ${indexedEvents} events`);
+
+// Registrations fail to issue tickets until ticket keys are configured
+try {
+  getTicketKeys();
+} catch (error) {
+  console.error(`Tickets cannot be issued: ${error.message}`);
+}
+
+// Paid registrations and payment webhooks fail until a provider is configured
+try {
+  getPaymentProvider();
+} catch (error) {
+  console.error(`Payments cannot be taken: ${error.message}`);
+}
+
 const PORT = process.env.PORT || 3000;
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Publish scheduled announcements
+const ANNOUNCEMENT_POLL_INTERVAL = 60 * 1000; // 1 minute
+setInterval(() => {
+  publishDueAnnouncements().catch(error => {
+    console.error('Error publishing scheduled announcements:', error);
+  });
+}, ANNOUNCEMENT_POLL_INTERVAL).unref();
+
+// Deliver notifications by email and work through the outbox
+registerEmailChannel();
+
+const EMAIL_POLL_INTERVAL = 30 * 1000; // 30 seconds
+setInterval(() => {
+  processEmailQueue().catch(error => {
+    console.error('Error processing email queue:', error);
+  });
+}, EMAIL_POLL_INTERVAL).unref();
+
+const REMINDER_POLL_INTERVAL = 15 * 60 * 1000; // 15 minutes
+setInterval(() => {
+  queueEventReminders().catch(error => {
+    console.error('Error queueing event reminders:', error);
+  });
+}, REMINDER_POLL_INTERVAL).unref();
+
+// Release seats whose payment hold has lapsed
+const HOLD_POLL_INTERVAL = 60 * 1000; // 1 minute
+setInterval(() => {
+  expireUnpaidHolds().catch(error => {
+    console.error('Error expiring unpaid holds:', error);
+  });
+}, HOLD_POLL_INTERVAL).unref();
+
+// Mark events as completed once their date has passed
+const COMPLETION_POLL_INTERVAL = 60 * 60 * 1000; // 1 hour
+setInterval(() => {
+  completePastEvents().then(completed => {
+    if (completed > 0) {
+      return redis.del('events:*');
+    }
+  }).catch(error => {
+    console.error('Error completing past events:', error);
+  });
+}, COMPLETION_POLL_INTERVAL).unref();
+
 // Handle graceful shutdown
 // Handle shutdown signals
 ['SIGTERM', 'SIGINT'].forEach(signal => {
@@ -2,9 +2,10 @@ import express from 'express';
 import { z } from 'zod';
 import db from '../db/index.js';
 import { authenticateToken, authorize } from '../middleware/auth.js';
+import { randomUUID } from 'crypto';
 import { redis } from '../index.js';
-import pkg from 'sanitize-html';
-const { sanitizeHtml } = pkg;
+import { dispatchAnnouncement } from '../services/announcements.js';
+import sanitizeHtml from 'sanitize-html';
 
 const router = express.Router();
 
@@ -18,6 +19,11 @@ const announcementSchema = z.object({
     eventId: z.string().uuid()
 });
 
+const ratingModerationSchema = z.object({
+    status: z.enum(['visible', 'hidden']),
+    reason: z.string().max(500).optional().transform(val => val && sanitizeHtml(val))
+});
+
 // Get system-wide analytics
 router.get('/analytics', authenticateToken, authorize(['admin']), async (req, res) => {
     try {
@@ -31,6 +37,8 @@ router.get('/analytics', authenticateToken, authorize(['admin']), async (req, re
                 COUNT(*) as total_events,
                 COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_events,
                 COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_events,
+                COUNT(CASE WHEN status = 'pending_review' THEN 1 END) as pending_review_events,
+                COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft_events,
                 SUM(capacity) as total_capacity,
                 AVG(
                     (SELECT COUNT(*) FROM registrations r 
@@ -48,12 +56,34 @@ router.get('/analytics', authenticateToken, authorize(['admin']), async (req, re
                 COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as confirmed_registrations,
                 COUNT(CASE WHEN status = 'waitlist' THEN 1 END) as waitlisted_registrations,
                 COUNT(CASE WHEN status = 'attended' THEN 1 END) as actual_attendees,
+                COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_registrations,
                 AVG(CASE WHEN payment_status = 'completed' THEN amount_paid END) as avg_ticket_price
              FROM registrations
-             WHERE created_at BETWEEN ? AND ?`,
+             WHERE registration_time BETWEEN ? AND ?`,
             dateParams
         );
 
+        // Ticket revenue. Payments of since cancelled registrations live on in
+        // the refunds ledger, so they still count towards gross revenue.
+        const revenueStats = await db.query(
+            `SELECT 
+                COALESCE((SELECT SUM(r.amount_paid) FROM registrations r
+                          WHERE r.amount_paid IS NOT NULL
+                            AND r.payment_status IN ('completed', 'refunded', 'partially_refunded')
+                            AND NOT EXISTS (SELECT 1 FROM refunds f WHERE f.registration_id = r.id AND f.payment_id = r.payment_id)
+                            AND r.registration_time BETWEEN ? AND ?), 0)
+                  + COALESCE((SELECT SUM(amount_paid) FROM refunds WHERE created_at BETWEEN ? AND ?), 0)
+                  as gross_revenue,
+                COALESCE((SELECT SUM(amount) FROM refunds
+                          WHERE status = 'succeeded' AND created_at BETWEEN ? AND ?), 0) as refunded_amount,
+                COALESCE((SELECT SUM(amount) FROM refunds
+                          WHERE status IN ('pending', 'failed') AND created_at BETWEEN ? AND ?), 0) as pending_refunds,
+                (SELECT COUNT(*) FROM refunds
+                 WHERE amount > 0 AND created_at BETWEEN ? AND ?) as refund_count`,
+            [...dateParams, ...dateParams, ...dateParams, ...dateParams, ...dateParams]
+        );
+        revenueStats[0].net_revenue = revenueStats[0].gross_revenue - revenueStats[0].refunded_amount;
+
         // Vendor statistics
         const vendorStats = await db.query(
             `SELECT 
@@ -83,6 +113,7 @@ router.get('/analytics', authenticateToken, authorize(['admin']), async (req, re
         res.json({
             eventStats: eventStats[0],
             registrationStats: registrationStats[0],
+            revenueStats: revenueStats[0],
             vendorStats: vendorStats[0],
             userGrowth
         });
@@ -92,6 +123,27 @@ router.get('/analytics', authenticateToken, authorize(['admin']), async (req, re
     }
 });
 
+// Events organizers have submitted for review, oldest submission first.
+// Approve or send back with PUT /api/events/:id/status.
+router.get('/events/pending-review', authenticateToken, authorize(['admin']), async (req, res) => {
+    try {
+        const events = await db.query(
+            `SELECT e.*, u.name as organizer_name, u.email as organizer_email,
+                    (SELECT MAX(c.created_at) FROM event_status_changes c
+                     WHERE c.event_id = e.id AND c.to_status = 'pending_review') as submitted_at
+             FROM events e
+             JOIN users u ON e.organizer_id = u.id
+             WHERE e.status = 'pending_review'
+             ORDER BY COALESCE(submitted_at, e.created_at) ASC`
+        );
+
+        res.json(events);
+    } catch (error) {
+        console.error('Error fetching events pending review:', error);
+        res.status(500).json({ error: 'Failed to fetch events pending review' });
+    }
+});
+
 // Manage vendor applications
 router.get('/vendor-applications', authenticateToken, authorize(['admin']), async (req, res) => {
     try {
@@ -173,8 +225,8 @@ router.post('/announcements', authenticateToken, authorize(['admin']), async (re
         const announcementId = randomUUID();
 
         await db.exec(
-            `INSERT INTO announcements (id, event_id, title, content, priority, created_by)
-             VALUES (?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO announcements (id, event_id, title, content, priority, created_by, created_at, published_at)
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
             [
                 announcementId,
                 validatedData.eventId,
@@ -185,13 +237,21 @@ router.post('/announcements', authenticateToken, authorize(['admin']), async (re
             ]
         );
 
-        // TODO: Send notifications to event attendees
-
         await db.exec('COMMIT');
         await redis.del(`event:${validatedData.eventId}:announcements`);
 
-        res.status(201).json({ id: announcementId });
+        // Notify attendees once the announcement is safely stored
+        const [announcement] = await db.query(
+            'SELECT * FROM announcements WHERE id = ?',
+            [announcementId]
+        );
+        const delivery = await dispatchAnnouncement(announcement);
+
+        res.status(201).json({ id: announcementId, delivery });
     } catch (error) {
+        if (error instanceof z.ZodError) {
+            return res.status(400).json({ error: 'Validation error', details: error.errors });
+        }
         await db.exec('ROLLBACK');
         console.error('Error creating announcement:', error);
         res.status(500).json({ error: 'Failed to create announcement' });
@@ -237,6 +297,72 @@ router.get('/events/:eventId/feedback', authenticateToken, authorize(['admin']),
     }
 });
 
+// List vendor reviews for moderation
+router.get('/vendor-ratings', authenticateToken, authorize(['admin']), async (req, res) => {
+    try {
+        const { status, boothId } = req.query;
+        let sql = `
+            SELECT r.*, u.name as user_name, vb.booth_number, e.title as event_title
+            FROM vendor_ratings r
+            LEFT JOIN users u ON r.user_id = u.id
+            LEFT JOIN vendor_booths vb ON r.booth_id = vb.id
+            LEFT JOIN events e ON vb.event_id = e.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            sql += ' AND r.status = ?';
+            params.push(status);
+        }
+
+        if (boothId) {
+            sql += ' AND r.booth_id = ?';
+            params.push(boothId);
+        }
+
+        sql += ' ORDER BY r.created_at DESC';
+
+        const ratings = await db.query(sql, params);
+        res.json(ratings);
+    } catch (error) {
+        console.error('Error fetching vendor ratings:', error);
+        res.status(500).json({ error: 'Failed to fetch vendor ratings' });
+    }
+});
+
+// Hide or restore a vendor review
+router.put('/vendor-ratings/:id', authenticateToken, authorize(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = ratingModerationSchema.parse(req.body);
+
+        const [rating] = await db.query(
+            'SELECT id FROM vendor_ratings WHERE id = ?',
+            [id]
+        );
+
+        if (!rating) {
+            return res.status(404).json({ error: 'Rating not found' });
+        }
+
+        await db.exec(
+            `UPDATE vendor_ratings 
+             SET status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [status, reason || null, req.user.id, id]
+        );
+
+        res.json({ message: `Review ${status === 'hidden' ? 'hidden' : 'restored'}` });
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            return res.status(400).json({ error: 'Validation error', details: error.errors });
+        }
+        console.error('Error moderating vendor rating:', error);
+        res.status(500).json({ error: 'Failed to moderate vendor rating' });
+    }
+});
+
 // Get system health status
 router.get('/system-health', authenticateToken, authorize(['admin']), async (req, res) => {
     try {
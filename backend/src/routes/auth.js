@@ -5,6 +5,10 @@ import { z } from 'zod';
 import db from '../db/index.js';
 import { authenticateToken, authorize } from '../middleware/auth.js';
 import { redis } from '../index.js';
+import { parseCsvRecords } from '../services/csv.js';
+import { acceptInvitation, createInvitation, findInvitation } from '../services/invitations.js';
+import { paginate, parseListQuery, setPaginationHeaders } from '../services/pagination.js';
+import { indexOrganizerEvents } from '../services/search.js';
 
 const router = express.Router();
 
@@ -34,6 +38,21 @@ const adminUserSchema = z.object({
   status: z.enum(['active', 'inactive', 'suspended']).default('active')
 });
 
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns a user import may update on existing accounts
+const IMPORT_COLUMNS = ['name', 'role', 'company', 'phone', 'status'];
+
+const userImportSchema = z.object({
+  csv: z.string().min(1),
+  dryRun: z.boolean().default(false),
+  onExisting: z.enum(['skip', 'update']).default('skip')
+});
+
+const acceptInvitationSchema = z.object({
+  password: z.string().min(6)
+});
+
 // Public registration (attendees only)
 router.post('/register', async (req, res) => {
   try {
@@ -179,28 +198,260 @@ router.post('/users', authenticateToken, authorize(['admin']), async (req, res)
     const hashedPassword = password ? await bcrypt.hash(password, 10) : await bcrypt.hash(crypto.randomUUID(), 10);
     const userId = crypto.randomUUID();
 
+    await db.exec('BEGIN TRANSACTION');
+
     await db.exec(
       `INSERT INTO users (id, name, email, password, role, company, phone, status, verified)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [userId, name, email, hashedPassword, role, company, phone, status, true]
     );
 
-    // Send invitation email with temporary password if provided
-    // TODO: Implement email service
+    // Without a password the user picks their own from an emailed link
+    if (!password) {
+      await createInvitation(userId, req.user.id);
+    }
+
+    await db.exec('COMMIT');
 
     res.status(201).json({
       message: 'User created successfully',
       user: { id: userId, name, email, role, company, status }
     });
   } catch (error) {
-    console.error('Create user error:', error);
     if (error instanceof z.ZodError) {
       return res.status(400).json({ error: error.errors });
     }
+    await db.exec('ROLLBACK');
+    console.error('Create user error:', error);
     res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
+// Bulk import users from CSV. Takes a text/csv body with dryRun and
+// onExisting in the query string, or JSON with the CSV in `csv`.
+router.post(
+  '/users/import',
+  authenticateToken,
+  authorize(['admin']),
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const { csv, dryRun, onExisting } = userImportSchema.parse(
+        typeof req.body === 'string'
+          ? { csv: req.body, dryRun: req.query.dryRun === 'true', onExisting: req.query.onExisting }
+          : req.body
+      );
+
+      let parsed;
+      try {
+        parsed = parseCsvRecords(csv);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { columns, records } = parsed;
+
+      if (!columns.includes('email')) {
+        return res.status(400).json({ error: 'The CSV needs a header row with at least an email column' });
+      }
+
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+      }
+
+      const results = [];
+      const seen = new Set();
+
+      for (const { line, values } of records) {
+        // Passwords are never taken from a file, everyone gets an invitation
+        const { password, ...fields } = values;
+        const row = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== ''));
+        const result = adminUserSchema.safeParse(row);
+
+        if (!result.success) {
+          results.push({
+            line,
+            email: values.email || null,
+            action: 'error',
+            errors: result.error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+          });
+          continue;
+        }
+
+        const user = result.data;
+        const key = user.email.toLowerCase();
+
+        if (seen.has(key)) {
+          results.push({ line, email: user.email, action: 'error', errors: ['email: Duplicate of an earlier row'] });
+          continue;
+        }
+        seen.add(key);
+
+        const [existing] = await db.query(
+          'SELECT id, password FROM users WHERE lower(email) = ?',
+          [key]
+        );
+
+        results.push({
+          line,
+          email: user.email,
+          action: existing ? (onExisting === 'update' ? 'update' : 'skip') : 'create',
+          userId: existing?.id,
+          // Accounts made for group registration guests or by an earlier
+          // import have no password yet
+          invite: !existing || existing.password === '',
+          user,
+          // Only columns present in the file overwrite existing values
+          updates: IMPORT_COLUMNS.filter(column => row[column] !== undefined)
+        });
+      }
+
+      if (!dryRun) {
+        await db.exec('BEGIN TRANSACTION');
+
+        for (const result of results) {
+          const { action, user, updates } = result;
+
+          if (action === 'create') {
+            result.userId = crypto.randomUUID();
+            // No password until the invitation is accepted, so nobody can sign in as them
+            await db.exec(
+              `INSERT INTO users (id, name, email, password, role, company, phone, status, verified, created_at)
+               VALUES (?, ?, ?, '', ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+              [
+                result.userId,
+                user.name,
+                user.email,
+                user.role,
+                user.company ?? null,
+                user.phone ?? null,
+                user.status,
+                true
+              ]
+            );
+          } else if (action === 'update' && updates.length > 0) {
+            await db.exec(
+              `UPDATE users SET ${updates.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+              [...updates.map(column => user[column]), result.userId]
+            );
+
+            if (updates.includes('name')) {
+              await indexOrganizerEvents(result.userId);
+            }
+          }
+
+          if (action === 'create' || (action === 'update' && result.invite)) {
+            await createInvitation(result.userId, req.user.id);
+          }
+        }
+
+        await db.exec('COMMIT');
+
+        // Role and status changes apply from the next login
+        for (const result of results) {
+          if (result.action === 'update') {
+            await redis.del(`session:${result.userId}`);
+          }
+        }
+
+        // Renamed organizers show on event lists
+        if (results.some(result => result.action === 'update' && result.updates.includes('name'))) {
+          await redis.del('events:*');
+        }
+      }
+
+      const count = (action) => results.filter(result => result.action === action).length;
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        summary: {
+          total: results.length,
+          created: count('create'),
+          updated: count('update'),
+          skipped: count('skip'),
+          errors: count('error')
+        },
+        rows: results.map(({ line, email, action, userId, invite, errors }) => ({
+          line,
+          email,
+          action,
+          userId,
+          invited: action === 'create' || (action === 'update' && invite),
+          errors
+        }))
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      await db.exec('ROLLBACK');
+      console.error('Import users error:', error);
+      res.status(500).json({ error: 'Failed to import users' });
+    }
+  }
+);
+
+// Send a fresh invitation to a user who has not set their password yet
+router.post('/users/:id/invitation', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const [user] = await db.query('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+    const { expiresAt } = await createInvitation(user.id, req.user.id);
+    await db.exec('COMMIT');
+
+    res.status(201).json({ message: 'Invitation sent', expiresAt });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Send invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+// Who an invitation link is for, so the password form can greet them
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    const { name, email, role, expires_at } = invitation;
+    res.json({ name, email, role, expires_at });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+});
+
+// Set a password from an invitation link
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const { password } = acceptInvitationSchema.parse(req.body);
+
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+    await acceptInvitation(invitation, await bcrypt.hash(password, 10));
+    await db.exec('COMMIT');
+
+    res.json({ message: 'Password set, you can now sign in', email: invitation.email, portal: invitation.role });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
 // Update user role and status
 router.put('/users/:id', authenticateToken, authorize(['admin']), async (req, res) => {
   try {
@@ -230,10 +481,28 @@ router.put('/users/:id', authenticateToken, authorize(['admin']), async (req, re
   }
 });
 
+// Sorting and field selection for the user list
+const USER_LIST_OPTIONS = {
+  sortable: {
+    name: 'name',
+    email: 'email',
+    role: 'role',
+    created_at: 'created_at'
+  },
+  defaultSort: '-created_at',
+  fields: ['id', 'name', 'email', 'role', 'company', 'status', 'created_at']
+};
+
 // List all users (admin only)
 router.get('/users', authenticateToken, authorize(['admin']), async (req, res) => {
   try {
     const { role, status, search } = req.query;
+
+    const list = parseListQuery(req.query, USER_LIST_OPTIONS);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
     let query = 'SELECT id, name, email, role, company, status, created_at FROM users WHERE 1=1';
     const params = [];
 
@@ -252,10 +521,10 @@ router.get('/users', authenticateToken, authorize(['admin']), async (req, res) =
       params.push(`%${search}%`, `%${search}%`, `%${search}%`);
     }
 
-    query += ' ORDER BY created_at DESC';
+    const result = await paginate({ sql: query, params, list, idColumn: 'id' });
 
-    const users = await db.query(query, params);
-    res.json(users);
+    setPaginationHeaders(req, res, result);
+    res.json(result.rows);
   } catch (error) {
     console.error('List users error:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
@@ -1,19 +1,55 @@
 import express from 'express';
 import { z } from 'zod';
-import QRCode from 'qrcode';
 import db from '../db/index.js';
 import { authenticateToken, authorize } from '../middleware/auth.js';
 import { randomUUID } from 'crypto';
 import { redis } from '../index.js';
-import pkg from 'sanitize-html';
-const { sanitizeHtml } = pkg;
+import { promoteSessionWaitlist, promoteWaitlist, releaseSessionPicks } from '../services/waitlist.js';
+import { enqueueUserEmail } from '../services/email/index.js';
+import { CURRENCY, getPaymentProvider, issueRefund, recordRefund, startCheckout } from '../services/payments/index.js';
+import { dispatchAnnouncement, getEventAnnouncements, PRIORITY_ORDER, recordRevision } from '../services/announcements.js';
+import { checkInTicket, getVerificationKey, issueTicket, reissueTicket, revokeTicket } from '../services/tickets.js';
+import { getTicketPrice, getTicketTypes, resolveTicketType } from '../services/ticketTypes.js';
+import { applyDiscount, resolvePromoCode } from '../services/promoCodes.js';
+import { INACTIVE_STATUSES, saveRegistration } from '../services/registrations.js';
+import { getEventAnswers, saveAnswers, validateAnswers } from '../services/registrationForms.js';
+import { EXPORT_FORMATS, streamExport } from '../services/exports.js';
+import { buildCalendar, eventEntry, sessionEntry } from '../services/calendar.js';
+import { insertEvent, toEventDetails, updateEvent } from '../services/events.js';
+import { cancelEvent } from '../services/eventCancellation.js';
+import { paginate, parseListQuery, selectFields, setPaginationHeaders } from '../services/pagination.js';
+import { FACETS, SEARCH_MATCHES, countFacets, indexEvent, parseSearch, removeEventFromIndex } from '../services/search.js';
+import {
+  EDITABLE_EVENT_STATUSES,
+  EVENT_STATUSES,
+  PUBLIC_EVENT_STATUSES,
+  canViewEvent,
+  checkTransition,
+  getStatusHistory,
+  initialEventStatus,
+  notifyReviewDecision,
+  transitionEvent
+} from '../services/eventLifecycle.js';
+import ticketTypeRoutes from './ticketTypes.js';
+import promoCodeRoutes from './promoCodes.js';
+import groupRegistrationRoutes from './groupRegistrations.js';
+import transferRoutes from './transfers.js';
+import registrationFormRoutes from './registrationForms.js';
+import sanitizeHtml from 'sanitize-html';
 
 const router = express.Router();
 
 const CACHE_TTL = 300; // 5 minutes in seconds
+const FEEDBACK_EDIT_WINDOW_HOURS = 48;
+
+const REGISTRATION_MESSAGES = {
+  confirmed: 'Successfully registered for the event',
+  pending_payment: 'Seat held pending payment',
+  waitlist: 'Added to waitlist'
+};
 
 // Update schema definition
-const eventSchema = z.object({
+export const eventSchema = z.object({
   title: z.string().min(3).max(100),
   description: z.string().min(3).max(1000),
   date: z.string().refine(val => {
@@ -28,58 +64,301 @@ const eventSchema = z.object({
   capacity: z.number().int().positive(),
   category: z.enum(['conference', 'workshop', 'seminar', 'networking', 'other', 'academic']),
   ticket_price: z.number().nonnegative().default(0),
+  // Refund policy for paid registrations
+  refund_full_days: z.number().int().nonnegative().default(7),
+  refund_partial_percent: z.number().int().min(0).max(100).default(50),
+  allow_transfers: z.boolean().default(true),
   is_virtual: z.boolean().optional().default(false),
   registration_deadline: z.string().optional()
 });
 
+// Updates keep the stored value of any field left out, so none of the
+// defaults for new events apply
+const eventUpdateSchema = eventSchema.partial();
+
+const statusChangeSchema = z.object({
+  status: z.enum(EVENT_STATUSES),
+  reason: z.string().trim().max(1000).optional()
+});
+
+const sessionSchema = z.object({
+  title: z.string().min(3).max(100),
+  description: z.string().max(1000).optional(),
+  speaker: z.string().max(100).optional(),
+  start_time: z.string().datetime({ offset: true }),
+  end_time: z.string().datetime({ offset: true }),
+  location: z.string().min(1).max(200).optional(),
+  capacity: z.number().int().positive().optional(),
+  type: z.enum(['talk', 'workshop', 'panel', 'keynote', 'break', 'other']).default('talk')
+}).refine(data => new Date(data.end_time) > new Date(data.start_time), {
+  message: 'Session must end after it starts',
+  path: ['end_time']
+});
+
+const feedbackSchema = z.object({
+  rating: z.number().int().min(1).max(5),
+  feedback_text: z.string().max(2000).optional(),
+  anonymous: z.boolean().optional().default(false)
+});
+
+// Answers are checked against the event's form by validateAnswers
+const registerSchema = z.object({
+  ticketTypeId: z.string().nullish(),
+  promoCode: z.string().trim().max(32).nullish(),
+  answers: z.record(z.unknown()).optional()
+});
+
+const announcementSchema = z.object({
+  title: z.string().min(3).max(200).transform(val => sanitizeHtml(val)),
+  content: z.string().min(1).max(5000).transform(val => sanitizeHtml(val)),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']).default('medium'),
+  publish_at: z.string().datetime({ offset: true }).optional()
+});
+
+// Columns available in attendee exports, in their default order
+const ATTENDEE_EXPORT_COLUMNS = {
+  name: { label: 'Name', sql: 'u.name' },
+  email: { label: 'Email', sql: 'u.email' },
+  status: { label: 'Status', sql: 'r.status' },
+  registration_time: { label: 'Registered At', sql: 'r.registration_time' },
+  check_in_time: { label: 'Checked In At', sql: 'r.check_in_time' },
+  ticket_type: { label: 'Ticket Type', sql: 't.name' },
+  payment_status: { label: 'Payment Status', sql: 'r.payment_status' }
+};
+
+// Sorting and field selection for the event list
+const EVENT_LIST_OPTIONS = {
+  sortable: {
+    relevance: 'm.relevance',
+    date: 'e.date',
+    title: 'e.title',
+    created_at: 'e.created_at',
+    capacity: 'e.capacity',
+    ticket_price: 'e.ticket_price'
+  },
+  defaultSort: 'date',
+  fields: [
+    'id', 'title', 'description', 'date', 'location', 'capacity', 'category', 'ticket_price', 'is_virtual',
+    'registration_deadline', 'organizer_id', 'organizer_name', 'status', 'series_id', 'allow_transfers',
+    'refund_full_days', 'refund_partial_percent', 'created_at', 'registered_count', 'waitlist_count',
+    'upcoming_occurrences', 'relevance'
+  ]
+};
+
+// Sorting and field selection for an event's attendee list
+const ATTENDEE_LIST_OPTIONS = {
+  sortable: {
+    registration_time: 'r.registration_time',
+    name: 'u.name',
+    email: 'u.email',
+    status: 'r.status'
+  },
+  defaultSort: '-registration_time',
+  fields: [
+    'id', 'name', 'email', 'registration_id', 'registration_time', 'status', 'check_in_time',
+    'ticket_type_id', 'ticket_type_name', 'answers'
+  ],
+  idKey: 'registration_id'
+};
+
+const SESSION_COUNTS = `
+  (SELECT COUNT(*) FROM session_registrations WHERE session_id = s.id AND status = 'confirmed') as registered_count,
+  (SELECT COUNT(*) FROM session_registrations WHERE session_id = s.id AND status = 'waitlist') as waitlist_count
+`;
+
+// Returns a list of problems with a session's placement within its event, or
+// an empty list if the session fits. Sessions must take place on the event
+// date and must not overlap another session booked into the same room.
+const validateSessionPlacement = async (event, session, excludeSessionId = null) => {
+  const problems = [];
+  const eventDay = event.date.split('T')[0];
+
+  if (session.start_time.split('T')[0] !== eventDay || session.end_time.split('T')[0] !== eventDay) {
+    problems.push(`Session must take place on the event date (${eventDay})`);
+  }
+
+  if (session.location) {
+    const roomSessions = await db.query(
+      'SELECT id, title, start_time, end_time FROM event_sessions WHERE event_id = ? AND location = ? AND id != ?',
+      [event.id, session.location, excludeSessionId || '']
+    );
+    const start = new Date(session.start_time);
+    const end = new Date(session.end_time);
+    const clash = roomSessions.find(other =>
+      new Date(other.start_time) < end && new Date(other.end_time) > start
+    );
+
+    if (clash) {
+      problems.push(`${session.location} is already booked for "${clash.title}" at that time`);
+    }
+  }
+
+  return problems;
+};
+
+// Filters of the event list and search. Facet filters are tagged with their
+// facet so its counts can be taken without them.
+const buildEventQuery = async (req) => {
+  const { category, search, date, seriesId } = req.query;
+  // Show each series once, as its next occurrence
+  const collapseSeries = req.query.collapseSeries === 'true';
+
+  for (const [facet, values] of Object.entries(FACETS)) {
+    const value = req.query[facet];
+    if (value !== undefined && !values[value]) {
+      return { error: `${facet} must be one of ${Object.keys(values).join(', ')}` };
+    }
+  }
+
+  const matched = search ? await parseSearch(search) : null;
+
+  const from = `
+    FROM events e
+    JOIN users u ON e.organizer_id = u.id
+    ${matched ? `JOIN (${SEARCH_MATCHES}) m ON m.event_id = e.id` : ''}`;
+  const params = matched ? [matched.weights, matched.match] : [];
+
+  const filters = [{
+    sql: `e.date >= CURRENT_DATE
+      AND (e.status IN (${PUBLIC_EVENT_STATUSES.map(() => '?').join(', ')}) OR e.organizer_id = ?)`,
+    params: [...PUBLIC_EVENT_STATUSES, req.user.id]
+  }];
+
+  if (seriesId) {
+    filters.push({ sql: 'e.series_id = ?', params: [seriesId] });
+  }
+
+  if (collapseSeries) {
+    filters.push({
+      sql: `e.series_id IS NULL OR e.id = (
+        SELECT o.id FROM events o
+        WHERE o.series_id = e.series_id AND o.date >= CURRENT_DATE
+          AND (o.status IN (${PUBLIC_EVENT_STATUSES.map(() => '?').join(', ')}) OR o.organizer_id = ?)
+        ORDER BY o.date ASC LIMIT 1
+      )`,
+      params: [...PUBLIC_EVENT_STATUSES, req.user.id]
+    });
+  }
+
+  if (category && category !== 'all') {
+    filters.push({ facet: 'category', sql: 'e.category = ?', params: [category] });
+  }
+
+  for (const facet of Object.keys(FACETS)) {
+    if (req.query[facet]) {
+      filters.push({ facet, sql: FACETS[facet][req.query[facet]], params: [] });
+    }
+  }
+
+  if (date) {
+    filters.push({ sql: 'e.date = ?', params: [date] });
+  }
+
+  const list = parseListQuery(req.query, {
+    ...EVENT_LIST_OPTIONS,
+    // Searches are ranked by relevance unless another sort is asked for
+    defaultSort: matched ? '-relevance' : EVENT_LIST_OPTIONS.defaultSort
+  });
+  if (list.error) {
+    return list;
+  }
+  if (list.sort.key === 'relevance' && !matched) {
+    return { error: 'Sorting by relevance needs a search' };
+  }
+
+  // Organizers also see their own drafts, so their lists are cached apart
+  const viewer = ['admin', 'organizer'].includes(req.user.role) ? req.user.id : 'public';
+  const facets = Object.keys(FACETS).map(facet => req.query[facet] || 'any').join(':');
+  const page = `${list.sort.name}:${list.limit}:${req.query.cursor || 'first'}:${list.fields ? list.fields.join(',') : 'all'}`;
+
+  return {
+    from,
+    params,
+    filters,
+    list,
+    search: matched,
+    cacheKey: `${category || 'all'}:${search || 'none'}:${date || 'all'}:${seriesId || 'any'}:${collapseSeries ? 'series' : 'occurrences'}:${facets}:${viewer}:${page}`
+  };
+};
+
+// Run a page of the event list built by buildEventQuery
+const listEvents = ({ from, params, filters, list, search }) => paginate({
+  sql: `
+    SELECT e.*, u.name as organizer_name,
+           (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status IN ('confirmed', 'attended')) as registered_count,
+           (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'waitlist') as waitlist_count,
+           (SELECT COUNT(*) FROM events o WHERE o.series_id = e.series_id AND o.date >= CURRENT_DATE) as upcoming_occurrences
+           ${search ? ', m.relevance' : ''}
+    ${from}
+    WHERE ${filters.map(filter => `(${filter.sql})`).join(' AND ')}`,
+  params: [...params, ...filters.flatMap(filter => filter.params)],
+  list,
+  idColumn: 'e.id'
+});
+
 // Get all events with filters and caching
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { category, search, date } = req.query;
-    const cacheKey = `events:${category || 'all'}:${search || 'none'}:${date || 'all'}`;
+    const query = await buildEventQuery(req);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    const cacheKey = `events:${query.cacheKey}`;
     
     // Try to get from cache first
     const cachedEvents = await redis.get(cacheKey);
     if (cachedEvents) {
-      return res.json(JSON.parse(cachedEvents));
+      const cached = JSON.parse(cachedEvents);
+      setPaginationHeaders(req, res, cached);
+      return res.json(cached.rows);
     }
+
+    const result = await listEvents(query);
     
-    let sql = `
-      SELECT e.*, u.name as organizer_name,
-             (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'confirmed') as registered_count,
-             (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'waitlist') as waitlist_count
-      FROM events e
-      JOIN users u ON e.organizer_id = u.id
-      WHERE e.date >= CURRENT_DATE
-    `;
-    const params = [];
+    // Cache the results
+    await redis.setex(cacheKey, CACHE_TTL, JSON.stringify(result));
+    
+    setPaginationHeaders(req, res, result);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
 
-    if (category && category !== 'all') {
-      sql += ' AND e.category = ?';
-      params.push(category);
+// Search events: ranked results with facet counts and the spelling
+// corrections that were tried
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const query = await buildEventQuery(req);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
     }
 
-    if (search) {
-      sql += ' AND (e.title LIKE ? OR e.description LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`);
-    }
+    const cacheKey = `events:search:${query.cacheKey}`;
 
-    if (date) {
-      sql += ' AND e.date = ?';
-      params.push(date);
+    const cachedSearch = await redis.get(cacheKey);
+    if (cachedSearch) {
+      return res.json(JSON.parse(cachedSearch));
     }
 
-    sql += ' ORDER BY e.date ASC';
+    const { rows, total, nextCursor } = await listEvents(query);
 
-    const events = await db.query(sql, params);
-    
-    // Cache the results
-    await redis.setex(cacheKey, CACHE_TTL, JSON.stringify(events));
-    
-    res.json(events);
+    const result = {
+      results: rows,
+      total,
+      nextCursor,
+      facets: await countFacets(query),
+      corrections: query.search?.corrections || {}
+    };
+
+    await redis.setex(cacheKey, CACHE_TTL, JSON.stringify(result));
+
+    res.json(result);
   } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({ error: 'Failed to fetch events' });
+    console.error('Error searching events:', error);
+    res.status(500).json({ error: 'Failed to search events' });
   }
 });
 
@@ -89,7 +368,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const events = await db.query(
       `SELECT e.*, u.name as organizer_name,
-              (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'confirmed') as registered_count,
+              (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status IN ('confirmed', 'attended')) as registered_count,
               (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'waitlist') as waitlist_count
        FROM events e
        JOIN users u ON e.organizer_id = u.id
@@ -102,6 +381,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     const event = events[0];
+
+    if (!canViewEvent(event, req.user)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
     
     // Check if user is registered
     const registrations = await db.query(
@@ -109,7 +392,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
       [id, req.user.id]
     );
     
-    event.isRegistered = registrations.length > 0;
+    event.isRegistered = registrations.some(registration => !INACTIVE_STATUSES.includes(registration.status));
+
+    // Embed the agenda
+    event.sessions = await db.query(
+      `SELECT s.*, ${SESSION_COUNTS}
+       FROM event_sessions s
+       WHERE s.event_id = ?
+       ORDER BY s.start_time ASC`,
+      [id]
+    );
+
+    // Ticket types with per-type counts. Hidden types are for the organizer only.
+    event.ticket_types = await getTicketTypes(id, {
+      includeHidden: event.organizer_id === req.user.id
+    });
     
     res.json(event);
   } catch (error) {
@@ -127,34 +424,20 @@ router.post('/', authenticateToken, authorize(['admin', 'organizer']), async (re
       ...req.body,
       capacity: Number(req.body.capacity),
       ticket_price: Number(req.body.ticket_price || 0),
+      refund_full_days: req.body.refund_full_days === undefined ? undefined : Number(req.body.refund_full_days),
+      refund_partial_percent: req.body.refund_partial_percent === undefined ? undefined : Number(req.body.refund_partial_percent),
       is_virtual: Boolean(req.body.is_virtual),
+      allow_transfers: req.body.allow_transfers === undefined ? undefined : Boolean(req.body.allow_transfers),
       registration_deadline: req.body.registration_deadline || null // Add default value
     };
 
     const validatedData = eventSchema.parse(normalizedData);
     const eventId = randomUUID();
 
-    await db.exec(
-      `INSERT INTO events (
-        id, title, description, date, location, capacity, 
-        category, ticket_price, is_virtual, registration_deadline,
-        organizer_id, status, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
-      [
-        eventId,
-        validatedData.title,
-        validatedData.description,
-        validatedData.date,
-        validatedData.location,
-        validatedData.capacity,
-        validatedData.category,
-        validatedData.ticket_price,
-        validatedData.is_virtual ? 1 : 0,
-        validatedData.registration_deadline || null, // Ensure null if not provided
-        req.user.id,
-        'published'
-      ]
-    );
+    await insertEvent(eventId, validatedData, {
+      organizer_id: req.user.id,
+      status: initialEventStatus(req.user.role, req.body.status === 'draft')
+    });
 
     const [createdEvent] = await db.query(
       'SELECT * FROM events WHERE id = ?',
@@ -178,7 +461,9 @@ router.post('/', authenticateToken, authorize(['admin', 'organizer']), async (re
 router.put('/:id', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
   try {
     const { id } = req.params;
-    const validatedData = eventSchema.parse(req.body);
+    const validatedData = eventUpdateSchema.parse(req.body);
+
+    await db.exec('BEGIN');
 
     // Check if user is the organizer
     const events = await db.query(
@@ -187,38 +472,122 @@ router.put('/:id', authenticateToken, authorize(['admin', 'organizer']), async (
     );
 
     if (events.length === 0) {
+      await db.exec('ROLLBACK');
       return res.status(403).json({ error: 'Not authorized to update this event' });
     }
 
-    await db.exec(
-      `UPDATE events 
-       SET title = ?, description = ?, date = ?, location = ?, category = ?, 
-           capacity = ?, ticket_price = ?, is_virtual = ?, registration_deadline = ?
-       WHERE id = ?`,
-      [
-        validatedData.title,
-        validatedData.description,
-        validatedData.date,
-        validatedData.location,
-        validatedData.category,
-        validatedData.capacity,
-        validatedData.ticket_price,
-        validatedData.is_virtual,
-        validatedData.registration_deadline,
-        id
-      ]
-    );
+    if (!EDITABLE_EVENT_STATUSES.includes(events[0].status)) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: `A ${events[0].status} event can no longer be edited` });
+    }
+
+    const promoted = await updateEvent(events[0], { ...toEventDetails(events[0]), ...validatedData });
+
+    await db.exec('COMMIT');
+
+    if (promoted.length > 0) {
+      await redis.del(`events:*`);
+    }
 
-    res.json({ message: 'Event updated successfully' });
+    res.json({ message: 'Event updated successfully', promotedCount: promoted.length });
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ error: error.errors });
     }
+    await db.exec('ROLLBACK');
     res.status(500).json({ error: 'Failed to update event' });
   }
 });
 
-// Delete event
+// Get an event's status, the changes the user may make and its history
+router.get('/:id/status', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const [event] = await db.query('SELECT id, status, organizer_id FROM events WHERE id = ?', [req.params.id]);
+
+    if (!event || (event.organizer_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json({
+      status: event.status,
+      allowed: EVENT_STATUSES.filter(status => !checkTransition(event, status, req.user)),
+      history: await getStatusHistory(event.id)
+    });
+  } catch (error) {
+    console.error('Error fetching event status:', error);
+    res.status(500).json({ error: 'Failed to fetch event status' });
+  }
+});
+
+// Move an event through its lifecycle: submit for review, approve, publish,
+// complete or archive
+router.put('/:id/status', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { status, reason } = statusChangeSchema.parse(req.body);
+
+    const [event] = await db.query('SELECT * FROM events WHERE id = ?', [req.params.id]);
+
+    if (!event || (event.organizer_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const problem = checkTransition(event, status, req.user);
+    if (problem) {
+      return res.status(409).json({ error: problem });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+
+    let changed;
+    let refunds = [];
+    let summary;
+
+    // Cancelling takes registrations, booths and announcements down with it
+    if (status === 'cancelled') {
+      ({ cancelled: changed, refunds = [], summary } = await cancelEvent(event, { cancelledBy: req.user.id, reason }));
+    } else {
+      changed = await transitionEvent(event, status, { changedBy: req.user.id, reason });
+    }
+
+    if (!changed) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'The event was changed by someone else, reload and try again' });
+    }
+
+    // An admin approving or sending back a submitted event lets the organizer know
+    if (event.status === 'pending_review' && event.organizer_id !== req.user.id) {
+      await notifyReviewDecision(event, status === 'published', reason);
+    }
+
+    await db.exec('COMMIT');
+
+    // Money only moves once the cancellation is committed
+    let refundsFailed = 0;
+    for (const refund of refunds) {
+      if (await issueRefund(refund) === 'failed') {
+        refundsFailed++;
+      }
+    }
+
+    await redis.del('events:*');
+
+    res.json({
+      message: `Event is now ${status}`,
+      status,
+      ...(summary && { summary: { ...summary, refundsFailed, currency: CURRENCY } })
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error changing event status:', error);
+    res.status(500).json({ error: 'Failed to change event status' });
+  }
+});
+
+// Delete a draft. Events that were ever published are cancelled instead so
+// their registrations, refunds and history are kept.
 router.delete('/:id', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
   try {
     const { id } = req.params;
@@ -233,147 +602,1295 @@ router.delete('/:id', authenticateToken, authorize(['admin', 'organizer']), asyn
       return res.status(403).json({ error: 'Not authorized to delete this event' });
     }
 
-    // Delete registrations first
-    await db.exec('DELETE FROM registrations WHERE event_id = ?', [id]);
-    // Then delete the event
+    if (events[0].status !== 'draft') {
+      return res.status(409).json({
+        error: 'Only drafts can be deleted. Cancel the event with PUT /api/events/:id/status instead.'
+      });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+
+    // Drafts never took registrations, only the setup made for them goes
+    await db.exec('DELETE FROM session_registrations WHERE event_id = ?', [id]);
+    await db.exec('DELETE FROM event_sessions WHERE event_id = ?', [id]);
+    await db.exec(
+      'DELETE FROM promo_code_ticket_types WHERE promo_code_id IN (SELECT id FROM promo_codes WHERE event_id = ?)',
+      [id]
+    );
+    await db.exec('DELETE FROM promo_codes WHERE event_id = ?', [id]);
+    await db.exec('DELETE FROM ticket_types WHERE event_id = ?', [id]);
+    await db.exec('DELETE FROM registration_questions WHERE event_id = ?', [id]);
+    await db.exec('DELETE FROM announcements WHERE event_id = ?', [id]);
+    await db.exec('DELETE FROM event_status_changes WHERE event_id = ?', [id]);
     await db.exec('DELETE FROM events WHERE id = ?', [id]);
+    await removeEventFromIndex(id);
+
+    await db.exec('COMMIT');
 
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error deleting event:', error);
     res.status(500).json({ error: 'Failed to delete event' });
   }
 });
 
-// Register for an event with waitlist support
-router.post('/:id/register', authenticateToken, async (req, res) => {
-  const { id: eventId } = req.params;
-  const userId = req.user.id;
+// Ticket types and pricing tiers
+router.use('/:id/ticket-types', ticketTypeRoutes);
 
+// Promo codes (organizer only)
+router.use('/:id/promo-codes', promoCodeRoutes);
+
+// Get event sessions (agenda)
+router.get('/:id/sessions', authenticateToken, async (req, res) => {
   try {
-    // Start transaction
-    await db.exec('BEGIN');
-    
-    // Check if already registered
-    const existingReg = await db.query(
-      'SELECT * FROM registrations WHERE event_id = ? AND user_id = ?',
-      [eventId, userId]
-    );
-    
-    if (existingReg.length > 0) {
-      await db.exec('ROLLBACK');
-      return res.status(400).json({ error: 'Already registered for this event' });
-    }
-    
-    // Get event details with current registration count
-    const [event] = await db.query(
-      `SELECT e.*, 
-              (SELECT COUNT(*) FROM registrations 
-               WHERE event_id = e.id AND status = 'confirmed') as registered_count
-       FROM events e WHERE e.id = ?`,
-      [eventId]
-    );
-    
-    if (!event) {
-      await db.exec('ROLLBACK');
+    const { id } = req.params;
+
+    const [event] = await db.query('SELECT id, status, organizer_id FROM events WHERE id = ?', [id]);
+    if (!event || !canViewEvent(event, req.user)) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    
-    // Check if registration deadline has passed
-    if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
-      await db.exec('ROLLBACK');
-      return res.status(400).json({ error: 'Registration deadline has passed' });
-    }
-    
-    // Determine registration status
-    const status = event.registered_count < event.capacity ? 'confirmed' : 'waitlist';
-    const registrationId = randomUUID();
-    
-    // Create registration
-    await db.exec(
-      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
-       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-      [registrationId, eventId, userId, status]
+
+    const sessions = await db.query(
+      `SELECT s.*, ${SESSION_COUNTS}
+       FROM event_sessions s
+       WHERE s.event_id = ?
+       ORDER BY s.start_time ASC`,
+      [id]
     );
-    
-    // Generate QR code if confirmed
-    let qrCode = null;
-    if (status === 'confirmed') {
-      qrCode = await QRCode.toDataURL(registrationId);
-      await db.exec(
-        'UPDATE registrations SET qr_code = ? WHERE id = ?',
-        [qrCode, registrationId]
-      );
-    }
-    
-    await db.exec('COMMIT');
-    
-    // Invalidate cache
-    await redis.del(`events:*`);
-    
-    res.json({
-      message: status === 'confirmed' 
-        ? 'Successfully registered for the event' 
-        : 'Added to waitlist',
-      status,
-      qrCode,
-      position: status === 'waitlist' ? event.registered_count - event.capacity + 1 : null
-    });
-    
+
+    res.json(sessions);
   } catch (error) {
-    await db.exec('ROLLBACK');
-    console.error('Error registering for event:', error);
-    res.status(500).json({ error: 'Failed to register for event' });
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
   }
 });
 
-// Cancel registration
-router.delete('/:id/register', authenticateToken, async (req, res) => {
+// Download an event and its agenda as an iCalendar file
+router.get('/:id/calendar.ics', authenticateToken, async (req, res) => {
   try {
-    const { id: eventId } = req.params;
-    const userId = req.user.id;
+    const { id } = req.params;
 
-    const result = await db.exec(
-      'DELETE FROM registrations WHERE event_id = ? AND user_id = ?',
-      [eventId, userId]
+    const [event] = await db.query('SELECT * FROM events WHERE id = ?', [id]);
+    if (!event || !canViewEvent(event, req.user)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const sessions = await db.query(
+      'SELECT * FROM event_sessions WHERE event_id = ? ORDER BY start_time ASC',
+      [id]
     );
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Registration not found' });
-    }
+    const calendar = buildCalendar({
+      name: event.title,
+      entries: [
+        eventEntry(event, sessions),
+        ...sessions.map(session => sessionEntry(session, event))
+      ]
+    });
 
-    res.json({ message: 'Registration cancelled successfully' });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="event-${id}.ics"`);
+    res.send(calendar);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to cancel registration' });
+    console.error('Error building event calendar:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
   }
 });
 
-// Get event attendees (organizer only)
-router.get('/:id/attendees', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+// Add a session to an event (organizer only)
+router.post('/:id/sessions', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
   try {
     const { id } = req.params;
+    const validatedData = sessionSchema.parse(req.body);
 
     // Check if user is the organizer
-    const events = await db.query(
+    const [event] = await db.query(
       'SELECT * FROM events WHERE id = ? AND organizer_id = ?',
       [id, req.user.id]
     );
 
-    if (events.length === 0) {
-      return res.status(403).json({ error: 'Not authorized to view attendees' });
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage sessions for this event' });
     }
 
-    const attendees = await db.query(
-      `SELECT u.id, u.name, u.email, r.registration_time, r.status
-       FROM registrations r
-       JOIN users u ON r.user_id = u.id
-       WHERE r.event_id = ?
-       ORDER BY r.registration_time DESC`,
-      [id]
+    const problems = await validateSessionPlacement(event, validatedData);
+    if (problems.length > 0) {
+      return res.status(409).json({ error: 'Session conflicts with the event schedule', details: problems });
+    }
+
+    const sessionId = randomUUID();
+
+    await db.exec(
+      `INSERT INTO event_sessions (
+        id, event_id, title, description, speaker, start_time, end_time, location, capacity, type
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        id,
+        validatedData.title,
+        validatedData.description || null,
+        validatedData.speaker || null,
+        validatedData.start_time,
+        validatedData.end_time,
+        validatedData.location || null,
+        validatedData.capacity || null,
+        validatedData.type
+      ]
+    );
+
+    // Speakers are searchable
+    await indexEvent(id);
+    await redis.del('events:*');
+
+    const [createdSession] = await db.query(
+      'SELECT * FROM event_sessions WHERE id = ?',
+      [sessionId]
     );
 
-    res.json(attendees);
+    res.status(201).json(createdSession);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch attendees' });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+// Update a session (organizer only)
+router.put('/:id/sessions/:sessionId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const validatedData = sessionSchema.parse(req.body);
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT * FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage sessions for this event' });
+    }
+
+    const [session] = await db.query(
+      'SELECT id FROM event_sessions WHERE id = ? AND event_id = ?',
+      [sessionId, id]
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const problems = await validateSessionPlacement(event, validatedData, sessionId);
+    if (problems.length > 0) {
+      return res.status(409).json({ error: 'Session conflicts with the event schedule', details: problems });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+
+    await db.exec(
+      `UPDATE event_sessions
+       SET title = ?, description = ?, speaker = ?, start_time = ?, end_time = ?,
+           location = ?, capacity = ?, type = ?
+       WHERE id = ?`,
+      [
+        validatedData.title,
+        validatedData.description || null,
+        validatedData.speaker || null,
+        validatedData.start_time,
+        validatedData.end_time,
+        validatedData.location || null,
+        validatedData.capacity || null,
+        validatedData.type,
+        sessionId
+      ]
+    );
+
+    // A raised or removed capacity opens places for the waitlist
+    const promoted = await promoteSessionWaitlist(sessionId);
+
+    await indexEvent(id);
+
+    await db.exec('COMMIT');
+
+    await redis.del('events:*');
+
+    const [updatedSession] = await db.query(
+      'SELECT * FROM event_sessions WHERE id = ?',
+      [sessionId]
+    );
+
+    res.json({ ...updatedSession, promotedCount: promoted.length });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error updating session:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+// Delete a session (organizer only)
+router.delete('/:id/sessions/:sessionId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage sessions for this event' });
+    }
+
+    const [session] = await db.query(
+      'SELECT id FROM event_sessions WHERE id = ? AND event_id = ?',
+      [sessionId, id]
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await db.exec('DELETE FROM session_registrations WHERE session_id = ?', [sessionId]);
+    await db.exec('DELETE FROM event_sessions WHERE id = ?', [sessionId]);
+
+    await indexEvent(id);
+    await redis.del('events:*');
+
+    res.json({ message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// Register for a single session with waitlist support
+router.post('/:id/sessions/:sessionId/register', authenticateToken, async (req, res) => {
+  const { id: eventId, sessionId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    await db.exec('BEGIN');
+
+    const [session] = await db.query(
+      `SELECT s.*, ${SESSION_COUNTS}
+       FROM event_sessions s WHERE s.id = ? AND s.event_id = ?`,
+      [sessionId, eventId]
+    );
+
+    if (!session) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Session sign-up requires a confirmed seat at the event itself
+    const [eventRegistration] = await db.query(
+      `SELECT id FROM registrations 
+       WHERE event_id = ? AND user_id = ? AND status IN ('confirmed', 'attended')`,
+      [eventId, userId]
+    );
+
+    if (!eventRegistration) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'You must have a confirmed registration for this event' });
+    }
+
+    const existingReg = await db.query(
+      'SELECT * FROM session_registrations WHERE session_id = ? AND user_id = ?',
+      [sessionId, userId]
+    );
+
+    if (existingReg.length > 0) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Already registered for this session' });
+    }
+
+    // Reject sessions that overlap one the user has already picked
+    const start = new Date(session.start_time);
+    const end = new Date(session.end_time);
+    const picked = await db.query(
+      `SELECT s.id, s.title, s.start_time, s.end_time
+       FROM session_registrations sr
+       JOIN event_sessions s ON sr.session_id = s.id
+       WHERE sr.user_id = ?`,
+      [userId]
+    );
+    const conflict = picked.find(other =>
+      new Date(other.start_time) < end && new Date(other.end_time) > start
+    );
+
+    if (conflict) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({
+        error: 'Session overlaps another session in your schedule',
+        conflictingSession: conflict
+      });
+    }
+
+    // Sessions without a capacity are unlimited
+    const status = !session.capacity || session.registered_count < session.capacity
+      ? 'confirmed'
+      : 'waitlist';
+    const registrationId = randomUUID();
+
+    await db.exec(
+      `INSERT INTO session_registrations (id, session_id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [registrationId, sessionId, eventId, userId, status]
+    );
+
+    await db.exec('COMMIT');
+
+    res.json({
+      message: status === 'confirmed'
+        ? 'Successfully registered for the session'
+        : 'Added to session waitlist',
+      id: registrationId,
+      status,
+      position: status === 'waitlist' ? session.waitlist_count + 1 : null
+    });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error registering for session:', error);
+    res.status(500).json({ error: 'Failed to register for session' });
+  }
+});
+
+// Cancel session registration
+router.delete('/:id/sessions/:sessionId/register', authenticateToken, async (req, res) => {
+  try {
+    const { id: eventId, sessionId } = req.params;
+
+    const [registration] = await db.query(
+      'SELECT id, status FROM session_registrations WHERE session_id = ? AND event_id = ? AND user_id = ?',
+      [sessionId, eventId, req.user.id]
+    );
+
+    if (!registration) {
+      return res.status(404).json({ error: 'Session registration not found' });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+
+    await db.exec('DELETE FROM session_registrations WHERE id = ?', [registration.id]);
+
+    // A freed place goes to the oldest waitlisted sign-up
+    const promoted = registration.status === 'confirmed'
+      ? await promoteSessionWaitlist(sessionId)
+      : [];
+
+    await db.exec('COMMIT');
+
+    res.json({ message: 'Session registration cancelled successfully', promotedCount: promoted.length });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error cancelling session registration:', error);
+    res.status(500).json({ error: 'Failed to cancel session registration' });
+  }
+});
+
+// Register a group of attendees under one order
+router.use('/:id/group-registrations', groupRegistrationRoutes);
+
+// Ticket transfers between attendees
+router.use('/:id/transfers', transferRoutes);
+
+// Custom registration questions and answers
+router.use('/:id/form', registrationFormRoutes);
+
+// Register for an event with waitlist support. Paid events hold the seat
+// as pending_payment and hand back a checkout to complete.
+router.post('/:id/register', authenticateToken, async (req, res) => {
+  const { id: eventId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { ticketTypeId, promoCode: code, answers: submittedAnswers } = registerSchema.parse(req.body);
+
+    // Start transaction
+    await db.exec('BEGIN');
+    
+    // Check if already registered. A cancelled or lapsed registration is
+    // reused so each user keeps a single row per event.
+    const [existingReg] = await db.query(
+      'SELECT id, status FROM registrations WHERE event_id = ? AND user_id = ?',
+      [eventId, userId]
+    );
+    
+    if (existingReg && !INACTIVE_STATUSES.includes(existingReg.status)) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Already registered for this event' });
+    }
+    
+    // Get event details with current registration count
+    const [event] = await db.query(
+      `SELECT e.*, 
+              (SELECT COUNT(*) FROM registrations 
+               WHERE event_id = e.id AND status IN ('confirmed', 'attended', 'pending_payment')) as registered_count,
+              (SELECT COUNT(*) FROM registrations 
+               WHERE event_id = e.id AND status = 'waitlist') as waitlist_count
+       FROM events e WHERE e.id = ?`,
+      [eventId]
+    );
+    
+    if (!event) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.status !== 'published') {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'Event is not open for registration' });
+    }
+    
+    // Check if registration deadline has passed
+    if (event.registration_deadline && new Date(event.registration_deadline) < new Date()) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Registration deadline has passed' });
+    }
+    
+    const { ticketType, error: ticketTypeError } = await resolveTicketType(eventId, ticketTypeId);
+    if (ticketTypeError) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: ticketTypeError });
+    }
+
+    const { answers, error: answersError } = await validateAnswers(eventId, submittedAnswers);
+    if (answersError) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Validation error', details: answersError.errors });
+    }
+
+    let promoCode = null;
+    if (code) {
+      let promoCodeError;
+      ({ promoCode, error: promoCodeError } = await resolvePromoCode(eventId, code, ticketType?.id));
+
+      if (!promoCodeError && !getTicketPrice(event, ticketType)) {
+        promoCodeError = 'Promo codes only apply to paid tickets';
+      }
+
+      if (promoCodeError) {
+        await db.exec('ROLLBACK');
+        return res.status(400).json({ error: promoCodeError });
+      }
+    }
+
+    // Determine registration status. A sold out ticket type waitlists even
+    // when the event itself still has room.
+    const hasSeat = event.registered_count < event.capacity && ticketType?.available !== 0;
+    const { amount: price, discount } = applyDiscount(getTicketPrice(event, ticketType), promoCode);
+    const isPaid = price > 0;
+    const status = !hasSeat ? 'waitlist' : isPaid ? 'pending_payment' : 'confirmed';
+
+    const registration = await saveRegistration({
+      existing: existingReg,
+      eventId,
+      userId,
+      status,
+      ticketTypeId: ticketType?.id,
+      promoCodeId: promoCode?.id,
+      discount: promoCode ? discount : null
+    });
+    await saveAnswers(registration.id, answers);
+
+    const eventSummary = { id: event.id, title: event.title, date: event.date, location: event.location };
+    
+    // Issue a signed ticket if confirmed, or open a checkout for a paid seat
+    let qrCode = null;
+    let checkout = null;
+    if (status === 'confirmed') {
+      qrCode = await issueTicket(registration);
+      await enqueueUserEmail(userId, 'registrationConfirmed', { event: eventSummary, qrCode });
+    } else if (status === 'pending_payment') {
+      checkout = await startCheckout(registration, event, price);
+      await enqueueUserEmail(userId, 'paymentRequired', { event: eventSummary, ...checkout });
+    }
+
+    const position = status === 'waitlist' ? event.waitlist_count + 1 : null;
+
+    if (status === 'waitlist') {
+      await enqueueUserEmail(userId, 'waitlisted', { event: eventSummary, position });
+    }
+    
+    await db.exec('COMMIT');
+    
+    // Invalidate cache
+    await redis.del(`events:*`);
+    
+    res.status(status === 'pending_payment' ? 202 : 200).json({
+      message: REGISTRATION_MESSAGES[status],
+      status,
+      ticketType: ticketType ? { id: ticketType.id, name: ticketType.name, price: ticketType.price } : null,
+      promoCode: promoCode ? { code: promoCode.code, discount } : null,
+      qrCode,
+      checkout,
+      position
+    });
+    
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error registering for event:', error);
+    res.status(500).json({ error: 'Failed to register for event' });
+  }
+});
+
+// Cancel registration. The row is kept as `cancelled`, and a paid seat is
+// refunded according to the event's refund policy.
+router.delete('/:id/register', authenticateToken, async (req, res) => {
+  const { id: eventId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    await db.exec('BEGIN');
+
+    const [registration] = await db.query(
+      `SELECT r.id, r.event_id, r.user_id, r.status, r.ticket_version, r.payment_id, r.amount_paid,
+              e.title, e.date, e.location, e.refund_full_days, e.refund_partial_percent
+       FROM registrations r
+       JOIN events e ON r.event_id = e.id
+       WHERE r.event_id = ? AND r.user_id = ?`,
+      [eventId, userId]
+    );
+
+    if (!registration || INACTIVE_STATUSES.includes(registration.status)) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    if (registration.status === 'attended') {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Cannot cancel a registration after check-in' });
+    }
+
+    // Keep the cancelled ticket on the revocation list for offline scanners
+    if (registration.status === 'confirmed') {
+      await revokeTicket(registration, 'cancelled');
+    }
+
+    // Close an unfinished checkout so the held seat can't be paid for later
+    if (registration.status === 'pending_payment') {
+      await getPaymentProvider().cancelCheckout(registration.payment_id);
+    }
+
+    await db.exec(
+      `UPDATE registrations
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, hold_expires_at = NULL, qr_code = NULL,
+           payment_status = CASE WHEN payment_status = 'pending' THEN 'cancelled' ELSE payment_status END
+       WHERE id = ?`,
+      [registration.id]
+    );
+
+    const refund = registration.status === 'confirmed'
+      ? await recordRefund(registration, registration)
+      : null;
+
+    await enqueueUserEmail(userId, 'registrationCancelled', {
+      event: { id: eventId, title: registration.title, date: registration.date, location: registration.location },
+      reason: refund && refund.amount > 0
+        ? `A refund of ${refund.amount.toFixed(2)} ${CURRENCY} is on its way to your original payment method.`
+        : null
+    });
+
+    // Session picks only make sense while holding a seat at the event
+    await releaseSessionPicks(eventId, userId);
+
+    // A cancelled ticket can't be handed on
+    await db.exec(
+      `UPDATE ticket_transfers SET status = 'cancelled' WHERE registration_id = ? AND status = 'pending'`,
+      [registration.id]
+    );
+
+    // A freed seat goes to the oldest waitlisted registration
+    const promoted = ['confirmed', 'pending_payment'].includes(registration.status)
+      ? await promoteWaitlist(eventId)
+      : [];
+
+    await db.exec('COMMIT');
+
+    // Money only moves once the cancellation is committed
+    if (refund && refund.status === 'pending') {
+      refund.status = await issueRefund(refund);
+    }
+
+    // Invalidate cache
+    await redis.del(`events:*`);
+
+    res.json({
+      message: 'Registration cancelled successfully',
+      refund: refund && { amount: refund.amount, currency: CURRENCY, policy: refund.policy, status: refund.status },
+      promotedCount: promoted.length
+    });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error cancelling registration:', error);
+    res.status(500).json({ error: 'Failed to cancel registration' });
+  }
+});
+
+// Reissue a ticket, revoking the current one (organizer or ticket holder)
+router.post('/:id/registrations/:registrationId/ticket', authenticateToken, async (req, res) => {
+  const { id: eventId, registrationId } = req.params;
+
+  try {
+    await db.exec('BEGIN');
+
+    const [registration] = await db.query(
+      `SELECT r.id, r.user_id, r.status, e.organizer_id
+       FROM registrations r
+       JOIN events e ON r.event_id = e.id
+       WHERE r.id = ? AND r.event_id = ?`,
+      [registrationId, eventId]
+    );
+
+    if (!registration) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    if (registration.user_id !== req.user.id && registration.organizer_id !== req.user.id) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Not authorized to reissue this ticket' });
+    }
+
+    if (registration.status !== 'confirmed') {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Only confirmed registrations have tickets' });
+    }
+
+    const qrCode = await reissueTicket(registrationId, req.body.reason || 'reissued');
+
+    await db.exec('COMMIT');
+
+    res.json({ message: 'Ticket reissued successfully', qrCode });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error reissuing ticket:', error);
+    res.status(500).json({ error: 'Failed to reissue ticket' });
+  }
+});
+
+// Get revoked tickets for offline scanners (organizer only)
+router.get('/:id/tickets/revocations', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to view tickets for this event' });
+    }
+
+    const revocations = await db.query(
+      `SELECT registration_id, ticket_version, reason, revoked_at
+       FROM ticket_revocations
+       WHERE event_id = ?
+       ORDER BY revoked_at ASC`,
+      [id]
+    );
+
+    res.json({ verificationKey: getVerificationKey(), revocations });
+  } catch (error) {
+    console.error('Error fetching ticket revocations:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket revocations' });
+  }
+});
+
+// Check in an attendee from a scanned ticket (organizer only)
+router.post('/:id/check-in', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  const { id: eventId } = req.params;
+  const { payload } = req.body;
+
+  if (!payload || typeof payload !== 'string') {
+    return res.status(400).json({ error: 'Scanned ticket payload is required', code: 'INVALID_PAYLOAD' });
+  }
+
+  try {
+    await db.exec('BEGIN');
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [eventId, req.user.id]
+    );
+
+    if (!event) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Not authorized to check in attendees for this event' });
+    }
+
+    const result = await checkInTicket(eventId, payload);
+
+    if (result.error) {
+      await db.exec('ROLLBACK');
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code,
+        checkInTime: result.checkInTime
+      });
+    }
+
+    const { registration, checkInTime } = result;
+
+    await db.exec('COMMIT');
+
+    res.json({
+      message: 'Checked in successfully',
+      registrationId: registration.id,
+      attendee: { name: registration.name, email: registration.email },
+      checkInTime
+    });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error checking in attendee:', error);
+    res.status(500).json({ error: 'Failed to check in attendee' });
+  }
+});
+
+// Get live check-in count (organizer only)
+router.get('/:id/check-in/stats', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id, capacity FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to view check-ins for this event' });
+    }
+
+    const [stats] = await db.query(
+      `SELECT 
+          COUNT(CASE WHEN status = 'attended' THEN 1 END) as checked_in,
+          COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as not_checked_in,
+          MAX(check_in_time) as last_check_in
+       FROM registrations
+       WHERE event_id = ?`,
+      [id]
+    );
+
+    res.json({
+      eventId: id,
+      capacity: event.capacity,
+      checkedIn: stats.checked_in,
+      notCheckedIn: stats.not_checked_in,
+      expected: stats.checked_in + stats.not_checked_in,
+      lastCheckIn: stats.last_check_in
+    });
+  } catch (error) {
+    console.error('Error fetching check-in stats:', error);
+    res.status(500).json({ error: 'Failed to fetch check-in stats' });
+  }
+});
+
+// Submit feedback for an event the user attended
+router.post('/:id/feedback', authenticateToken, async (req, res) => {
+  const { id: eventId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const validatedData = feedbackSchema.parse(req.body);
+
+    await db.exec('BEGIN');
+
+    const [registration] = await db.query(
+      `SELECT r.id, e.date
+       FROM registrations r
+       JOIN events e ON r.event_id = e.id
+       WHERE r.event_id = ? AND r.user_id = ? AND r.status IN ('confirmed', 'attended')`,
+      [eventId, userId]
+    );
+
+    if (!registration) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Only attendees of this event can submit feedback' });
+    }
+
+    if (new Date(registration.date) > new Date()) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Feedback opens once the event has taken place' });
+    }
+
+    const [existingFeedback] = await db.query(
+      'SELECT id FROM event_feedback WHERE event_id = ? AND user_id = ?',
+      [eventId, userId]
+    );
+
+    if (existingFeedback) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'Feedback already submitted for this event', id: existingFeedback.id });
+    }
+
+    const feedbackId = randomUUID();
+
+    await db.exec(
+      `INSERT INTO event_feedback (id, event_id, user_id, rating, feedback_text, anonymous, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        feedbackId,
+        eventId,
+        userId,
+        validatedData.rating,
+        validatedData.feedback_text || null,
+        validatedData.anonymous ? 1 : 0
+      ]
+    );
+
+    await db.exec(
+      'UPDATE registrations SET feedback_submitted = 1 WHERE id = ?',
+      [registration.id]
+    );
+
+    await db.exec('COMMIT');
+
+    res.status(201).json({ id: feedbackId, message: 'Feedback submitted successfully' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error submitting feedback:', error);
+    res.status(500).json({ error: 'Failed to submit feedback' });
+  }
+});
+
+// Get the user's own feedback for an event
+router.get('/:id/feedback/mine', authenticateToken, async (req, res) => {
+  try {
+    const [feedback] = await db.query(
+      `SELECT *, created_at >= datetime('now', ?) as editable
+       FROM event_feedback
+       WHERE event_id = ? AND user_id = ?`,
+      [`-${FEEDBACK_EDIT_WINDOW_HOURS} hours`, req.params.id, req.user.id]
+    );
+
+    if (!feedback) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    feedback.editable = Boolean(feedback.editable);
+    res.json(feedback);
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ error: 'Failed to fetch feedback' });
+  }
+});
+
+// Edit feedback within the edit window
+router.put('/:id/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { id: eventId } = req.params;
+    const validatedData = feedbackSchema.parse(req.body);
+
+    const [feedback] = await db.query(
+      `SELECT id, created_at >= datetime('now', ?) as editable
+       FROM event_feedback
+       WHERE event_id = ? AND user_id = ?`,
+      [`-${FEEDBACK_EDIT_WINDOW_HOURS} hours`, eventId, req.user.id]
+    );
+
+    if (!feedback) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    if (!feedback.editable) {
+      return res.status(403).json({
+        error: `Feedback can only be edited within ${FEEDBACK_EDIT_WINDOW_HOURS} hours of submission`
+      });
+    }
+
+    await db.exec(
+      `UPDATE event_feedback
+       SET rating = ?, feedback_text = ?, anonymous = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        validatedData.rating,
+        validatedData.feedback_text || null,
+        validatedData.anonymous ? 1 : 0,
+        feedback.id
+      ]
+    );
+
+    res.json({ message: 'Feedback updated successfully' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    console.error('Error updating feedback:', error);
+    res.status(500).json({ error: 'Failed to update feedback' });
+  }
+});
+
+// Get event announcements with the user's read status. The organizer also
+// sees scheduled announcements that are not published yet.
+router.get('/:id/announcements', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [event] = await db.query('SELECT id, status, organizer_id FROM events WHERE id = ?', [id]);
+    if (!event || !canViewEvent(event, req.user)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const announcements = event.organizer_id === req.user.id
+      ? await db.query(
+        `SELECT a.*, u.name as created_by_name
+         FROM announcements a
+         LEFT JOIN users u ON a.created_by = u.id
+         WHERE a.event_id = ? AND a.deleted_at IS NULL
+         ORDER BY a.published_at IS NULL DESC, ${PRIORITY_ORDER}`,
+        [id]
+      )
+      : await getEventAnnouncements(id);
+
+    const reads = await db.query(
+      `SELECT ar.announcement_id, ar.read_at
+       FROM announcement_reads ar
+       JOIN announcements a ON ar.announcement_id = a.id
+       WHERE a.event_id = ? AND ar.user_id = ?`,
+      [id, req.user.id]
+    );
+    const readAt = new Map(reads.map(read => [read.announcement_id, read.read_at]));
+
+    res.json(announcements.map(announcement => ({
+      ...announcement,
+      is_read: readAt.has(announcement.id),
+      read_at: readAt.get(announcement.id) || null
+    })));
+  } catch (error) {
+    console.error('Error fetching announcements:', error);
+    res.status(500).json({ error: 'Failed to fetch announcements' });
+  }
+});
+
+// Post an announcement, now or at a scheduled time (organizer only)
+router.post('/:id/announcements', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = announcementSchema.parse(req.body);
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to post announcements for this event' });
+    }
+
+    const scheduled = validatedData.publish_at && new Date(validatedData.publish_at) > new Date();
+    const announcementId = randomUUID();
+
+    await db.exec(
+      `INSERT INTO announcements (
+        id, event_id, title, content, priority, created_by, created_at, publish_at, published_at
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, datetime(?), ${scheduled ? 'NULL' : 'CURRENT_TIMESTAMP'})`,
+      [
+        announcementId,
+        id,
+        validatedData.title,
+        validatedData.content,
+        validatedData.priority,
+        req.user.id,
+        scheduled ? validatedData.publish_at : null
+      ]
+    );
+
+    const [announcement] = await db.query(
+      'SELECT * FROM announcements WHERE id = ?',
+      [announcementId]
+    );
+
+    let delivery = null;
+    if (!scheduled) {
+      await redis.del(`event:${id}:announcements`);
+      delivery = await dispatchAnnouncement(announcement);
+    }
+
+    res.status(201).json({ ...announcement, delivery });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    console.error('Error creating announcement:', error);
+    res.status(500).json({ error: 'Failed to create announcement' });
+  }
+});
+
+// Edit an announcement, keeping the previous version (organizer only)
+router.put('/:id/announcements/:announcementId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, announcementId } = req.params;
+    const validatedData = announcementSchema.parse(req.body);
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to edit announcements for this event' });
+    }
+
+    const [announcement] = await db.query(
+      'SELECT * FROM announcements WHERE id = ? AND event_id = ? AND deleted_at IS NULL',
+      [announcementId, id]
+    );
+
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    if (announcement.published_at && validatedData.publish_at) {
+      return res.status(400).json({ error: 'Announcement has already been published' });
+    }
+
+    await db.exec('BEGIN');
+
+    await recordRevision(announcement, 'edited', req.user.id);
+
+    // Only unpublished announcements can be rescheduled
+    await db.exec(
+      `UPDATE announcements
+       SET title = ?, content = ?, priority = ?, publish_at = COALESCE(datetime(?), publish_at),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        validatedData.title,
+        validatedData.content,
+        validatedData.priority,
+        validatedData.publish_at || null,
+        announcementId
+      ]
+    );
+
+    await db.exec('COMMIT');
+    await redis.del(`event:${id}:announcements`);
+
+    const [updatedAnnouncement] = await db.query(
+      'SELECT * FROM announcements WHERE id = ?',
+      [announcementId]
+    );
+
+    res.json(updatedAnnouncement);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error updating announcement:', error);
+    res.status(500).json({ error: 'Failed to update announcement' });
+  }
+});
+
+// Delete an announcement, keeping it in the history (organizer only)
+router.delete('/:id/announcements/:announcementId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, announcementId } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to delete announcements for this event' });
+    }
+
+    const [announcement] = await db.query(
+      'SELECT * FROM announcements WHERE id = ? AND event_id = ? AND deleted_at IS NULL',
+      [announcementId, id]
+    );
+
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await db.exec('BEGIN');
+    await recordRevision(announcement, 'deleted', req.user.id);
+    await db.exec(
+      'UPDATE announcements SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [announcementId]
+    );
+    await db.exec('COMMIT');
+
+    await redis.del(`event:${id}:announcements`);
+
+    res.json({ message: 'Announcement deleted successfully' });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error deleting announcement:', error);
+    res.status(500).json({ error: 'Failed to delete announcement' });
+  }
+});
+
+// Get the edit history of an announcement (organizer only)
+router.get('/:id/announcements/:announcementId/history', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, announcementId } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to view announcements for this event' });
+    }
+
+    const [announcement] = await db.query(
+      'SELECT * FROM announcements WHERE id = ? AND event_id = ?',
+      [announcementId, id]
+    );
+
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const revisions = await db.query(
+      `SELECT r.*, u.name as changed_by_name
+       FROM announcement_revisions r
+       LEFT JOIN users u ON r.changed_by = u.id
+       WHERE r.announcement_id = ?
+       ORDER BY r.changed_at DESC, r.rowid DESC`,
+      [announcementId]
+    );
+
+    res.json({ current: announcement, revisions });
+  } catch (error) {
+    console.error('Error fetching announcement history:', error);
+    res.status(500).json({ error: 'Failed to fetch announcement history' });
+  }
+});
+
+// Get event attendees (organizer only)
+router.get('/:id/attendees', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is the organizer
+    const events = await db.query(
+      'SELECT * FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (events.length === 0) {
+      return res.status(403).json({ error: 'Not authorized to view attendees' });
+    }
+
+    const list = parseListQuery(req.query, ATTENDEE_LIST_OPTIONS);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const result = await paginate({
+      sql: `SELECT u.id, u.name, u.email, r.id as registration_id, r.registration_time, r.status, r.check_in_time,
+                   t.id as ticket_type_id, t.name as ticket_type_name
+            FROM registrations r
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN ticket_types t ON r.ticket_type = t.id
+            WHERE r.event_id = ?`,
+      params: [id],
+      // Fields are picked once the answers are attached
+      list: { ...list, fields: null },
+      idColumn: 'r.id',
+      idKey: 'registration_id'
+    });
+
+    // Answers to the event's registration form
+    const answers = await getEventAnswers(id);
+
+    const attendees = result.rows.map(attendee => ({
+      ...attendee,
+      answers: answers.get(attendee.registration_id) || []
+    }));
+
+    setPaginationHeaders(req, res, result);
+    res.json(selectFields(attendees, list.fields));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch attendees' });
+  }
+});
+
+// Export the attendee list as CSV or a spreadsheet (organizer only).
+// ?columns=name,email picks and orders the columns.
+router.get('/:id/attendees/export', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'csv';
+    const columnKeys = req.query.columns
+      ? String(req.query.columns).split(',').map(key => key.trim()).filter(Boolean)
+      : Object.keys(ATTENDEE_EXPORT_COLUMNS);
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format; use one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const unknownColumns = columnKeys.filter(key => !ATTENDEE_EXPORT_COLUMNS[key]);
+    if (unknownColumns.length > 0 || columnKeys.length === 0) {
+      return res.status(400).json({
+        error: 'Unknown columns',
+        columns: unknownColumns,
+        allowed: Object.keys(ATTENDEE_EXPORT_COLUMNS)
+      });
+    }
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to view attendees' });
+    }
+
+    // Column SQL comes from the whitelist above, never from the request
+    const select = columnKeys.map(key => `${ATTENDEE_EXPORT_COLUMNS[key].sql} as ${key}`).join(', ');
+
+    await streamExport(res, {
+      format,
+      filename: `attendees-${id}`,
+      columns: columnKeys.map(key => ({ key, label: ATTENDEE_EXPORT_COLUMNS[key].label })),
+      fetchPage: (limit, offset) => db.query(
+        `SELECT ${select}
+         FROM registrations r
+         JOIN users u ON r.user_id = u.id
+         LEFT JOIN ticket_types t ON r.ticket_type = t.id
+         WHERE r.event_id = ?
+         ORDER BY r.registration_time ASC, r.id ASC
+         LIMIT ? OFFSET ?`,
+        [id, limit, offset]
+      )
+    });
+  } catch (error) {
+    console.error('Error exporting attendees:', error);
+    // Once streaming has started, cut the connection so the client doesn't
+    // mistake a partial file for a complete one
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Failed to export attendees' });
   }
 });
 
@@ -0,0 +1,299 @@
+import express from 'express';
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { redis } from '../index.js';
+import { enqueueUserEmail } from '../services/email/index.js';
+import { startGroupCheckout } from '../services/payments/index.js';
+import { createInvitation } from '../services/invitations.js';
+import { applyDiscount, resolvePromoCode } from '../services/promoCodes.js';
+import { INACTIVE_STATUSES, saveRegistration } from '../services/registrations.js';
+import { saveAnswers, validateAnswers } from '../services/registrationForms.js';
+import { issueTicket } from '../services/tickets.js';
+import { getTicketPrice, resolveTicketType } from '../services/ticketTypes.js';
+
+// Mounted under /api/events/:id/group-registrations
+const router = express.Router({ mergeParams: true });
+
+const MAX_GROUP_SIZE = 50;
+
+// Admins register groups for any event and organizers for their own. Any
+// attendee can act as a team lead registering their colleagues.
+const GROUP_REGISTRANT_ROLES = ['admin', 'organizer', 'attendee'];
+
+const groupRegistrationSchema = z.object({
+  attendees: z.array(z.object({
+    email: z.string().email().transform(val => val.toLowerCase()),
+    name: z.string().min(2).max(100).optional(),
+    // Answers to the event's registration form, checked per attendee below
+    answers: z.record(z.unknown()).optional()
+  })).min(1).max(MAX_GROUP_SIZE),
+  ticketTypeId: z.string().optional(),
+  promoCode: z.string().trim().max(32).optional()
+}).refine(data => new Set(data.attendees.map(attendee => attendee.email)).size === data.attendees.length, {
+  message: 'Each attendee can only be listed once',
+  path: ['attendees']
+});
+
+// Register a list of attendees in one go. Either everyone gets a seat or
+// nobody is registered; paid events are paid for with a single checkout.
+router.post('/', authenticateToken, authorize(GROUP_REGISTRANT_ROLES), async (req, res) => {
+  const { id: eventId } = req.params;
+
+  try {
+    const validatedData = groupRegistrationSchema.parse(req.body);
+    const { attendees } = validatedData;
+
+    await db.exec('BEGIN');
+
+    const [event] = await db.query(
+      `SELECT e.*,
+              (SELECT COUNT(*) FROM registrations
+               WHERE event_id = e.id AND status IN ('confirmed', 'attended', 'pending_payment')) as registered_count
+       FROM events e WHERE e.id = ?`,
+      [eventId]
+    );
+
+    if (!event) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (req.user.role === 'organizer' && event.organizer_id !== req.user.id) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Not authorized to register groups for this event' });
+    }
+
+    if (event.status !== 'published') {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'Event is not open for registration' });
+    }
+
+    if (event.registration_deadline && new Date(event.registration_deadline) < new Date()) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Registration deadline has passed' });
+    }
+
+    const { ticketType, error: ticketTypeError } = await resolveTicketType(eventId, validatedData.ticketTypeId);
+    if (ticketTypeError) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: ticketTypeError });
+    }
+
+    let promoCode = null;
+    if (validatedData.promoCode) {
+      let promoCodeError;
+      ({ promoCode, error: promoCodeError } = await resolvePromoCode(eventId, validatedData.promoCode, ticketType?.id));
+
+      if (!promoCodeError && !getTicketPrice(event, ticketType)) {
+        promoCodeError = 'Promo codes only apply to paid tickets';
+      }
+
+      if (!promoCodeError && promoCode.remaining_uses !== null && promoCode.remaining_uses < attendees.length) {
+        promoCodeError = `Promo code only has ${promoCode.remaining_uses} uses left`;
+      }
+
+      if (promoCodeError) {
+        await db.exec('ROLLBACK');
+        return res.status(400).json({ error: promoCodeError });
+      }
+    }
+
+    // All or nothing: the whole group has to fit
+    const seatsLeft = Math.max(event.capacity - event.registered_count, 0);
+    const typeSeatsLeft = ticketType?.available ?? Infinity;
+
+    if (attendees.length > Math.min(seatsLeft, typeSeatsLeft)) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({
+        error: 'Not enough seats for the whole group',
+        seatsLeft: Math.min(seatsLeft, typeSeatsLeft)
+      });
+    }
+
+    // Match attendees to accounts and their existing registrations
+    const members = [];
+    for (const attendee of attendees) {
+      const [user] = await db.query(
+        'SELECT id, name, email, status FROM users WHERE lower(email) = ?',
+        [attendee.email]
+      );
+      const [existing] = user
+        ? await db.query(
+          'SELECT id, status FROM registrations WHERE event_id = ? AND user_id = ?',
+          [eventId, user.id]
+        )
+        : [];
+
+      members.push({ attendee, user, existing });
+    }
+
+    const alreadyRegistered = members
+      .filter(member => member.existing && !INACTIVE_STATUSES.includes(member.existing.status))
+      .map(member => member.attendee.email);
+
+    if (alreadyRegistered.length > 0) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'Some attendees are already registered', emails: alreadyRegistered });
+    }
+
+    const missingNames = members
+      .filter(member => !member.user && !member.attendee.name)
+      .map(member => member.attendee.email);
+
+    if (missingNames.length > 0) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'A name is needed to invite new attendees', emails: missingNames });
+    }
+
+    const invalidAnswers = [];
+    for (const member of members) {
+      const { answers, error } = await validateAnswers(eventId, member.attendee.answers);
+      if (error) {
+        invalidAnswers.push({ email: member.attendee.email, details: error.errors });
+      }
+      member.answers = answers;
+    }
+
+    if (invalidAnswers.length > 0) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Validation error', attendees: invalidAnswers });
+    }
+
+    const { amount: price, discount } = applyDiscount(getTicketPrice(event, ticketType), promoCode);
+    const status = price > 0 ? 'pending_payment' : 'confirmed';
+    const orderId = randomUUID();
+    const eventSummary = { id: event.id, title: event.title, date: event.date, location: event.location };
+
+    await db.exec(
+      `INSERT INTO registration_orders (id, event_id, purchaser_id, attendee_count, total_amount, status, created_at)
+       VALUES (?, ?, ?, ?, 0, ?, CURRENT_TIMESTAMP)`,
+      [orderId, eventId, req.user.id, attendees.length, status]
+    );
+
+    const [purchaser] = await db.query('SELECT name FROM users WHERE id = ?', [req.user.id]);
+
+    const registered = [];
+    for (const member of members) {
+      let { user } = member;
+      const invited = !user || user.status === 'invited';
+
+      // Attendees without an account get one, activated through an emailed
+      // invitation so only the owner of the address can claim it
+      if (!user) {
+        user = { id: randomUUID(), name: member.attendee.name, email: member.attendee.email };
+        await db.exec(
+          `INSERT INTO users (id, name, email, password, role, status, created_at)
+           VALUES (?, ?, ?, '', 'attendee', 'invited', CURRENT_TIMESTAMP)`,
+          [user.id, user.name, user.email]
+        );
+      }
+
+      const registration = await saveRegistration({
+        existing: member.existing,
+        eventId,
+        userId: user.id,
+        status,
+        ticketTypeId: ticketType?.id,
+        promoCodeId: promoCode?.id,
+        discount: promoCode ? discount : null,
+        orderId,
+        registeredBy: req.user.id
+      });
+      await saveAnswers(registration.id, member.answers);
+
+      if (invited) {
+        await createInvitation(user.id, req.user.id, {
+          template: 'groupRegistrationInvite',
+          data: { event: eventSummary, registeredBy: purchaser.name }
+        });
+      }
+
+      // Paid seats are ticketed once the order's payment lands
+      if (status === 'confirmed') {
+        const qrCode = await issueTicket(registration);
+        await enqueueUserEmail(user.id, 'registrationConfirmed', { event: eventSummary, qrCode });
+      }
+
+      registered.push({ registration, user, invited });
+    }
+
+    let checkout = null;
+    if (status === 'pending_payment') {
+      checkout = await startGroupCheckout(
+        { id: orderId },
+        registered.map(({ registration }) => ({ id: registration.id, amount: price })),
+        event
+      );
+      await enqueueUserEmail(req.user.id, 'paymentRequired', { event: eventSummary, ...checkout });
+    }
+
+    await db.exec('COMMIT');
+
+    // Invalidate cache
+    await redis.del(`events:*`);
+
+    res.status(status === 'pending_payment' ? 202 : 201).json({
+      orderId,
+      status,
+      attendees: registered.map(({ registration, user, invited }) => ({
+        registrationId: registration.id,
+        userId: user.id,
+        name: user.name,
+        email: user.email,
+        invited
+      })),
+      checkout
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error registering group:', error);
+    res.status(500).json({ error: 'Failed to register group' });
+  }
+});
+
+// Get a group order and its attendees (purchaser or event organizer)
+router.get('/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const { id: eventId, orderId } = req.params;
+
+    const [order] = await db.query(
+      'SELECT * FROM registration_orders WHERE id = ? AND event_id = ?',
+      [orderId, eventId]
+    );
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const [event] = await db.query('SELECT organizer_id FROM events WHERE id = ?', [eventId]);
+
+    if (order.purchaser_id !== req.user.id && event.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    const attendees = await db.query(
+      `SELECT r.id as registration_id, u.id as user_id, u.name, u.email, u.status = 'invited' as invited,
+              r.status, r.payment_status, r.amount_due, r.amount_paid
+       FROM registrations r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.order_id = ?
+       ORDER BY u.name ASC`,
+      [orderId]
+    );
+
+    res.json({
+      ...order,
+      attendees: attendees.map(attendee => ({ ...attendee, invited: Boolean(attendee.invited) }))
+    });
+  } catch (error) {
+    console.error('Error fetching group order:', error);
+    res.status(500).json({ error: 'Failed to fetch group order' });
+  }
+});
+
+export default router;
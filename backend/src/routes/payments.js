@@ -0,0 +1,117 @@
+import express from 'express';
+import db from '../db/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { redis } from '../index.js';
+import { getPaymentProvider, handlePaymentEvent } from '../services/payments/index.js';
+
+const router = express.Router();
+
+// Verify and apply a webhook from the payment provider
+const processWebhook = async (rawBody, headers) => {
+  const paymentEvent = getPaymentProvider().parseWebhook(rawBody, headers);
+  if (!paymentEvent) {
+    return { status: 400, body: { error: 'Invalid webhook signature' } };
+  }
+
+  try {
+    await db.exec('BEGIN');
+    const result = await handlePaymentEvent(paymentEvent);
+    await db.exec('COMMIT');
+
+    await redis.del(`events:*`);
+
+    return { status: result.handled ? 200 : 422, body: result };
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+};
+
+// Payment provider webhook
+router.post('/webhook', async (req, res) => {
+  try {
+    const { status, body } = await processWebhook(req.rawBody, req.headers);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({ error: 'Failed to process payment webhook' });
+  }
+});
+
+// The mock gateway's checkout page and its pay/decline buttons. Only mounted
+// while the mock provider is in use.
+const requireMockProvider = (req, res, next) => {
+  if (getPaymentProvider().name !== 'mock') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+// Find the caller's registration or group order behind a mock checkout. A
+// group order is paid by its purchaser, who need not be one of its attendees.
+const findCheckout = async (paymentId, userId) => {
+  const [registration] = await db.query(
+    'SELECT id FROM registrations WHERE payment_id = ? AND user_id = ?',
+    [paymentId, userId]
+  );
+
+  if (registration) {
+    return { registrationId: registration.id };
+  }
+
+  const [order] = await db.query(
+    'SELECT id FROM registration_orders WHERE payment_id = ? AND purchaser_id = ?',
+    [paymentId, userId]
+  );
+
+  return order ? { orderId: order.id } : null;
+};
+
+// View a mock checkout
+router.get('/mock/:paymentId', authenticateToken, requireMockProvider, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const checkout = await findCheckout(paymentId, req.user.id);
+    const payment = getPaymentProvider().getPayment(paymentId);
+
+    if (!checkout || !payment) {
+      return res.status(404).json({ error: 'Checkout not found' });
+    }
+
+    res.json({ ...payment, ...checkout });
+  } catch (error) {
+    console.error('Error fetching mock checkout:', error);
+    res.status(500).json({ error: 'Failed to fetch checkout' });
+  }
+});
+
+// Complete a mock checkout, delivering the resulting webhook locally
+router.post('/mock/:paymentId', authenticateToken, requireMockProvider, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { outcome } = req.body;
+
+    if (!['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({ error: 'Outcome must be success or failure' });
+    }
+
+    const checkout = await findCheckout(paymentId, req.user.id);
+    if (!checkout) {
+      return res.status(404).json({ error: 'Checkout not found' });
+    }
+
+    const webhook = getPaymentProvider().simulate(paymentId, outcome);
+    if (!webhook) {
+      return res.status(409).json({ error: 'Checkout is no longer open' });
+    }
+
+    const { status, body } = await processWebhook(Buffer.from(webhook.body), webhook.headers);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error completing mock checkout:', error);
+    res.status(500).json({ error: 'Failed to complete checkout' });
+  }
+});
+
+export default router;
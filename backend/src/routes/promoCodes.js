@@ -0,0 +1,262 @@
+import express from 'express';
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { getPromoCodes, normalizeCode, setPromoCodeTicketTypes } from '../services/promoCodes.js';
+
+// Mounted under /api/events/:id/promo-codes. Everything here is organizer only.
+const router = express.Router({ mergeParams: true });
+
+const promoCodeSchema = z.object({
+  code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,32}$/, 'Codes are 3-32 letters, digits, dashes or underscores'),
+  discount_type: z.enum(['percentage', 'fixed']),
+  discount_value: z.number().positive(),
+  max_uses: z.number().int().positive().optional(),
+  expires_at: z.string().datetime({ offset: true }).optional(),
+  ticket_type_ids: z.array(z.string()).default([]),
+  active: z.boolean().default(true)
+}).refine(data => data.discount_type !== 'percentage' || data.discount_value <= 100, {
+  message: 'A percentage discount cannot exceed 100',
+  path: ['discount_value']
+});
+
+// Check the caller organizes the event, answering 403 if not
+const loadEvent = async (req, res) => {
+  const [event] = await db.query(
+    'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+    [req.params.id, req.user.id]
+  );
+
+  if (!event) {
+    res.status(403).json({ error: 'Not authorized to manage promo codes for this event' });
+    return null;
+  }
+
+  return event;
+};
+
+// Ticket type ids that don't belong to the event
+const unknownTicketTypes = async (eventId, ticketTypeIds) => {
+  const ticketTypes = await db.query('SELECT id FROM ticket_types WHERE event_id = ?', [eventId]);
+  const known = ticketTypes.map(ticketType => ticketType.id);
+  return ticketTypeIds.filter(ticketTypeId => !known.includes(ticketTypeId));
+};
+
+// List promo codes with redemption counts
+router.get('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    if (!(await loadEvent(req, res))) {
+      return;
+    }
+
+    res.json(await getPromoCodes(req.params.id));
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// Create a promo code
+router.post('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = promoCodeSchema.parse(req.body);
+
+    if (!(await loadEvent(req, res))) {
+      return;
+    }
+
+    const unknown = await unknownTicketTypes(id, validatedData.ticket_type_ids);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown ticket types', ticketTypeIds: unknown });
+    }
+
+    const code = normalizeCode(validatedData.code);
+    const [existing] = await db.query(
+      'SELECT id FROM promo_codes WHERE event_id = ? AND code = ?',
+      [id, code]
+    );
+
+    if (existing) {
+      return res.status(409).json({ error: 'Promo code already exists for this event' });
+    }
+
+    const promoCodeId = randomUUID();
+
+    await db.exec('BEGIN');
+
+    await db.exec(
+      `INSERT INTO promo_codes (
+        id, event_id, code, discount_type, discount_value, max_uses, expires_at, active, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, datetime(?), ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        promoCodeId,
+        id,
+        code,
+        validatedData.discount_type,
+        validatedData.discount_value,
+        validatedData.max_uses || null,
+        validatedData.expires_at || null,
+        validatedData.active ? 1 : 0,
+        req.user.id
+      ]
+    );
+
+    await setPromoCodeTicketTypes(promoCodeId, validatedData.ticket_type_ids);
+
+    await db.exec('COMMIT');
+
+    const [promoCode] = await getPromoCodes(id, promoCodeId);
+
+    res.status(201).json(promoCode);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error creating promo code:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// Update a promo code. Redemptions made so far keep their discount.
+router.put('/:promoCodeId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, promoCodeId } = req.params;
+    const validatedData = promoCodeSchema.parse(req.body);
+
+    if (!(await loadEvent(req, res))) {
+      return;
+    }
+
+    const [promoCode] = await getPromoCodes(id, promoCodeId);
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const unknown = await unknownTicketTypes(id, validatedData.ticket_type_ids);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown ticket types', ticketTypeIds: unknown });
+    }
+
+    const code = normalizeCode(validatedData.code);
+    const [clash] = await db.query(
+      'SELECT id FROM promo_codes WHERE event_id = ? AND code = ? AND id != ?',
+      [id, code, promoCodeId]
+    );
+
+    if (clash) {
+      return res.status(409).json({ error: 'Promo code already exists for this event' });
+    }
+
+    if (validatedData.max_uses && validatedData.max_uses < promoCode.redemptions) {
+      return res.status(400).json({ error: `Usage limit cannot go below the ${promoCode.redemptions} redemptions so far` });
+    }
+
+    await db.exec('BEGIN');
+
+    await db.exec(
+      `UPDATE promo_codes
+       SET code = ?, discount_type = ?, discount_value = ?, max_uses = ?, expires_at = datetime(?), active = ?
+       WHERE id = ?`,
+      [
+        code,
+        validatedData.discount_type,
+        validatedData.discount_value,
+        validatedData.max_uses || null,
+        validatedData.expires_at || null,
+        validatedData.active ? 1 : 0,
+        promoCodeId
+      ]
+    );
+
+    await setPromoCodeTicketTypes(promoCodeId, validatedData.ticket_type_ids);
+
+    await db.exec('COMMIT');
+
+    const [updatedPromoCode] = await getPromoCodes(id, promoCodeId);
+
+    res.json(updatedPromoCode);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error updating promo code:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// Delete a promo code nobody has redeemed
+router.delete('/:promoCodeId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, promoCodeId } = req.params;
+
+    if (!(await loadEvent(req, res))) {
+      return;
+    }
+
+    const [promoCode] = await db.query(
+      'SELECT id FROM promo_codes WHERE id = ? AND event_id = ?',
+      [promoCodeId, id]
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const [{ count }] = await db.query(
+      'SELECT COUNT(*) as count FROM registrations WHERE promo_code_id = ?',
+      [promoCodeId]
+    );
+
+    if (count > 0) {
+      return res.status(409).json({ error: 'Promo code has been redeemed; deactivate it instead' });
+    }
+
+    await db.exec('BEGIN');
+    await db.exec('DELETE FROM promo_code_ticket_types WHERE promo_code_id = ?', [promoCodeId]);
+    await db.exec('DELETE FROM promo_codes WHERE id = ?', [promoCodeId]);
+    await db.exec('COMMIT');
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error deleting promo code:', error);
+    res.status(500).json({ error: 'Failed to delete promo code' });
+  }
+});
+
+// Redemptions of a code, including ones since cancelled
+router.get('/:promoCodeId/redemptions', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, promoCodeId } = req.params;
+
+    if (!(await loadEvent(req, res))) {
+      return;
+    }
+
+    const [promoCode] = await getPromoCodes(id, promoCodeId);
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const redemptions = await db.query(
+      `SELECT r.id as registration_id, u.id as user_id, u.name, u.email, r.status,
+              r.registration_time, r.discount_amount, r.amount_due, r.amount_paid
+       FROM registrations r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.promo_code_id = ?
+       ORDER BY r.registration_time DESC`,
+      [promoCodeId]
+    );
+
+    res.json({ promoCode, redemptions });
+  } catch (error) {
+    console.error('Error fetching promo code redemptions:', error);
+    res.status(500).json({ error: 'Failed to fetch promo code redemptions' });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { INACTIVE_STATUSES } from '../services/registrations.js';
+import { getFormQuestions, saveAnswers, validateAnswers } from '../services/registrationForms.js';
+
+// Mounted under /api/events/:id/form
+const router = express.Router({ mergeParams: true });
+
+const questionSchema = z.object({
+  id: z.string().optional(),
+  label: z.string().trim().min(1).max(200),
+  help_text: z.string().max(500).optional(),
+  type: z.enum(['text', 'choice', 'checkbox']),
+  required: z.boolean().default(false),
+  options: z.array(z.string().trim().min(1).max(100)).optional()
+}).refine(data => data.type !== 'choice' || (data.options && data.options.length >= 2), {
+  message: 'Choice questions need at least two options',
+  path: ['options']
+}).refine(data => !data.options || new Set(data.options).size === data.options.length, {
+  message: 'Options must be unique',
+  path: ['options']
+});
+
+const formSchema = z.object({
+  questions: z.array(questionSchema).max(50)
+});
+
+// Get the registration form
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [event] = await db.query('SELECT id FROM events WHERE id = ?', [req.params.id]);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json({ questions: await getFormQuestions(req.params.id) });
+  } catch (error) {
+    console.error('Error fetching registration form:', error);
+    res.status(500).json({ error: 'Failed to fetch registration form' });
+  }
+});
+
+// Replace the registration form (organizer only). Questions sent with their
+// id are updated in place; questions left out are archived.
+router.put('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questions } = formSchema.parse(req.body);
+
+    await db.exec('BEGIN');
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Not authorized to edit the registration form for this event' });
+    }
+
+    const current = await getFormQuestions(id);
+    const currentIds = current.map(question => question.id);
+    const unknown = questions.filter(question => question.id && !currentIds.includes(question.id));
+
+    if (unknown.length > 0) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Unknown question ids', questionIds: unknown.map(question => question.id) });
+    }
+
+    const keptIds = [];
+    for (const [index, question] of questions.entries()) {
+      const options = question.type === 'choice' ? JSON.stringify(question.options) : null;
+
+      if (question.id) {
+        keptIds.push(question.id);
+        await db.exec(
+          `UPDATE registration_questions
+           SET label = ?, help_text = ?, type = ?, required = ?, options = ?, sort_order = ?
+           WHERE id = ?`,
+          [question.label, question.help_text || null, question.type, question.required ? 1 : 0, options, index, question.id]
+        );
+      } else {
+        await db.exec(
+          `INSERT INTO registration_questions (
+            id, event_id, label, help_text, type, required, options, sort_order, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [randomUUID(), id, question.label, question.help_text || null, question.type, question.required ? 1 : 0, options, index]
+        );
+      }
+    }
+
+    for (const questionId of currentIds.filter(questionId => !keptIds.includes(questionId))) {
+      await db.exec(
+        'UPDATE registration_questions SET archived_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [questionId]
+      );
+    }
+
+    await db.exec('COMMIT');
+
+    res.json({ questions: await getFormQuestions(id) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error updating registration form:', error);
+    res.status(500).json({ error: 'Failed to update registration form' });
+  }
+});
+
+// Update your own answers, e.g. after receiving a transferred ticket
+router.put('/answers', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [registration] = await db.query(
+      'SELECT id, status FROM registrations WHERE event_id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!registration || INACTIVE_STATUSES.includes(registration.status)) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const { answers, error } = await validateAnswers(id, req.body.answers);
+    if (error) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+
+    await db.exec('BEGIN');
+    await saveAnswers(registration.id, answers);
+    await db.exec('COMMIT');
+
+    res.json({ message: 'Answers updated successfully', answers });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error updating answers:', error);
+    res.status(500).json({ error: 'Failed to update answers' });
+  }
+});
+
+export default router;
@@ -0,0 +1,192 @@
+import express from 'express';
+import { z } from 'zod';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { redis } from '../index.js';
+import { EDITABLE_EVENT_STATUSES, initialEventStatus } from '../services/eventLifecycle.js';
+import { toEventDetails, updateEvent } from '../services/events.js';
+import { createSeries, expandRecurrence, getSeries } from '../services/series.js';
+import { eventSchema } from './events.js';
+
+const router = express.Router();
+
+const dayOrDateTime = z.string().refine(val => !Number.isNaN(new Date(val).getTime()), {
+  message: 'Invalid date'
+});
+
+const endCondition = {
+  interval: z.number().int().min(1).max(12).default(1),
+  until: dayOrDateTime.optional(),
+  count: z.number().int().positive().optional(),
+  exceptions: z.array(dayOrDateTime).default([])
+};
+
+const recurrenceSchema = z.discriminatedUnion('frequency', [
+  z.object({
+    frequency: z.literal('weekly'),
+    start: dayOrDateTime,
+    daysOfWeek: z.array(z.number().int().min(0).max(6)).optional(),
+    ...endCondition
+  }),
+  z.object({
+    frequency: z.literal('monthly'),
+    start: dayOrDateTime,
+    ...endCondition
+  }),
+  z.object({
+    frequency: z.literal('dates'),
+    dates: z.array(dayOrDateTime).min(1),
+    exceptions: z.array(dayOrDateTime).default([])
+  })
+]).refine(rule => rule.frequency === 'dates' || rule.until || rule.count, {
+  message: 'Weekly and monthly series need an until date or a count',
+  path: ['until']
+});
+
+// Occurrences get their date from the rule and have no registration deadline
+const templateSchema = eventSchema.omit({ date: true, registration_deadline: true });
+
+const seriesSchema = templateSchema.extend({
+  recurrence: recurrenceSchema,
+  // Save the occurrences as drafts instead of publishing or submitting them
+  draft: z.boolean().default(false)
+});
+
+const occurrenceUpdateSchema = eventSchema.partial().extend({
+  scope: z.enum(['this', 'future'])
+}).refine(data => data.scope === 'this' || data.date === undefined, {
+  message: 'Only a single occurrence can be moved to another date',
+  path: ['date']
+});
+
+// Create a series and all of its occurrences
+router.post('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { recurrence, draft, ...template } = seriesSchema.parse(req.body);
+
+    const expanded = expandRecurrence(recurrence);
+    if (expanded.error) {
+      return res.status(400).json({ error: expanded.error });
+    }
+
+    const pastDate = expanded.dates.find(date => !eventSchema.shape.date.safeParse(date).success);
+    if (pastDate) {
+      return res.status(400).json({ error: `Occurrence on ${pastDate.slice(0, 10)} is in the past` });
+    }
+
+    await db.exec('BEGIN TRANSACTION');
+
+    const seriesId = await createSeries({
+      organizerId: req.user.id,
+      template,
+      recurrence,
+      dates: expanded.dates,
+      status: initialEventStatus(req.user.role, draft)
+    });
+
+    await db.exec('COMMIT');
+
+    await redis.del('events:*');
+
+    res.status(201).json(await getSeries(seriesId));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error creating event series:', error);
+    res.status(500).json({ error: 'Failed to create event series' });
+  }
+});
+
+// Get a series with its occurrences
+router.get('/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    const series = await getSeries(req.params.seriesId, req.user);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error('Error fetching event series:', error);
+    res.status(500).json({ error: 'Failed to fetch event series' });
+  }
+});
+
+// Edit one occurrence, or it and every later one. Only the fields sent are
+// changed, so details edited on a single occurrence survive other edits.
+router.put('/:seriesId/events/:eventId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { seriesId, eventId } = req.params;
+    const { scope, ...changes } = occurrenceUpdateSchema.parse(req.body);
+
+    const [series] = await db.query(
+      'SELECT * FROM event_series WHERE id = ? AND organizer_id = ?',
+      [seriesId, req.user.id]
+    );
+
+    if (!series) {
+      return res.status(403).json({ error: 'Not authorized to update this series' });
+    }
+
+    const [event] = await db.query(
+      'SELECT * FROM events WHERE id = ? AND series_id = ?',
+      [eventId, seriesId]
+    );
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event is not part of this series' });
+    }
+
+    if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+      return res.status(409).json({ error: `A ${event.status} event can no longer be edited` });
+    }
+
+    // Later occurrences that were cancelled or have finished are left alone
+    const occurrences = scope === 'this'
+      ? [event]
+      : await db.query(
+        `SELECT * FROM events WHERE series_id = ? AND date >= ? AND status IN (${EDITABLE_EVENT_STATUSES.map(() => '?').join(', ')})
+         ORDER BY date ASC`,
+        [seriesId, event.date, ...EDITABLE_EVENT_STATUSES]
+      );
+
+    await db.exec('BEGIN TRANSACTION');
+
+    let promotedCount = 0;
+    for (const occurrence of occurrences) {
+      const promoted = await updateEvent(occurrence, { ...toEventDetails(occurrence), ...changes });
+      promotedCount += promoted.length;
+    }
+
+    // Keep the template in step with the occurrences it describes
+    if (scope === 'future') {
+      const template = { ...JSON.parse(series.template), ...changes };
+      await db.exec(
+        'UPDATE event_series SET title = ?, template = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [template.title, JSON.stringify(template), seriesId]
+      );
+    }
+
+    await db.exec('COMMIT');
+
+    await redis.del('events:*');
+
+    res.json({
+      message: 'Series updated successfully',
+      updatedCount: occurrences.length,
+      promotedCount
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error updating event series:', error);
+    res.status(500).json({ error: 'Failed to update event series' });
+  }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import express from 'express';
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { getTicketTypes } from '../services/ticketTypes.js';
+
+// Mounted under /api/events/:id/ticket-types
+const router = express.Router({ mergeParams: true });
+
+const ticketTypeSchema = z.object({
+  name: z.string().min(2).max(50),
+  description: z.string().max(500).optional(),
+  price: z.number().nonnegative(),
+  quota: z.number().int().positive().optional(),
+  sales_start: z.string().datetime({ offset: true }).optional(),
+  sales_end: z.string().datetime({ offset: true }).optional(),
+  visibility: z.enum(['public', 'hidden']).default('public'),
+  sort_order: z.number().int().default(0)
+}).refine(data => !data.sales_start || !data.sales_end || new Date(data.sales_end) > new Date(data.sales_start), {
+  message: 'Sales must end after they start',
+  path: ['sales_end']
+});
+
+// Get ticket types. The organizer also sees hidden types.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [event] = await db.query('SELECT id, organizer_id FROM events WHERE id = ?', [id]);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const ticketTypes = await getTicketTypes(id, {
+      includeHidden: event.organizer_id === req.user.id
+    });
+
+    res.json(ticketTypes);
+  } catch (error) {
+    console.error('Error fetching ticket types:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket types' });
+  }
+});
+
+// Add a ticket type (organizer only)
+router.post('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = ticketTypeSchema.parse(req.body);
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id, capacity FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage ticket types for this event' });
+    }
+
+    if (validatedData.quota > event.capacity) {
+      return res.status(400).json({ error: 'Quota cannot exceed the event capacity' });
+    }
+
+    const ticketTypeId = randomUUID();
+
+    await db.exec(
+      `INSERT INTO ticket_types (
+        id, event_id, name, description, price, quota, sales_start, sales_end, visibility, sort_order, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, datetime(?), datetime(?), ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        ticketTypeId,
+        id,
+        validatedData.name,
+        validatedData.description || null,
+        validatedData.price,
+        validatedData.quota || null,
+        validatedData.sales_start || null,
+        validatedData.sales_end || null,
+        validatedData.visibility,
+        validatedData.sort_order
+      ]
+    );
+
+    const [ticketType] = await db.query('SELECT * FROM ticket_types WHERE id = ?', [ticketTypeId]);
+
+    res.status(201).json(ticketType);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    console.error('Error creating ticket type:', error);
+    res.status(500).json({ error: 'Failed to create ticket type' });
+  }
+});
+
+// Update a ticket type (organizer only)
+router.put('/:ticketTypeId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, ticketTypeId } = req.params;
+    const validatedData = ticketTypeSchema.parse(req.body);
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id, capacity FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage ticket types for this event' });
+    }
+
+    const [ticketType] = (await getTicketTypes(id, { includeHidden: true }))
+      .filter(type => type.id === ticketTypeId);
+
+    if (!ticketType) {
+      return res.status(404).json({ error: 'Ticket type not found' });
+    }
+
+    if (validatedData.quota > event.capacity) {
+      return res.status(400).json({ error: 'Quota cannot exceed the event capacity' });
+    }
+
+    if (validatedData.quota && validatedData.quota < ticketType.sold) {
+      return res.status(400).json({ error: `Quota cannot go below the ${ticketType.sold} tickets already sold` });
+    }
+
+    await db.exec(
+      `UPDATE ticket_types
+       SET name = ?, description = ?, price = ?, quota = ?, sales_start = datetime(?),
+           sales_end = datetime(?), visibility = ?, sort_order = ?
+       WHERE id = ?`,
+      [
+        validatedData.name,
+        validatedData.description || null,
+        validatedData.price,
+        validatedData.quota || null,
+        validatedData.sales_start || null,
+        validatedData.sales_end || null,
+        validatedData.visibility,
+        validatedData.sort_order,
+        ticketTypeId
+      ]
+    );
+
+    const [updatedTicketType] = await db.query('SELECT * FROM ticket_types WHERE id = ?', [ticketTypeId]);
+
+    res.json(updatedTicketType);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    console.error('Error updating ticket type:', error);
+    res.status(500).json({ error: 'Failed to update ticket type' });
+  }
+});
+
+// Delete a ticket type nobody has registered with (organizer only)
+router.delete('/:ticketTypeId', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id, ticketTypeId } = req.params;
+
+    // Check if user is the organizer
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [id, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to manage ticket types for this event' });
+    }
+
+    const [ticketType] = await db.query(
+      'SELECT id FROM ticket_types WHERE id = ? AND event_id = ?',
+      [ticketTypeId, id]
+    );
+
+    if (!ticketType) {
+      return res.status(404).json({ error: 'Ticket type not found' });
+    }
+
+    const [{ count }] = await db.query(
+      'SELECT COUNT(*) as count FROM registrations WHERE ticket_type = ?',
+      [ticketTypeId]
+    );
+
+    if (count > 0) {
+      return res.status(409).json({ error: 'Ticket type has registrations; hide it instead' });
+    }
+
+    await db.exec('DELETE FROM ticket_types WHERE id = ?', [ticketTypeId]);
+
+    res.json({ message: 'Ticket type deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ticket type:', error);
+    res.status(500).json({ error: 'Failed to delete ticket type' });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { enqueueEmail } from '../services/email/index.js';
+import { expireTransfers, TRANSFER_OFFER_DAYS } from '../services/transfers.js';
+
+// Mounted under /api/events/:id/transfers. Recipients accept or decline
+// offers through /api/users/transfers.
+const router = express.Router({ mergeParams: true });
+
+const transferSchema = z.object({
+  email: z.string().email().transform(val => val.toLowerCase())
+});
+
+// Offer your confirmed registration to someone else
+router.post('/', authenticateToken, async (req, res) => {
+  const { id: eventId } = req.params;
+
+  try {
+    const { email } = transferSchema.parse(req.body);
+
+    await db.exec('BEGIN');
+    await expireTransfers();
+
+    const [registration] = await db.query(
+      `SELECT r.id, r.status, e.title, e.date, e.location, e.allow_transfers, u.name, u.email
+       FROM registrations r
+       JOIN events e ON r.event_id = e.id
+       JOIN users u ON r.user_id = u.id
+       WHERE r.event_id = ? AND r.user_id = ?`,
+      [eventId, req.user.id]
+    );
+
+    if (!registration || registration.status !== 'confirmed') {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'Only confirmed registrations can be transferred' });
+    }
+
+    if (!registration.allow_transfers) {
+      await db.exec('ROLLBACK');
+      return res.status(403).json({ error: 'Transfers are not allowed for this event' });
+    }
+
+    if (new Date(registration.date) <= new Date()) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'The event has already started' });
+    }
+
+    if (email === registration.email.toLowerCase()) {
+      await db.exec('ROLLBACK');
+      return res.status(400).json({ error: 'You cannot transfer a ticket to yourself' });
+    }
+
+    const [pending] = await db.query(
+      `SELECT id FROM ticket_transfers WHERE registration_id = ? AND status = 'pending'`,
+      [registration.id]
+    );
+
+    if (pending) {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: 'This ticket already has an open transfer offer' });
+    }
+
+    const [recipient] = await db.query('SELECT id, name FROM users WHERE lower(email) = ?', [email]);
+
+    if (recipient) {
+      const [recipientRegistration] = await db.query(
+        `SELECT id FROM registrations
+         WHERE event_id = ? AND user_id = ? AND status NOT IN ('cancelled', 'expired')`,
+        [eventId, recipient.id]
+      );
+
+      if (recipientRegistration) {
+        await db.exec('ROLLBACK');
+        return res.status(409).json({ error: 'The recipient is already registered for this event' });
+      }
+    }
+
+    const transferId = randomUUID();
+
+    // Offers lapse after TRANSFER_OFFER_DAYS or when the event starts
+    await db.exec(
+      `INSERT INTO ticket_transfers (
+        id, registration_id, event_id, from_user_id, to_email, status, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, MIN(datetime('now', ?), datetime(?)))`,
+      [transferId, registration.id, eventId, req.user.id, email, `+${TRANSFER_OFFER_DAYS} days`, registration.date]
+    );
+
+    const [transfer] = await db.query('SELECT * FROM ticket_transfers WHERE id = ?', [transferId]);
+    const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+    await enqueueEmail('ticketTransferOffer', { email, name: recipient?.name }, {
+      event: { id: eventId, title: registration.title, date: registration.date, location: registration.location },
+      from: registration.name,
+      expiresAt: transfer.expires_at,
+      acceptUrl: `${appUrl}/transfers/${transferId}`
+    });
+
+    await db.exec('COMMIT');
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation error', details: error.errors });
+    }
+    await db.exec('ROLLBACK');
+    console.error('Error offering ticket transfer:', error);
+    res.status(500).json({ error: 'Failed to offer ticket transfer' });
+  }
+});
+
+// Withdraw an open transfer offer
+router.delete('/:transferId', authenticateToken, async (req, res) => {
+  try {
+    const { id: eventId, transferId } = req.params;
+
+    const [transfer] = await db.query(
+      `SELECT id FROM ticket_transfers
+       WHERE id = ? AND event_id = ? AND from_user_id = ? AND status = 'pending'`,
+      [transferId, eventId, req.user.id]
+    );
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer offer not found' });
+    }
+
+    await db.exec(
+      `UPDATE ticket_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [transferId]
+    );
+
+    res.json({ message: 'Transfer offer withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing ticket transfer:', error);
+    res.status(500).json({ error: 'Failed to withdraw ticket transfer' });
+  }
+});
+
+// List an event's transfers (organizer only)
+router.get('/', authenticateToken, authorize(['admin', 'organizer']), async (req, res) => {
+  try {
+    const { id: eventId } = req.params;
+
+    const [event] = await db.query(
+      'SELECT id FROM events WHERE id = ? AND organizer_id = ?',
+      [eventId, req.user.id]
+    );
+
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized to view transfers for this event' });
+    }
+
+    await expireTransfers();
+
+    const transfers = await db.query(
+      `SELECT t.*, f.name as from_name, f.email as from_email, u.name as to_name
+       FROM ticket_transfers t
+       JOIN users f ON t.from_user_id = f.id
+       LEFT JOIN users u ON t.to_user_id = u.id
+       WHERE t.event_id = ?
+       ORDER BY t.created_at DESC`,
+      [eventId]
+    );
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Error fetching ticket transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket transfers' });
+  }
+});
+
+export default router;
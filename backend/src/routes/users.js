@@ -1,34 +1,402 @@
 import express from 'express';
+import { createHash, randomBytes } from 'crypto';
 import { authenticateToken } from '../middleware/auth.js';
 import db from '../db/index.js';
+import { PRIORITY_ORDER, VISIBLE } from '../services/announcements.js';
+import { buildCalendar, eventEntry, sessionEntry } from '../services/calendar.js';
+import { paginate, parseListQuery, setPaginationHeaders } from '../services/pagination.js';
+import { INACTIVE_STATUSES } from '../services/registrations.js';
+import { indexOrganizerEvents } from '../services/search.js';
+import { acceptTransfer, expireTransfers } from '../services/transfers.js';
+import { redis } from '../index.js';
 
 const router = express.Router();
 
+const hashFeedToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// A user's registrations with their events, filtered by user id
+const REGISTERED_EVENTS_SQL = `
+  SELECT e.*, r.id as registration_id, r.status, r.registration_time, r.qr_code, r.cancelled_at, r.order_id,
+         r.registered_by, r.payment_status, r.amount_due, r.amount_paid, r.checkout_url, r.hold_expires_at,
+         f.amount as refund_amount, f.status as refund_status, e.status as event_status
+  FROM events e
+  JOIN registrations r ON e.id = r.event_id
+  LEFT JOIN refunds f ON f.registration_id = r.id AND f.payment_id = r.payment_id
+  WHERE r.user_id = ?`;
+
+const getRegisteredEvents = (userId) => db.query(
+  `${REGISTERED_EVENTS_SQL} ORDER BY r.registration_time DESC`,
+  [userId]
+);
+
+// Sorting and field selection for the registered events list
+const REGISTERED_EVENT_LIST_OPTIONS = {
+  sortable: {
+    registration_time: 'r.registration_time',
+    date: 'e.date',
+    title: 'e.title'
+  },
+  defaultSort: '-registration_time',
+  fields: [
+    'id', 'title', 'description', 'date', 'location', 'category', 'ticket_price', 'is_virtual', 'organizer_id',
+    'series_id', 'registration_id', 'status', 'registration_time', 'qr_code', 'cancelled_at', 'order_id',
+    'registered_by', 'payment_status', 'amount_due', 'amount_paid', 'checkout_url', 'hold_expires_at',
+    'refund_amount', 'refund_status', 'event_status'
+  ],
+  idKey: 'registration_id'
+};
+
 // Get user's registered events
 router.get('/registered-events', authenticateToken, async (req, res) => {
   try {
-    const events = await db.query(
-      `SELECT e.*, r.status, r.registration_time, r.qr_code
-       FROM events e
-       JOIN registrations r ON e.id = r.event_id
-       WHERE r.user_id = ?
-       ORDER BY r.registration_time DESC`,
-      [req.user.id]
-    );
-    
-    res.json(events);
+    const list = parseListQuery(req.query, REGISTERED_EVENT_LIST_OPTIONS);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const result = await paginate({
+      sql: REGISTERED_EVENTS_SQL,
+      params: [req.user.id],
+      list,
+      idColumn: 'r.id',
+      idKey: 'registration_id'
+    });
+
+    setPaginationHeaders(req, res, result);
+    res.json(result.rows);
   } catch (error) {
     console.error('Error fetching registered events:', error);
     res.status(500).json({ error: 'Failed to fetch registered events' });
   }
 });
 
+// Get waitlist promotions so the user can be told a seat opened up
+router.get('/promotions', authenticateToken, async (req, res) => {
+  try {
+    let sql = `
+      SELECT p.id, p.registration_id, p.event_id, p.promoted_at, p.seen_at,
+             e.title as event_title, e.date as event_date
+      FROM waitlist_promotions p
+      JOIN events e ON p.event_id = e.id
+      WHERE p.user_id = ?
+    `;
+
+    if (req.query.unseen === 'true') {
+      sql += ' AND p.seen_at IS NULL';
+    }
+
+    sql += ' ORDER BY p.promoted_at DESC';
+
+    const promotions = await db.query(sql, [req.user.id]);
+    res.json(promotions);
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+// Mark a waitlist promotion as seen
+router.put('/promotions/:id/seen', authenticateToken, async (req, res) => {
+  try {
+    const [promotion] = await db.query(
+      'SELECT id FROM waitlist_promotions WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    await db.exec(
+      'UPDATE waitlist_promotions SET seen_at = CURRENT_TIMESTAMP WHERE id = ? AND seen_at IS NULL',
+      [promotion.id]
+    );
+
+    res.json({ message: 'Promotion marked as seen' });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ error: 'Failed to update promotion' });
+  }
+});
+
+// Get ticket transfers offered to or by the user
+router.get('/transfers', authenticateToken, async (req, res) => {
+  try {
+    await expireTransfers();
+
+    const transfers = await db.query(
+      `SELECT t.id, t.event_id, t.status, t.to_email, t.created_at, t.expires_at, t.responded_at,
+              e.title as event_title, e.date as event_date, f.name as from_name,
+              CASE WHEN t.from_user_id = ? THEN 'outgoing' ELSE 'incoming' END as direction
+       FROM ticket_transfers t
+       JOIN events e ON t.event_id = e.id
+       JOIN users f ON t.from_user_id = f.id
+       WHERE t.from_user_id = ? OR t.to_email = (SELECT lower(email) FROM users WHERE id = ?)
+       ORDER BY t.created_at DESC`,
+      [req.user.id, req.user.id, req.user.id]
+    );
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+// Accept or decline a ticket transfer offered to the user
+router.post('/transfers/:id/:response', authenticateToken, async (req, res) => {
+  const { id, response } = req.params;
+
+  if (!['accept', 'decline'].includes(response)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    await db.exec('BEGIN');
+    await expireTransfers();
+
+    const [recipient] = await db.query('SELECT id, name, email FROM users WHERE id = ?', [req.user.id]);
+    const [transfer] = await db.query(
+      'SELECT * FROM ticket_transfers WHERE id = ? AND to_email = ?',
+      [id, recipient.email.toLowerCase()]
+    );
+
+    if (!transfer) {
+      await db.exec('ROLLBACK');
+      return res.status(404).json({ error: 'Transfer offer not found' });
+    }
+
+    if (transfer.status !== 'pending') {
+      await db.exec('ROLLBACK');
+      return res.status(409).json({ error: `Transfer offer is ${transfer.status}` });
+    }
+
+    if (response === 'decline') {
+      await db.exec(
+        `UPDATE ticket_transfers SET status = 'declined', responded_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [id]
+      );
+      await db.exec('COMMIT');
+      return res.json({ message: 'Transfer offer declined' });
+    }
+
+    const result = await acceptTransfer(transfer, recipient);
+
+    if (result.error) {
+      await db.exec('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await db.exec('COMMIT');
+
+    // Invalidate cache
+    await redis.del(`events:*`);
+
+    res.json({
+      message: 'Ticket transferred to you',
+      eventId: transfer.event_id,
+      qrCode: result.qrCode
+    });
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    console.error('Error responding to transfer:', error);
+    res.status(500).json({ error: 'Failed to respond to transfer' });
+  }
+});
+
+// Get user's personal schedule of picked sessions
+router.get('/schedule', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await db.query(
+      `SELECT s.*, sr.status as registration_status, sr.registration_time,
+              e.title as event_title, e.date as event_date, e.location as event_location
+       FROM session_registrations sr
+       JOIN event_sessions s ON sr.session_id = s.id
+       JOIN events e ON s.event_id = e.id
+       WHERE sr.user_id = ?
+       ORDER BY s.start_time ASC`,
+      [req.user.id]
+    );
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Create or replace the user's calendar feed link. The link is only shown
+// now, replacing it stops the old one working.
+router.post('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const token = randomBytes(32).toString('base64url');
+
+    await db.exec(
+      `INSERT INTO calendar_feeds (user_id, token_hash, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(user_id) DO UPDATE SET token_hash = excluded.token_hash, created_at = excluded.created_at, last_fetched_at = NULL`,
+      [req.user.id, hashFeedToken(token)]
+    );
+
+    const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    res.status(201).json({ url: `${appUrl}/api/users/calendar/${token}.ics` });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Whether the user has a calendar feed link
+router.get('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const [feed] = await db.query(
+      'SELECT created_at, last_fetched_at FROM calendar_feeds WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    if (!feed) {
+      return res.status(404).json({ error: 'No calendar feed' });
+    }
+
+    res.json(feed);
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Turn off the user's calendar feed link
+router.delete('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    await db.exec('DELETE FROM calendar_feeds WHERE user_id = ?', [req.user.id]);
+    res.json({ message: 'Calendar feed removed' });
+  } catch (error) {
+    console.error('Error removing calendar feed:', error);
+    res.status(500).json({ error: 'Failed to remove calendar feed' });
+  }
+});
+
+// Subscribable feed of the user's registered events and picked sessions.
+// Authenticated by the secret token in the URL instead of a Bearer header.
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const [feed] = await db.query(
+      `SELECT f.user_id, u.name
+       FROM calendar_feeds f
+       JOIN users u ON f.user_id = u.id
+       WHERE f.token_hash = ? AND u.status = 'active'`,
+      [hashFeedToken(req.params.token)]
+    );
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const events = (await getRegisteredEvents(feed.user_id))
+      .filter(event => !INACTIVE_STATUSES.includes(event.status));
+
+    const sessions = await db.query(
+      `SELECT s.*
+       FROM session_registrations sr
+       JOIN event_sessions s ON sr.session_id = s.id
+       WHERE sr.user_id = ? AND sr.status = 'confirmed'
+       ORDER BY s.start_time ASC`,
+      [feed.user_id]
+    );
+
+    const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const entries = [];
+
+    for (const event of events) {
+      const eventSessions = sessions.filter(session => session.event_id === event.id);
+
+      entries.push(eventEntry({ ...event, status: event.event_status }, eventSessions, {
+        // Seats that are not confirmed yet show as tentative
+        status: ['confirmed', 'attended'].includes(event.status) ? 'CONFIRMED' : 'TENTATIVE',
+        url: `${appUrl}/events/${event.id}`
+      }));
+      entries.push(...eventSessions.map(session => sessionEntry(session, { ...event, status: event.event_status })));
+    }
+
+    await db.exec(
+      'UPDATE calendar_feeds SET last_fetched_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [feed.user_id]
+    );
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(buildCalendar({ name: `${feed.name}'s events`, entries }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Get announcements across all events the user is registered for
+router.get('/announcements', authenticateToken, async (req, res) => {
+  try {
+    let sql = `
+      SELECT a.*, e.title as event_title,
+             ar.read_at, ar.read_at IS NOT NULL as is_read
+      FROM announcements a
+      JOIN events e ON a.event_id = e.id
+      JOIN registrations r ON r.event_id = a.event_id AND r.user_id = ?
+        AND r.status NOT IN ('cancelled', 'expired')
+      LEFT JOIN announcement_reads ar ON ar.announcement_id = a.id AND ar.user_id = ?
+      WHERE ${VISIBLE}
+    `;
+
+    if (req.query.unread === 'true') {
+      sql += ' AND ar.read_at IS NULL';
+    }
+
+    sql += ` ORDER BY ar.read_at IS NOT NULL ASC, ${PRIORITY_ORDER}`;
+
+    const announcements = await db.query(sql, [req.user.id, req.user.id]);
+    res.json(announcements.map(announcement => ({
+      ...announcement,
+      is_read: Boolean(announcement.is_read)
+    })));
+  } catch (error) {
+    console.error('Error fetching announcements:', error);
+    res.status(500).json({ error: 'Failed to fetch announcements' });
+  }
+});
+
+// Mark an announcement as read
+router.put('/announcements/:id/read', authenticateToken, async (req, res) => {
+  try {
+    // Only announcements in the caller's feed can be marked read
+    const [announcement] = await db.query(
+      `SELECT a.id FROM announcements a
+       JOIN registrations r ON r.event_id = a.event_id AND r.user_id = ?
+         AND r.status NOT IN ('cancelled', 'expired')
+       WHERE a.id = ? AND ${VISIBLE}`,
+      [req.user.id, req.params.id]
+    );
+
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await db.exec(
+      `INSERT OR IGNORE INTO announcement_reads (announcement_id, user_id, read_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)`,
+      [announcement.id, req.user.id]
+    );
+
+    res.json({ message: 'Announcement marked as read' });
+  } catch (error) {
+    console.error('Error marking announcement as read:', error);
+    res.status(500).json({ error: 'Failed to mark announcement as read' });
+  }
+});
+
 // Get user's organized events
 router.get('/organized-events', authenticateToken, async (req, res) => {
   try {
     const events = await db.query(
       `SELECT e.*, 
-              (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status = 'confirmed') as registered_count
+              (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status IN ('confirmed', 'attended')) as registered_count
        FROM events e
        WHERE e.organizer_id = ?
        ORDER BY e.date ASC`,
@@ -54,6 +422,10 @@ router.put('/profile', authenticateToken, async (req, res) => {
       [name, req.user.id]
     );
 
+    // Events are listed and searched by their organizer's name
+    await indexOrganizerEvents(req.user.id);
+    await redis.del('events:*');
+
     res.json({ message: 'Profile updated successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update profile' });
@@ -4,8 +4,7 @@ import db from '../db/index.js';
 import { authenticateToken, authorize } from '../middleware/auth.js';
 import { randomUUID } from 'crypto';
 import { redis } from '../index.js';
-import pkg from 'sanitize-html';
-const { sanitizeHtml } = pkg;
+import sanitizeHtml from 'sanitize-html';
 
 const router = express.Router();
 
@@ -30,6 +29,11 @@ const productSchema = z.object({
     imageUrl: z.string().url().optional()
 });
 
+const ratingSchema = z.object({
+    rating: z.number().int().min(1).max(5),
+    reviewText: z.string().max(2000).optional().transform(val => val && sanitizeHtml(val))
+});
+
 // Get vendor's booths
 router.get('/booths', authenticateToken, authorize(['vendor']), async (req, res) => {
     try {
@@ -250,9 +254,33 @@ router.get('/booths/:boothId/analytics', authenticateToken, authorize(['vendor',
             [boothId, startDate || '1970-01-01', endDate || '9999-12-31']
         );
 
+        // Get rating summary and latest reviews
+        const [ratingSummary] = await db.query(
+            `SELECT 
+                COUNT(*) as total_ratings,
+                AVG(rating) as average_rating
+             FROM vendor_ratings
+             WHERE booth_id = ? AND status = 'visible'`,
+            [boothId]
+        );
+
+        const recentReviews = await db.query(
+            `SELECT r.id, r.rating, r.review_text, r.created_at, u.name as user_name
+             FROM vendor_ratings r
+             LEFT JOIN users u ON r.user_id = u.id
+             WHERE r.booth_id = ? AND r.status = 'visible'
+             ORDER BY r.created_at DESC
+             LIMIT 10`,
+            [boothId]
+        );
+
         res.json({
             salesSummary,
             topProducts,
+            ratings: {
+                summary: ratingSummary,
+                recentReviews
+            },
             periodStart: startDate || 'all time',
             periodEnd: endDate || 'present'
         });
@@ -262,6 +290,130 @@ router.get('/booths/:boothId/analytics', authenticateToken, authorize(['vendor',
     }
 });
 
+// Get visible ratings for a booth
+router.get('/booths/:boothId/ratings', authenticateToken, async (req, res) => {
+    try {
+        const { boothId } = req.params;
+
+        const [summary] = await db.query(
+            `SELECT 
+                COUNT(*) as total_ratings,
+                AVG(rating) as average_rating
+             FROM vendor_ratings
+             WHERE booth_id = ? AND status = 'visible'`,
+            [boothId]
+        );
+
+        const reviews = await db.query(
+            `SELECT r.id, r.rating, r.review_text, r.created_at, r.updated_at, u.name as user_name
+             FROM vendor_ratings r
+             LEFT JOIN users u ON r.user_id = u.id
+             WHERE r.booth_id = ? AND r.status = 'visible'
+             ORDER BY r.created_at DESC`,
+            [boothId]
+        );
+
+        res.json({ summary, reviews });
+    } catch (error) {
+        console.error('Error fetching booth ratings:', error);
+        res.status(500).json({ error: 'Failed to fetch booth ratings' });
+    }
+});
+
+// Rate and review a booth the user purchased from
+router.post('/booths/:boothId/ratings', authenticateToken, async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const validatedData = ratingSchema.parse(req.body);
+
+        const [booth] = await db.query(
+            'SELECT id, vendor_id FROM vendor_booths WHERE id = ?',
+            [boothId]
+        );
+
+        if (!booth) {
+            return res.status(404).json({ error: 'Booth not found' });
+        }
+
+        if (booth.vendor_id === req.user.id) {
+            return res.status(403).json({ error: 'Vendors cannot rate their own booth' });
+        }
+
+        // Only buyers can review a booth
+        const [purchase] = await db.query(
+            `SELECT id FROM sales_transactions 
+             WHERE booth_id = ? AND buyer_id = ? AND status = 'completed'
+             LIMIT 1`,
+            [boothId, req.user.id]
+        );
+
+        if (!purchase) {
+            return res.status(403).json({ error: 'Only customers of this booth can rate it' });
+        }
+
+        const [existingRating] = await db.query(
+            'SELECT id FROM vendor_ratings WHERE booth_id = ? AND user_id = ?',
+            [boothId, req.user.id]
+        );
+
+        if (existingRating) {
+            return res.status(409).json({ error: 'You have already rated this booth', id: existingRating.id });
+        }
+
+        const ratingId = randomUUID();
+
+        await db.exec(
+            `INSERT INTO vendor_ratings (id, booth_id, user_id, rating, review_text, status, created_at)
+             VALUES (?, ?, ?, ?, ?, 'visible', CURRENT_TIMESTAMP)`,
+            [ratingId, boothId, req.user.id, validatedData.rating, validatedData.reviewText || null]
+        );
+
+        res.status(201).json({ id: ratingId });
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            return res.status(400).json({ error: 'Validation error', details: error.errors });
+        }
+        console.error('Error rating booth:', error);
+        res.status(500).json({ error: 'Failed to rate booth' });
+    }
+});
+
+// Update own booth rating
+router.put('/booths/:boothId/ratings', authenticateToken, async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const validatedData = ratingSchema.parse(req.body);
+
+        const [rating] = await db.query(
+            'SELECT id, status FROM vendor_ratings WHERE booth_id = ? AND user_id = ?',
+            [boothId, req.user.id]
+        );
+
+        if (!rating) {
+            return res.status(404).json({ error: 'Rating not found' });
+        }
+
+        if (rating.status === 'hidden') {
+            return res.status(403).json({ error: 'This review has been hidden by a moderator' });
+        }
+
+        await db.exec(
+            `UPDATE vendor_ratings 
+             SET rating = ?, review_text = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [validatedData.rating, validatedData.reviewText || null, rating.id]
+        );
+
+        res.json({ message: 'Rating updated successfully' });
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            return res.status(400).json({ error: 'Validation error', details: error.errors });
+        }
+        console.error('Error updating booth rating:', error);
+        res.status(500).json({ error: 'Failed to update booth rating' });
+    }
+});
+
 // Record a sale
 router.post('/booths/:boothId/sales', authenticateToken, authorize(['vendor']), async (req, res) => {
     try {
@@ -0,0 +1,111 @@
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { redis } from '../index.js';
+import { dispatch } from './notifications.js';
+
+const CACHE_TTL = 300; // 5 minutes
+
+// Most urgent first, newest first within a priority
+export const PRIORITY_ORDER = `
+  CASE a.priority
+    WHEN 'urgent' THEN 0
+    WHEN 'high' THEN 1
+    WHEN 'medium' THEN 2
+    WHEN 'low' THEN 3
+    ELSE 4
+  END ASC, COALESCE(a.published_at, a.created_at) DESC
+`;
+
+// Published and not deleted
+export const VISIBLE = 'a.published_at IS NOT NULL AND a.deleted_at IS NULL';
+
+/**
+ * Published announcements for an event in priority order, cached under
+ * `event:{id}:announcements`. Clear that key whenever they change.
+ */
+export const getEventAnnouncements = async (eventId) => {
+  const cacheKey = `event:${eventId}:announcements`;
+  const cached = await redis.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const announcements = await db.query(
+    `SELECT a.*, u.name as created_by_name
+     FROM announcements a
+     LEFT JOIN users u ON a.created_by = u.id
+     WHERE a.event_id = ? AND ${VISIBLE}
+     ORDER BY ${PRIORITY_ORDER}`,
+    [eventId]
+  );
+
+  await redis.setex(cacheKey, CACHE_TTL, JSON.stringify(announcements));
+  return announcements;
+};
+
+/**
+ * Fan an announcement out to the event's confirmed registrants over every
+ * registered notification channel.
+ */
+export const dispatchAnnouncement = async (announcement) => {
+  const recipients = await db.query(
+    `SELECT u.id, u.name, u.email
+     FROM registrations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.event_id = ? AND r.status IN ('confirmed', 'attended')`,
+    [announcement.event_id]
+  );
+
+  return dispatch({
+    type: 'announcement',
+    title: announcement.title,
+    body: announcement.content,
+    eventId: announcement.event_id,
+    priority: announcement.priority,
+    data: { announcementId: announcement.id }
+  }, recipients);
+};
+
+/**
+ * Keep the current version of an announcement before it is edited or deleted.
+ */
+export const recordRevision = async (announcement, action, userId) => {
+  await db.exec(
+    `INSERT INTO announcement_revisions (
+      id, announcement_id, action, title, content, priority, publish_at, changed_by, changed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      randomUUID(),
+      announcement.id,
+      action,
+      announcement.title,
+      announcement.content,
+      announcement.priority,
+      announcement.publish_at,
+      userId
+    ]
+  );
+};
+
+/**
+ * Publish scheduled announcements whose time has come and notify attendees.
+ *
+ * @returns {Promise<number>} how many announcements were published
+ */
+export const publishDueAnnouncements = async () => {
+  const due = await db.query(
+    `SELECT * FROM announcements
+     WHERE published_at IS NULL AND deleted_at IS NULL AND publish_at <= datetime('now')`
+  );
+
+  for (const announcement of due) {
+    await db.exec(
+      'UPDATE announcements SET published_at = CURRENT_TIMESTAMP WHERE id = ? AND published_at IS NULL',
+      [announcement.id]
+    );
+    await redis.del(`event:${announcement.event_id}:announcements`);
+    await dispatchAnnouncement(announcement);
+  }
+
+  return due.length;
+};
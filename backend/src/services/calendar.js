@@ -0,0 +1,156 @@
+/**
+ * iCalendar (RFC 5545) output for events and their sessions.
+ */
+
+const PRODUCT_ID = '-//Event Management System//Events//EN';
+
+// Content lines are limited to 75 octets, longer ones continue on the next
+// line after a single space
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a stored date for a DTSTART/DTEND property. Plain dates become
+ * all-day values, anything with a time is converted to UTC.
+ *
+ * @param {string} value
+ * @returns {{ params: string, value: string } | null}
+ */
+export const formatCalendarDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { params: ';VALUE=DATE', value: value.replace(/-/g, '') };
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : { params: '', value: toUtcStamp(date) };
+};
+
+// All-day events end (exclusively) on the following day
+const nextDay = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+};
+
+const uidDomain = () => {
+  try {
+    return new URL(process.env.APP_URL).hostname;
+  } catch {
+    return 'localhost';
+  }
+};
+
+/**
+ * Calendar entry for an event. It runs until its last session ends, or all
+ * day when the event only has a date.
+ *
+ * @param {object} event an events row
+ * @param {object[]} [sessions] the event's sessions
+ * @param {{ status?: 'CONFIRMED'|'TENTATIVE'|'CANCELLED', url?: string }} [options]
+ */
+export const eventEntry = (event, sessions = [], { status, url } = {}) => {
+  const isAllDay = /^\d{4}-\d{2}-\d{2}$/.test(event.date);
+  const lastEnd = sessions.map(session => session.end_time).sort().pop();
+
+  return {
+    uid: `event-${event.id}@${uidDomain()}`,
+    title: event.title,
+    description: event.description,
+    location: event.is_virtual ? 'Online' : event.location,
+    start: event.date,
+    end: isAllDay ? nextDay(event.date) : lastEnd,
+    status: event.status === 'cancelled' ? 'CANCELLED' : status,
+    url
+  };
+};
+
+/**
+ * Calendar entry for a session on an event's agenda.
+ *
+ * @param {object} session an event_sessions row
+ * @param {object} event the session's event
+ */
+export const sessionEntry = (session, event) => ({
+  uid: `session-${session.id}@${uidDomain()}`,
+  title: `${session.title} (${event.title})`,
+  description: [session.speaker && `Speaker: ${session.speaker}`, session.description].filter(Boolean).join('\n'),
+  location: session.location || event.location,
+  start: session.start_time,
+  end: session.end_time,
+  status: event.status === 'cancelled' ? 'CANCELLED' : undefined
+});
+
+/**
+ * Build an iCalendar document.
+ *
+ * @param {object} options
+ * @param {string} options.name calendar name shown by subscribing clients
+ * @param {Array<object>} options.entries from eventEntry and sessionEntry
+ * @param {Date} [options.now] timestamp for DTSTAMP
+ * @returns {string}
+ */
+export const buildCalendar = ({ name, entries, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const entry of entries) {
+    const start = formatCalendarDate(entry.start);
+    if (!start) {
+      continue;
+    }
+    const end = formatCalendarDate(entry.end);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.uid}`,
+      `DTSTAMP:${toUtcStamp(now)}`,
+      `DTSTART${start.params}:${start.value}`,
+      ...(end ? [`DTEND${end.params}:${end.value}`] : []),
+      `SUMMARY:${escapeText(entry.title)}`,
+      ...(entry.description ? [`DESCRIPTION:${escapeText(entry.description)}`] : []),
+      ...(entry.location ? [`LOCATION:${escapeText(entry.location)}`] : []),
+      ...(entry.status ? [`STATUS:${entry.status}`] : []),
+      ...(entry.url ? [`URL:${entry.url}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
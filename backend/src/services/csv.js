@@ -0,0 +1,90 @@
+/**
+ * Parse CSV text into rows of cells. Handles quoted fields with embedded
+ * commas, quotes and line breaks, CRLF or LF line endings and a leading byte
+ * order mark. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{ line: number, cells: string[] }>} rows with the line each starts on
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text whose first row is a header into one record per row, keyed
+ * by the lower-cased header names.
+ *
+ * @param {string} text
+ * @returns {{ columns: string[], records: Array<{ line: number, values: object }> }}
+ */
+export const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.cells.map(name => name.trim().toLowerCase());
+
+  const records = rows.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()]))
+  }));
+
+  return { columns, records };
+};
@@ -0,0 +1,34 @@
+import { registerChannel } from '../notifications.js';
+import { enqueueEmail } from './queue.js';
+
+export {
+  enqueueEmail,
+  enqueueUserEmail,
+  getTransport,
+  processEmailQueue,
+  setTransport
+} from './queue.js';
+export { queueEventReminders } from './reminders.js';
+export { renderTemplate } from './templates.js';
+export {
+  createFileTransport,
+  createMemoryTransport,
+  createSmtpTransport,
+  createTransportFromEnv
+} from './transports.js';
+
+/**
+ * Deliver dispatched notifications (announcements) by email.
+ */
+export const registerEmailChannel = () => {
+  registerChannel('email', async (notification, recipients) => {
+    for (const recipient of recipients) {
+      await enqueueEmail(notification.type, recipient, {
+        title: notification.title,
+        body: notification.body,
+        priority: notification.priority,
+        eventId: notification.eventId
+      });
+    }
+  });
+};
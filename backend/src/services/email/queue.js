@@ -0,0 +1,133 @@
+import { randomUUID } from 'crypto';
+import db from '../../db/index.js';
+import { renderTemplate, templateNames } from './templates.js';
+import { createTransportFromEnv } from './transports.js';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60; // doubles after every failed attempt
+const FROM_ADDRESS = process.env.EMAIL_FROM || 'College Events <no-reply@events.local>';
+
+let transport = null;
+
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for an in-memory one in tests
+export const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Queue an email in the outbox. Queueing inside a transaction means the
+ * email is only sent if the transaction commits.
+ *
+ * @param {string} template one of the templates in templates.js
+ * @param {{ email: string, name?: string }} to
+ * @param {object} data template data
+ * @returns {Promise<string|null>} the outbox id, or null if there is no address
+ */
+export const enqueueEmail = async (template, to, data = {}) => {
+  if (!templateNames.includes(template)) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  if (!to?.email) {
+    return null;
+  }
+
+  const id = randomUUID();
+
+  await db.exec(
+    `INSERT INTO email_outbox (
+      id, to_email, to_name, template, payload, status, attempts, next_attempt_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, 'pending', 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [id, to.email, to.name || null, template, JSON.stringify({ name: to.name, ...data })]
+  );
+
+  return id;
+};
+
+/**
+ * Queue an email to a user by id, addressed by their name.
+ */
+export const enqueueUserEmail = async (userId, template, data = {}) => {
+  const [user] = await db.query(
+    'SELECT name, email FROM users WHERE id = ?',
+    [userId]
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  return enqueueEmail(template, user, data);
+};
+
+let processing = false;
+
+/**
+ * Send due emails from the outbox. Failed sends are retried with
+ * exponential backoff and given up on after MAX_ATTEMPTS.
+ *
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export const processEmailQueue = async ({ limit = 20 } = {}) => {
+  const result = { sent: 0, failed: 0 };
+
+  // Skip if the previous run is still sending
+  if (processing) {
+    return result;
+  }
+  processing = true;
+
+  try {
+    const due = await db.query(
+      `SELECT * FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+       ORDER BY created_at ASC, rowid ASC
+       LIMIT ?`,
+      [limit]
+    );
+
+    for (const email of due) {
+      const attempts = email.attempts + 1;
+
+      try {
+        const message = renderTemplate(email.template, JSON.parse(email.payload));
+        const { messageId } = await getTransport().send({
+          from: FROM_ADDRESS,
+          to: email.to_name ? { name: email.to_name, address: email.to_email } : email.to_email,
+          ...message
+        });
+
+        await db.exec(
+          `UPDATE email_outbox
+           SET status = 'sent', attempts = ?, message_id = ?, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+           WHERE id = ?`,
+          [attempts, messageId, email.id]
+        );
+        result.sent++;
+      } catch (error) {
+        const gaveUp = attempts >= MAX_ATTEMPTS;
+        const retryIn = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+        await db.exec(
+          `UPDATE email_outbox
+           SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+           WHERE id = ?`,
+          [gaveUp ? 'failed' : 'pending', attempts, error.message, `+${retryIn} seconds`, email.id]
+        );
+        result.failed++;
+        console.error(`Failed to send email ${email.id} (attempt ${attempts}):`, error.message);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return result;
+};
@@ -0,0 +1,39 @@
+import db from '../../db/index.js';
+import { enqueueUserEmail } from './queue.js';
+
+const REMINDER_LEAD_HOURS = 24;
+
+/**
+ * Queue a reminder for every confirmed registration whose event starts within
+ * the next REMINDER_LEAD_HOURS. Each registration is reminded once.
+ *
+ * @returns {Promise<number>} how many reminders were queued
+ */
+export const queueEventReminders = async () => {
+  const due = await db.query(
+    `SELECT r.id, r.user_id, e.id as event_id, e.title, e.date, e.location
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.status = 'confirmed'
+       AND r.reminder_sent_at IS NULL
+       AND datetime(e.date) BETWEEN datetime('now') AND datetime('now', ?)`,
+    [`+${REMINDER_LEAD_HOURS} hours`]
+  );
+
+  for (const registration of due) {
+    await enqueueUserEmail(registration.user_id, 'eventReminder', {
+      event: {
+        id: registration.event_id,
+        title: registration.title,
+        date: registration.date,
+        location: registration.location
+      }
+    });
+    await db.exec(
+      'UPDATE registrations SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [registration.id]
+    );
+  }
+
+  return due.length;
+};
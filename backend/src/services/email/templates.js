@@ -0,0 +1,212 @@
+/**
+ * Email templates. Each template takes the data it was queued with and
+ * returns `{ subject, text, html, attachments }`.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatEventDate = (date) => String(date || '').split('T')[0];
+
+const eventLine = (event) => `${event.title} on ${formatEventDate(event.date)} at ${event.location}`;
+
+// Turn a QR code data URL into an inline image attachment
+const qrAttachment = (qrCode) => {
+  const [, contentType, base64] = qrCode.match(/^data:([^;]+);base64,(.*)$/) || [];
+  if (!base64) {
+    return [];
+  }
+  return [{
+    filename: 'ticket.png',
+    content: Buffer.from(base64, 'base64'),
+    contentType,
+    cid: 'ticket-qr'
+  }];
+};
+
+// Assemble a message from plain-text paragraphs
+const compose = (subject, paragraphs, { qrCode } = {}) => {
+  const lines = paragraphs.filter(Boolean);
+  const html = lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+    + (qrCode ? '\n<p><img src="cid:ticket-qr" alt="Ticket QR code"></p>' : '');
+
+  return {
+    subject,
+    text: lines.join('\n\n'),
+    html,
+    attachments: qrCode ? qrAttachment(qrCode) : []
+  };
+};
+
+const templates = {
+  registrationConfirmed: ({ name, event, qrCode }) => compose(
+    `You're registered: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `Your seat is confirmed for ${eventLine(event)}.`,
+      qrCode ? 'Show the attached QR code at the door to check in.' : null
+    ],
+    { qrCode }
+  ),
+
+  groupRegistrationInvite: ({ name, event, registeredBy, inviteUrl, expiresAt }) => compose(
+    `${registeredBy} registered you for ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${registeredBy} has registered you for ${eventLine(event)}.`,
+      'Choose a password to activate your account and see your registration and ticket:',
+      inviteUrl,
+      `This link works once and expires on ${formatEventDate(expiresAt).split(' ')[0]}.`
+    ]
+  ),
+
+  waitlisted: ({ name, event, position }) => compose(
+    `You're on the waitlist: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${event.title} is full, so you have been added to the waitlist${position ? ` at position ${position}` : ''}.`,
+      'We will email you your ticket if a seat opens up.'
+    ]
+  ),
+
+  waitlistPromoted: ({ name, event, qrCode }) => compose(
+    `A seat opened up: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `Good news: a seat opened up and your registration for ${eventLine(event)} is now confirmed.`,
+      qrCode ? 'Show the attached QR code at the door to check in.' : null
+    ],
+    { qrCode }
+  ),
+
+  sessionWaitlistPromoted: ({ name, event, session }) => compose(
+    `A place opened up: ${session.title}`,
+    [
+      `Hi ${name},`,
+      `A place opened up in ${session.title} at ${eventLine(event)}, and it is now in your schedule.`
+    ]
+  ),
+
+  paymentRequired: ({ name, event, amount, currency, checkoutUrl, holdExpiresAt }) => compose(
+    `Complete your payment: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `A seat is being held for you at ${eventLine(event)} until ${holdExpiresAt} UTC.`,
+      `Complete your payment of ${Number(amount).toFixed(2)} ${currency} to confirm it: ${checkoutUrl}`
+    ]
+  ),
+
+  registrationCancelled: ({ name, event, reason }) => compose(
+    `Registration cancelled: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `Your registration for ${eventLine(event)} has been cancelled.`,
+      reason || null
+    ]
+  ),
+
+  eventCancelled: ({ name, event, reason, refundAmount, currency }) => compose(
+    `Event cancelled: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `We're sorry, ${eventLine(event)} has been cancelled and your registration with it.`,
+      reason ? `The organizer said: ${reason}` : null,
+      refundAmount ? `A full refund of ${refundAmount.toFixed(2)} ${currency} is on its way to your original payment method.` : null
+    ]
+  ),
+
+  boothCancelled: ({ name, event, boothNumber, reason }) => compose(
+    `Event cancelled: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${eventLine(event)} has been cancelled, so your booth${boothNumber ? ` ${boothNumber}` : ''} is cancelled too.`,
+      reason ? `The organizer said: ${reason}` : null
+    ]
+  ),
+
+  ticketTransferOffer: ({ name, event, from, expiresAt, acceptUrl }) => compose(
+    `${from} wants to give you their ticket: ${event.title}`,
+    [
+      `Hi${name ? ` ${name}` : ''},`,
+      `${from} is offering you their registration for ${eventLine(event)}.`,
+      `Sign in (or sign up with this email address) and accept it at ${acceptUrl} before ${expiresAt} UTC.`
+    ]
+  ),
+
+  ticketTransferred: ({ name, event, to }) => compose(
+    `Your ticket was transferred: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${to} accepted your registration for ${eventLine(event)}. Your old ticket no longer works.`
+    ]
+  ),
+
+  accountInvitation: ({ name, inviteUrl, expiresAt }) => compose(
+    'Your account is ready',
+    [
+      `Hi ${name},`,
+      'An account has been created for you. Choose your password to sign in:',
+      inviteUrl,
+      `This link works once and expires on ${formatEventDate(expiresAt).split(' ')[0]}.`
+    ]
+  ),
+
+  eventReminder: ({ name, event }) => compose(
+    `Reminder: ${event.title} is coming up`,
+    [
+      `Hi ${name},`,
+      `This is a reminder that ${eventLine(event)} is coming up soon.`,
+      'Remember to bring your ticket QR code.'
+    ]
+  ),
+
+  eventUpdated: ({ name, event }) => compose(
+    `Event updated: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `The details of an event you are registered for have changed. It is now ${eventLine(event)}.`
+    ]
+  ),
+
+  eventApproved: ({ name, event }) => compose(
+    `Event approved: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${eventLine(event)} has been approved and is now published. Attendees can find it and register.`
+    ]
+  ),
+
+  eventRejected: ({ name, event, reason }) => compose(
+    `Changes needed: ${event.title}`,
+    [
+      `Hi ${name},`,
+      `${event.title} was not approved for publishing and has been returned to your drafts.`,
+      reason ? `Reason: ${reason}` : null,
+      'Make the changes and submit it for review again.'
+    ]
+  ),
+
+  announcement: ({ name, title, body, priority }) => compose(
+    `${priority === 'urgent' ? '[Urgent] ' : ''}${title}`,
+    [`Hi ${name},`, body]
+  )
+};
+
+/**
+ * Render a named template.
+ *
+ * @throws {Error} if the template does not exist
+ */
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+export const templateNames = Object.keys(templates);
@@ -0,0 +1,93 @@
+import nodemailer from 'nodemailer';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Email transports. A transport is an object with a `name` and an async
+ * `send(message)` returning `{ messageId }`, where `message` is
+ * `{ from, to, subject, text, html, attachments }` and each attachment is
+ * `{ filename, content, contentType, cid }`.
+ */
+
+// Sends through any SMTP server, e.g. a relay or a local MailHog/Mailpit
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Writes each message as a .eml file, for local development
+export const createFileTransport = ({ directory }) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      const messageId = randomUUID();
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, `${Date.now()}-${messageId}.eml`), info.message);
+      return { messageId };
+    }
+  };
+};
+
+// Keeps messages in memory, for tests
+export const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      const messageId = randomUUID();
+      sent.push({ ...message, messageId });
+      return { messageId };
+    },
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+/**
+ * Build the transport configured by the environment: EMAIL_TRANSPORT picks
+ * smtp, file or memory. Without it, SMTP is used when SMTP_HOST is set and
+ * files under EMAIL_FILE_DIR (or the system temp directory) otherwise.
+ */
+export const createTransportFromEnv = (env = process.env) => {
+  const kind = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+
+  switch (kind) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport({
+        directory: env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'ems-mail')
+      });
+    default:
+      throw new Error(`Unknown email transport: ${kind}`);
+  }
+};
@@ -0,0 +1,143 @@
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+import { transitionEvent } from './eventLifecycle.js';
+import { CURRENCY, getPaymentProvider, recordRefund } from './payments/index.js';
+import { INACTIVE_STATUSES } from './registrations.js';
+import { revokeTicket } from './tickets.js';
+
+// Booths in these states are still expecting to trade at the event
+const ACTIVE_BOOTH_STATUSES = ['pending', 'approved', 'active'];
+
+/**
+ * Cancel a published event and everything hanging off it:
+ *
+ * - every registration is cancelled, tickets are revoked, open checkouts
+ *   are closed and paid seats get a full refund whatever the refund policy
+ * - pending group orders and ticket transfer offers are cancelled
+ * - vendor booths are cancelled
+ * - scheduled announcements that have not gone out are withdrawn
+ * - attendees and vendors are emailed
+ *
+ * The status changes first, so nothing is cancelled, and no payment provider
+ * is called, if the event changed status since it was read. The change is
+ * recorded with a summary of what was cancelled. Refunds are only recorded
+ * here; the caller issues them once the transaction has committed.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} event the events row
+ * @param {object} options
+ * @param {string} options.cancelledBy id of the user cancelling
+ * @param {string} [options.reason] shown to attendees and vendors
+ * @returns {Promise<{ cancelled: boolean, refunds?: object[], summary?: object }>}
+ */
+export const cancelEvent = async (event, { cancelledBy, reason = null }) => {
+  const cancelled = await transitionEvent(event, 'cancelled', { changedBy: cancelledBy, reason });
+
+  if (!cancelled) {
+    return { cancelled };
+  }
+
+  const eventSummary = { id: event.id, title: event.title, date: event.date, location: event.location };
+
+  const registrations = await db.query(
+    `SELECT id, event_id, user_id, status, ticket_version, payment_id, amount_paid
+     FROM registrations
+     WHERE event_id = ? AND status NOT IN (${INACTIVE_STATUSES.map(() => '?').join(', ')})`,
+    [event.id, ...INACTIVE_STATUSES]
+  );
+
+  const refunds = [];
+
+  for (const registration of registrations) {
+    if (['confirmed', 'attended'].includes(registration.status)) {
+      await revokeTicket(registration, 'event_cancelled');
+    }
+
+    if (registration.status === 'pending_payment') {
+      await getPaymentProvider().cancelCheckout(registration.payment_id);
+    }
+
+    await db.exec(
+      `UPDATE registrations
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, hold_expires_at = NULL, qr_code = NULL,
+           payment_status = CASE WHEN payment_status = 'pending' THEN 'cancelled' ELSE payment_status END
+       WHERE id = ?`,
+      [registration.id]
+    );
+
+    const refund = ['confirmed', 'attended'].includes(registration.status)
+      ? await recordRefund(registration, event, { full: true })
+      : null;
+
+    if (refund?.status === 'pending') {
+      refunds.push(refund);
+    }
+
+    await enqueueUserEmail(registration.user_id, 'eventCancelled', {
+      event: eventSummary,
+      reason,
+      refundAmount: refund?.amount || null,
+      currency: CURRENCY
+    });
+  }
+
+  await db.exec('DELETE FROM session_registrations WHERE event_id = ?', [event.id]);
+
+  await db.exec(
+    `UPDATE registration_orders SET status = 'cancelled' WHERE event_id = ? AND status = 'pending_payment'`,
+    [event.id]
+  );
+
+  await db.exec(
+    `UPDATE ticket_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+     WHERE event_id = ? AND status = 'pending'`,
+    [event.id]
+  );
+
+  const booths = await db.query(
+    `SELECT id, vendor_id, booth_number FROM vendor_booths
+     WHERE event_id = ? AND status IN (${ACTIVE_BOOTH_STATUSES.map(() => '?').join(', ')})`,
+    [event.id, ...ACTIVE_BOOTH_STATUSES]
+  );
+
+  for (const booth of booths) {
+    await db.exec(
+      `UPDATE vendor_booths SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [booth.id]
+    );
+
+    await enqueueUserEmail(booth.vendor_id, 'boothCancelled', {
+      event: eventSummary,
+      boothNumber: booth.booth_number,
+      reason
+    });
+  }
+
+  // Published announcements stay as a record, scheduled ones never go out
+  const withdrawn = await db.query(
+    `SELECT id FROM announcements WHERE event_id = ? AND published_at IS NULL AND deleted_at IS NULL`,
+    [event.id]
+  );
+  await db.exec(
+    `UPDATE announcements SET deleted_at = CURRENT_TIMESTAMP
+     WHERE event_id = ? AND published_at IS NULL AND deleted_at IS NULL`,
+    [event.id]
+  );
+
+  const summary = {
+    registrationsCancelled: registrations.length,
+    refundsRecorded: refunds.length,
+    refundTotal: refunds.reduce((total, refund) => total + refund.amount, 0),
+    boothsCancelled: booths.length,
+    announcementsWithdrawn: withdrawn.length
+  };
+
+  // An event is only ever cancelled once
+  await db.exec(
+    `UPDATE event_status_changes SET details = ? WHERE event_id = ? AND to_status = 'cancelled'`,
+    [JSON.stringify(summary), event.id]
+  );
+
+  return { cancelled, refunds, summary };
+};
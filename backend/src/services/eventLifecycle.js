@@ -0,0 +1,156 @@
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+
+export const EVENT_STATUSES = ['draft', 'pending_review', 'published', 'cancelled', 'completed', 'archived'];
+
+// Statuses anyone can see. Drafts, events in review and archived events are
+// only shown to their organizer and admins.
+export const PUBLIC_EVENT_STATUSES = ['published', 'cancelled', 'completed'];
+
+/**
+ * Whether a user may see an event: anyone once it is public, otherwise only
+ * its organizer and admins.
+ *
+ * @param {{ status: string, organizer_id: string }} event
+ * @param {{ id: string, role: string }} user
+ */
+export const canViewEvent = (event, user) => (
+  PUBLIC_EVENT_STATUSES.includes(event.status) || event.organizer_id === user.id || user.role === 'admin'
+);
+
+// Statuses in which organizers can still edit an event's details
+export const EDITABLE_EVENT_STATUSES = ['draft', 'pending_review', 'published'];
+
+/**
+ * Allowed status changes and who may make them. `owner` is the event's
+ * organizer and `system` the automatic completion of past events.
+ */
+const TRANSITIONS = {
+  draft: { pending_review: ['owner'], published: ['owner', 'admin'] },
+  pending_review: { draft: ['owner', 'admin'], published: ['admin'] },
+  published: { cancelled: ['owner', 'admin'], completed: ['admin', 'system'] },
+  cancelled: { archived: ['owner', 'admin'] },
+  completed: { archived: ['owner', 'admin'] },
+  archived: {}
+};
+
+// With review required, organizers submit events and admins publish them
+export const isReviewRequired = () => process.env.EVENT_REVIEW_REQUIRED === 'true';
+
+/**
+ * The status a new event starts in.
+ *
+ * @param {string} role role of the user creating it
+ * @param {boolean} [asDraft] whether they asked to save a draft
+ */
+export const initialEventStatus = (role, asDraft = false) => {
+  if (asDraft) {
+    return 'draft';
+  }
+  return role === 'admin' || !isReviewRequired() ? 'published' : 'pending_review';
+};
+
+/**
+ * Check a status change against the transition table.
+ *
+ * @param {{ status: string, organizer_id: string }} event
+ * @param {string} to
+ * @param {{ id: string, role: string } | 'system'} actor
+ * @returns {string|null} why the change is not allowed, or null if it is
+ */
+export const checkTransition = (event, to, actor) => {
+  const allowed = TRANSITIONS[event.status]?.[to];
+
+  if (!allowed) {
+    return `Cannot change an event from ${event.status} to ${to}`;
+  }
+
+  const roles = actor === 'system'
+    ? ['system']
+    : [
+      ...(actor.id === event.organizer_id ? ['owner'] : []),
+      ...(actor.role === 'admin' ? ['admin'] : [])
+    ];
+
+  // Organizers cannot skip review when it is required
+  const permitted = roles.some(role => allowed.includes(role)
+    && !(role === 'owner' && to === 'published' && isReviewRequired()));
+
+  return permitted ? null : `Not allowed to change this event to ${to}`;
+};
+
+/**
+ * Move an event to a new status and record the change. Only applies if the
+ * event is still in the status it was read in.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {{ id: string, status: string }} event
+ * @param {string} to
+ * @param {object} [options]
+ * @param {string|null} [options.changedBy] user making the change, null for the system
+ * @param {string|null} [options.reason]
+ * @param {object|null} [options.details] what else the change did, kept with the record
+ * @returns {Promise<boolean>} whether the status changed
+ */
+export const transitionEvent = async (event, to, { changedBy = null, reason = null, details = null } = {}) => {
+  const [current] = await db.query('SELECT status FROM events WHERE id = ?', [event.id]);
+
+  if (!current || current.status !== event.status) {
+    return false;
+  }
+
+  await db.exec('UPDATE events SET status = ? WHERE id = ?', [to, event.id]);
+
+  await db.exec(
+    `INSERT INTO event_status_changes (id, event_id, from_status, to_status, changed_by, reason, details, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [randomUUID(), event.id, event.status, to, changedBy, reason, details && JSON.stringify(details)]
+  );
+
+  return true;
+};
+
+/**
+ * Tell an organizer an admin has decided on the event they submitted.
+ */
+export const notifyReviewDecision = async (event, approved, reason) => {
+  await enqueueUserEmail(event.organizer_id, approved ? 'eventApproved' : 'eventRejected', {
+    event: { id: event.id, title: event.title, date: event.date, location: event.location },
+    reason
+  });
+};
+
+/**
+ * Mark published events whose date has passed as completed.
+ *
+ * @returns {Promise<number>} how many events were completed
+ */
+export const completePastEvents = async () => {
+  const past = await db.query(
+    `SELECT id, status FROM events WHERE status = 'published' AND date(date) < date('now')`
+  );
+
+  for (const event of past) {
+    await transitionEvent(event, 'completed');
+  }
+
+  return past.length;
+};
+
+/**
+ * The recorded status changes of an event, oldest first.
+ */
+export const getStatusHistory = async (eventId) => {
+  const changes = await db.query(
+    `SELECT c.from_status, c.to_status, c.reason, c.details, c.created_at, c.changed_by, u.name as changed_by_name
+     FROM event_status_changes c
+     LEFT JOIN users u ON c.changed_by = u.id
+     WHERE c.event_id = ?
+     ORDER BY c.created_at ASC, c.rowid ASC`,
+    [eventId]
+  );
+
+  return changes.map(change => ({ ...change, details: change.details ? JSON.parse(change.details) : null }));
+};
@@ -0,0 +1,97 @@
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+import { indexEvent } from './search.js';
+import { promoteWaitlist } from './waitlist.js';
+
+// Event details organizers can edit
+export const EVENT_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'location',
+  'category',
+  'capacity',
+  'ticket_price',
+  'refund_full_days',
+  'refund_partial_percent',
+  'allow_transfers',
+  'is_virtual',
+  'registration_deadline'
+];
+
+// Boolean columns are stored as 0/1
+const toColumn = (field, value) => (
+  ['allow_transfers', 'is_virtual'].includes(field) ? (value ? 1 : 0) : value ?? null
+);
+
+/**
+ * Insert an event from validated event details.
+ *
+ * @param {string} eventId
+ * @param {object} data validated event details
+ * @param {object} extra other columns to set, e.g. `organizer_id` and `status`
+ */
+export const insertEvent = async (eventId, data, extra) => {
+  const columns = { ...Object.fromEntries(EVENT_FIELDS.map(field => [field, toColumn(field, data[field])])), ...extra };
+
+  await db.exec(
+    `INSERT INTO events (id, ${Object.keys(columns).join(', ')}, created_at)
+     VALUES (?, ${Object.keys(columns).map(() => '?').join(', ')}, datetime('now'))`,
+    [eventId, ...Object.values(columns)]
+  );
+
+  await indexEvent(eventId);
+};
+
+/**
+ * Save new details for an event, fill any seats a capacity increase opened
+ * from the waitlist and tell registrants when the title, date or location
+ * changed.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} previous the events row before the update
+ * @param {object} data validated event details
+ * @returns {Promise<Array<{ id: string, user_id: string }>>} registrations promoted off the waitlist
+ */
+export const updateEvent = async (previous, data) => {
+  await db.exec(
+    `UPDATE events SET ${EVENT_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+    [...EVENT_FIELDS.map(field => toColumn(field, data[field])), previous.id]
+  );
+
+  await indexEvent(previous.id);
+
+  // Raising capacity opens seats for the waitlist
+  const promoted = data.capacity > previous.capacity
+    ? await promoteWaitlist(previous.id)
+    : [];
+
+  // Tell registrants when the when, where or what changes
+  const detailsChanged = ['title', 'date', 'location'].some(field => data[field] !== previous[field]);
+
+  if (detailsChanged) {
+    const registrants = await db.query(
+      `SELECT user_id FROM registrations WHERE event_id = ? AND status IN ('confirmed', 'waitlist')`,
+      [previous.id]
+    );
+
+    for (const { user_id: registrantId } of registrants) {
+      await enqueueUserEmail(registrantId, 'eventUpdated', {
+        event: { id: previous.id, title: data.title, date: data.date, location: data.location }
+      });
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * An events row as the event details it was created from, with 0/1 columns
+ * back as booleans.
+ */
+export const toEventDetails = (event) => ({
+  ...Object.fromEntries(EVENT_FIELDS.map(field => [field, event[field]])),
+  allow_transfers: Boolean(event.allow_transfers),
+  is_virtual: Boolean(event.is_virtual)
+});
@@ -0,0 +1,86 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+
+// How long an invitation link stays valid
+export const INVITATION_DAYS = 14;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Invite a user to set their password. Any earlier unused invitation for the
+ * user stops working, and the link is emailed to them.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {string} userId
+ * @param {string} [invitedBy] id of the user sending the invitation
+ * @param {object} [email] the email carrying the link
+ * @param {string} [email.template] gets `inviteUrl` and `expiresAt` on top of `data`
+ * @param {object} [email.data]
+ * @returns {Promise<{ token: string, expiresAt: string }>}
+ */
+export const createInvitation = async (userId, invitedBy = null, { template = 'accountInvitation', data = {} } = {}) => {
+  const token = randomBytes(32).toString('base64url');
+
+  await db.exec('DELETE FROM user_invitations WHERE user_id = ? AND accepted_at IS NULL', [userId]);
+
+  const id = randomUUID();
+  await db.exec(
+    `INSERT INTO user_invitations (id, user_id, token_hash, invited_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))`,
+    [id, userId, hashToken(token), invitedBy, `+${INVITATION_DAYS} days`]
+  );
+
+  const [{ expires_at: expiresAt }] = await db.query('SELECT expires_at FROM user_invitations WHERE id = ?', [id]);
+  const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+  await enqueueUserEmail(userId, template, {
+    ...data,
+    inviteUrl: `${appUrl}/invitations/${token}`,
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Look up the open invitation for an emailed token.
+ *
+ * @param {string} token
+ * @returns {Promise<object|null>} the invitation joined with the invited user
+ */
+export const findInvitation = async (token) => {
+  const [invitation] = await db.query(
+    `SELECT i.id, i.user_id, i.expires_at, u.name, u.email, u.role, u.status
+     FROM user_invitations i
+     JOIN users u ON i.user_id = u.id
+     WHERE i.token_hash = ? AND i.accepted_at IS NULL AND i.expires_at > datetime('now')`,
+    [hashToken(token)]
+  );
+
+  return invitation || null;
+};
+
+/**
+ * Set the invited user's password and use up the invitation. Users who were
+ * only ever invited become active; suspended or inactive users stay that way.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} invitation a row from findInvitation
+ * @param {string} hashedPassword
+ */
+export const acceptInvitation = async (invitation, hashedPassword) => {
+  await db.exec(
+    `UPDATE users
+     SET password = ?, verified = 1, status = CASE WHEN status = 'invited' THEN 'active' ELSE status END
+     WHERE id = ?`,
+    [hashedPassword, invitation.user_id]
+  );
+
+  await db.exec(
+    'UPDATE user_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [invitation.id]
+  );
+};
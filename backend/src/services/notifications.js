@@ -0,0 +1,47 @@
+/**
+ * Notification dispatcher. Delivery channels (email, push, ...) register a
+ * sender here; every dispatched notification is fanned out to all of them.
+ *
+ * A sender is called as `send(notification, recipients)` where
+ * `notification` is `{ type, title, body, eventId, priority, data }` and
+ * `recipients` is a list of `{ id, name, email }`.
+ */
+const channels = new Map();
+
+export const registerChannel = (name, send) => {
+  channels.set(name, send);
+};
+
+export const unregisterChannel = (name) => {
+  channels.delete(name);
+};
+
+/**
+ * Send a notification to recipients over every registered channel. A failing
+ * channel is logged and does not stop the others.
+ *
+ * @returns {Promise<{ recipients: number, delivered: string[], failed: string[] }>}
+ */
+export const dispatch = async (notification, recipients) => {
+  const delivered = [];
+  const failed = [];
+
+  if (recipients.length === 0) {
+    return { recipients: 0, delivered, failed };
+  }
+
+  const results = await Promise.allSettled(
+    [...channels].map(([, send]) => send(notification, recipients))
+  );
+
+  [...channels.keys()].forEach((name, i) => {
+    if (results[i].status === 'fulfilled') {
+      delivered.push(name);
+    } else {
+      failed.push(name);
+      console.error(`Notification channel ${name} failed:`, results[i].reason);
+    }
+  });
+
+  return { recipients: recipients.length, delivered, failed };
+};
@@ -0,0 +1,126 @@
+import db from '../db/index.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Read `limit`, `cursor`, `sort` and `fields` from a list request.
+ *
+ * - `sort` is a column name, prefixed with `-` for descending order
+ * - `fields` is a comma-separated list of fields to return. The row id is
+ *   always included.
+ * - `cursor` is the opaque `nextCursor` of the previous page
+ *
+ * @param {object} query req.query
+ * @param {object} options
+ * @param {Object<string, string>} options.sortable sort names mapped to their SQL column
+ * @param {string} options.defaultSort e.g. `-created_at`
+ * @param {string[]} options.fields fields that can be selected
+ * @param {string} [options.idKey] the row's unique key, used to break ties
+ * @returns {{ limit: number, sort: object, cursor: Array|null, fields: string[]|null } | { error: string }}
+ */
+export const parseListQuery = (query, { sortable, defaultSort, fields, idKey = 'id' }) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  const sortParam = String(query.sort || defaultSort);
+  const key = sortParam.replace(/^-/, '');
+  if (!sortable[key]) {
+    return { error: `sort must be one of ${Object.keys(sortable).join(', ')}, optionally prefixed with -` };
+  }
+  const sort = { name: sortParam, key, column: sortable[key], descending: sortParam.startsWith('-') };
+
+  let selected = null;
+  if (query.fields) {
+    selected = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = selected.filter(field => !fields.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+    selected = [...new Set([idKey, ...selected])];
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+      if (decoded.sort !== sort.name || !Array.isArray(decoded.after) || decoded.after.length !== 2) {
+        throw new Error('Cursor does not match the sort');
+      }
+      cursor = decoded.after;
+    } catch {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { limit, sort, cursor, fields: selected };
+};
+
+/**
+ * Run one page of a list query. `sql` is the full filtered SELECT with a
+ * WHERE clause and no ORDER BY; the page is taken with a keyset on the sort
+ * column and id so rows added or removed between pages are not skipped or
+ * repeated.
+ *
+ * @param {object} options
+ * @param {string} options.sql
+ * @param {Array} options.params
+ * @param {object} options.list from parseListQuery
+ * @param {string} options.idColumn SQL column of the row's unique key
+ * @param {string} [options.idKey] the row's unique key
+ * @returns {Promise<{ rows: object[], total: number, nextCursor: string|null }>}
+ */
+export const paginate = async ({ sql, params, list, idColumn, idKey = 'id' }) => {
+  const { limit, sort, cursor, fields } = list;
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) as total FROM (${sql})`, params);
+
+  // NULLs sort as empty strings so every row has a comparable cursor value
+  const column = `COALESCE(${sort.column}, '')`;
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const comparison = sort.descending ? '<' : '>';
+
+  const keyset = cursor
+    ? ` AND (${column} ${comparison} ? OR (${column} = ? AND ${idColumn} ${comparison} ?))`
+    : '';
+
+  const rows = await db.query(
+    `${sql}${keyset} ORDER BY ${column} ${direction}, ${idColumn} ${direction} LIMIT ?`,
+    [...params, ...(cursor ? [cursor[0], cursor[0], cursor[1]] : []), limit + 1]
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit
+    ? Buffer.from(JSON.stringify({ sort: sort.name, after: [last[sort.key] ?? '', last[idKey]] })).toString('base64url')
+    : null;
+
+  return { rows: selectFields(page, fields), total, nextCursor };
+};
+
+/**
+ * Keep only the selected fields of each row, or every field if none were
+ * selected.
+ */
+export const selectFields = (rows, fields) => (
+  fields
+    ? rows.map(row => Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]])))
+    : rows
+);
+
+/**
+ * Send the total and the cursor of the next page as headers so list bodies
+ * stay plain arrays. `Link` follows the usual rel="next" convention.
+ */
+export const setPaginationHeaders = (req, res, { total, nextCursor }) => {
+  res.setHeader('X-Total-Count', String(total));
+
+  if (nextCursor) {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('cursor', nextCursor);
+    res.setHeader('X-Next-Cursor', nextCursor);
+    res.setHeader('Link', `<${url.pathname}${url.search}>; rel="next"`);
+  }
+};
@@ -0,0 +1,266 @@
+import db from '../../db/index.js';
+import { enqueueUserEmail } from '../email/index.js';
+import { issueTicket } from '../tickets.js';
+import { promoteWaitlist } from '../waitlist.js';
+import { CURRENCY, getPaymentProvider } from './provider.js';
+
+const HOLD_MINUTES = Number(process.env.PAYMENT_HOLD_MINUTES || 15);
+
+const eventSummary = (row) => ({
+  id: row.event_id,
+  title: row.title,
+  date: row.date,
+  location: row.location
+});
+
+/**
+ * Hold a seat for a registration as `pending_payment` and open a checkout
+ * with the payment provider. The hold lapses after HOLD_MINUTES unless the
+ * provider's webhook confirms payment first.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {{ id: string }} registration
+ * @param {{ title: string }} event
+ * @param {number} amount
+ * @returns {Promise<{ paymentId: string, checkoutUrl: string, amount: number, currency: string, holdExpiresAt: string }>}
+ */
+export const startCheckout = async (registration, event, amount) => {
+  const { paymentId, checkoutUrl } = await getPaymentProvider().createCheckout({
+    reference: registration.id,
+    amount,
+    currency: CURRENCY,
+    description: event.title
+  });
+
+  await db.exec(
+    `UPDATE registrations
+     SET status = 'pending_payment', payment_status = 'pending', payment_id = ?, checkout_url = ?,
+         amount_due = ?, amount_paid = NULL, hold_expires_at = datetime('now', ?)
+     WHERE id = ?`,
+    [paymentId, checkoutUrl, amount, `+${HOLD_MINUTES} minutes`, registration.id]
+  );
+
+  const [{ hold_expires_at: holdExpiresAt }] = await db.query(
+    'SELECT hold_expires_at FROM registrations WHERE id = ?',
+    [registration.id]
+  );
+
+  return { paymentId, checkoutUrl, amount, currency: CURRENCY, holdExpiresAt };
+};
+
+/**
+ * Hold seats for a group order as `pending_payment` behind a single checkout
+ * for the whole order. Each registration keeps its own share in `amount_due`.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {{ id: string }} order
+ * @param {Array<{ id: string, amount: number }>} registrations
+ * @param {{ title: string }} event
+ * @returns {Promise<{ paymentId: string, checkoutUrl: string, amount: number, currency: string, holdExpiresAt: string }>}
+ */
+export const startGroupCheckout = async (order, registrations, event) => {
+  const amount = registrations.reduce((total, registration) => total + registration.amount, 0);
+
+  const { paymentId, checkoutUrl } = await getPaymentProvider().createCheckout({
+    reference: order.id,
+    amount,
+    currency: CURRENCY,
+    description: `${event.title} (${registrations.length} attendees)`
+  });
+
+  for (const registration of registrations) {
+    await db.exec(
+      `UPDATE registrations
+       SET status = 'pending_payment', payment_status = 'pending', payment_id = ?, checkout_url = ?,
+           amount_due = ?, amount_paid = NULL, hold_expires_at = datetime('now', ?)
+       WHERE id = ?`,
+      [paymentId, checkoutUrl, registration.amount, `+${HOLD_MINUTES} minutes`, registration.id]
+    );
+  }
+
+  await db.exec(
+    'UPDATE registration_orders SET payment_id = ?, total_amount = ? WHERE id = ?',
+    [paymentId, amount, order.id]
+  );
+
+  const [{ hold_expires_at: holdExpiresAt }] = await db.query(
+    'SELECT hold_expires_at FROM registrations WHERE id = ?',
+    [registrations[0].id]
+  );
+
+  return { paymentId, checkoutUrl, amount, currency: CURRENCY, holdExpiresAt };
+};
+
+/**
+ * Apply a verified payment webhook: a successful payment confirms the held
+ * seats and issues the tickets, a failed one releases the seats to the
+ * waitlist. A group order's registrations all share one payment and are
+ * settled together. Repeated deliveries of the same event are ignored.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @returns {Promise<{ handled: boolean, status?: string, reason?: string }>}
+ */
+export const handlePaymentEvent = async (paymentEvent) => {
+  const registrations = await db.query(
+    `SELECT r.*, e.title, e.date, e.location, e.capacity
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.payment_id = ?`,
+    [paymentEvent.paymentId]
+  );
+
+  if (registrations.length === 0) {
+    return { handled: false, reason: 'Unknown payment' };
+  }
+
+  const [registration] = registrations;
+
+  if (paymentEvent.type === 'payment.succeeded') {
+    if (['completed', 'refund_due', 'refunded', 'partially_refunded'].includes(registration.payment_status)) {
+      return { handled: true, status: registration.status };
+    }
+
+    const amountDue = registrations.reduce((total, { amount_due: due }) => total + due, 0);
+    if (paymentEvent.amount < amountDue) {
+      return { handled: false, reason: 'Payment amount does not cover the amount due' };
+    }
+
+    // A single registration records what was paid, a group member its share
+    const amountPaid = (row) => (registrations.length === 1 ? paymentEvent.amount : row.amount_due);
+
+    // The hold lapsed before the payment landed: confirm only if seats are
+    // still free for everyone, otherwise flag the payment for a refund
+    const lapsed = registrations.filter(row => row.status !== 'pending_payment');
+    if (lapsed.length > 0) {
+      const [{ taken }] = await db.query(
+        `SELECT COUNT(*) as taken FROM registrations
+         WHERE event_id = ? AND status IN ('confirmed', 'attended', 'pending_payment')`,
+        [registration.event_id]
+      );
+
+      if (taken + lapsed.length > registration.capacity) {
+        for (const row of registrations) {
+          await db.exec(
+            `UPDATE registrations SET payment_status = 'refund_due', amount_paid = ? WHERE id = ?`,
+            [amountPaid(row), row.id]
+          );
+        }
+        return { handled: true, status: registration.status };
+      }
+    }
+
+    for (const row of registrations) {
+      await db.exec(
+        `UPDATE registrations
+         SET status = 'confirmed', payment_status = 'completed', amount_paid = ?, hold_expires_at = NULL
+         WHERE id = ?`,
+        [amountPaid(row), row.id]
+      );
+
+      const qrCode = await issueTicket(row);
+      await enqueueUserEmail(row.user_id, 'registrationConfirmed', {
+        event: eventSummary(row),
+        qrCode
+      });
+    }
+
+    await db.exec(
+      `UPDATE registration_orders SET status = 'paid' WHERE payment_id = ?`,
+      [paymentEvent.paymentId]
+    );
+
+    return { handled: true, status: 'confirmed' };
+  }
+
+  if (paymentEvent.type === 'payment.failed') {
+    const held = registrations.filter(row => row.status === 'pending_payment');
+    if (held.length === 0) {
+      return { handled: true, status: registration.status };
+    }
+
+    for (const row of held) {
+      await db.exec(
+        `UPDATE registrations
+         SET status = 'cancelled', payment_status = 'failed', hold_expires_at = NULL
+         WHERE id = ?`,
+        [row.id]
+      );
+
+      await enqueueUserEmail(row.user_id, 'registrationCancelled', {
+        event: eventSummary(row),
+        reason: 'Your payment did not go through, so the seat we held for you has been released.'
+      });
+    }
+
+    await db.exec(
+      `UPDATE registration_orders SET status = 'failed' WHERE payment_id = ?`,
+      [paymentEvent.paymentId]
+    );
+
+    await promoteWaitlist(registration.event_id);
+
+    return { handled: true, status: 'cancelled' };
+  }
+
+  return { handled: false, reason: `Unsupported event type ${paymentEvent.type}` };
+};
+
+/**
+ * Release seats whose payment hold has lapsed and offer them to the waitlist.
+ * Each event's holds are released and its waitlist promoted in one
+ * transaction, so a failure leaves that event's holds for the next run.
+ *
+ * @returns {Promise<number>} how many holds expired
+ */
+export const expireUnpaidHolds = async () => {
+  const expired = await db.query(
+    `SELECT r.id, r.event_id, r.user_id, r.payment_id, e.title, e.date, e.location
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.status = 'pending_payment' AND r.hold_expires_at <= datetime('now')`
+  );
+
+  const byEvent = new Map();
+  for (const registration of expired) {
+    byEvent.set(registration.event_id, [...(byEvent.get(registration.event_id) || []), registration]);
+  }
+
+  for (const [eventId, registrations] of byEvent) {
+    await db.exec('BEGIN TRANSACTION');
+
+    try {
+      for (const registration of registrations) {
+        await getPaymentProvider().cancelCheckout(registration.payment_id);
+
+        await db.exec(
+          `UPDATE registrations
+           SET status = 'expired', payment_status = 'expired', hold_expires_at = NULL
+           WHERE id = ?`,
+          [registration.id]
+        );
+
+        await db.exec(
+          `UPDATE registration_orders SET status = 'expired' WHERE payment_id = ? AND status = 'pending_payment'`,
+          [registration.payment_id]
+        );
+
+        await enqueueUserEmail(registration.user_id, 'registrationCancelled', {
+          event: eventSummary(registration),
+          reason: 'We did not receive your payment in time, so the seat we held for you has been released.'
+        });
+      }
+
+      await promoteWaitlist(eventId);
+
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,4 @@
+export { CURRENCY, createProviderFromEnv, getPaymentProvider, setPaymentProvider } from './provider.js';
+export { createMockProvider } from './mockProvider.js';
+export { expireUnpaidHolds, handlePaymentEvent, startCheckout, startGroupCheckout } from './checkout.js';
+export { calculateRefund, issueRefund, recordRefund } from './refunds.js';
@@ -0,0 +1,108 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const sign = (body, secret) => createHmac('sha256', secret).update(body).digest('hex');
+
+/**
+ * Local stand-in for a payment gateway. Checkouts live in memory; completing
+ * one with `simulate` produces the signed webhook a real gateway would send.
+ */
+export const createMockProvider = ({ webhookSecret, baseUrl = '' }) => {
+  const payments = new Map();
+
+  return {
+    name: 'mock',
+
+    createCheckout: async ({ reference, amount, currency, description }) => {
+      const paymentId = `mock_pay_${randomUUID()}`;
+      payments.set(paymentId, { paymentId, reference, amount, currency, description, status: 'pending' });
+
+      return {
+        paymentId,
+        checkoutUrl: `${baseUrl}/api/payments/mock/${paymentId}`
+      };
+    },
+
+    cancelCheckout: async (paymentId) => {
+      const payment = payments.get(paymentId);
+      if (payment && payment.status === 'pending') {
+        payment.status = 'cancelled';
+      }
+    },
+
+    /**
+     * Refund part or all of a succeeded payment. Refunds settle immediately.
+     *
+     * @returns {Promise<{ refundId: string, status: 'succeeded' }>}
+     */
+    refund: async (paymentId, amount) => {
+      const payment = payments.get(paymentId);
+      if (!payment || !['succeeded', 'refunded'].includes(payment.status)) {
+        throw new Error(`No captured payment ${paymentId} to refund`);
+      }
+
+      const refunded = payment.refunded || 0;
+      if (amount <= 0 || refunded + amount > payment.amount) {
+        throw new Error(`Refund of ${amount} exceeds what is left of payment ${paymentId}`);
+      }
+
+      payment.refunded = refunded + amount;
+      if (payment.refunded === payment.amount) {
+        payment.status = 'refunded';
+      }
+
+      return { refundId: `mock_ref_${randomUUID()}`, status: 'succeeded' };
+    },
+
+    /**
+     * Verify a webhook's signature and return its event.
+     *
+     * @returns {{ type: string, paymentId: string, amount: number, currency: string, reference: string } | null}
+     *   null when the signature does not match
+     */
+    parseWebhook: (rawBody, headers) => {
+      const signature = headers[SIGNATURE_HEADER];
+      if (!signature || !rawBody) {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(rawBody, webhookSecret));
+      const received = Buffer.from(String(signature));
+      if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        return null;
+      }
+
+      return JSON.parse(rawBody.toString());
+    },
+
+    getPayment: (paymentId) => payments.get(paymentId) || null,
+
+    /**
+     * Complete a pending checkout as the customer would and build the signed
+     * webhook for it.
+     *
+     * @param {'success'|'failure'} outcome
+     * @returns {{ body: string, headers: object } | null} null if there is no pending checkout
+     */
+    simulate: (paymentId, outcome) => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== 'pending') {
+        return null;
+      }
+
+      payment.status = outcome === 'success' ? 'succeeded' : 'failed';
+
+      const body = JSON.stringify({
+        id: `mock_evt_${randomUUID()}`,
+        type: `payment.${payment.status}`,
+        paymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        reference: payment.reference
+      });
+
+      return { body, headers: { [SIGNATURE_HEADER]: sign(body, webhookSecret) } };
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * Payment provider registry. A provider implements:
+ *
+ * - `createCheckout({ reference, amount, currency, description })`
+ *   resolving to `{ paymentId, checkoutUrl }`
+ * - `cancelCheckout(paymentId)` so an abandoned checkout can no longer be paid
+ * - `refund(paymentId, amount)` resolving to `{ refundId, status }`, rejecting
+ *   if the payment cannot be refunded
+ * - `parseWebhook(rawBody, headers)` returning the verified event
+ *   `{ type: 'payment.succeeded' | 'payment.failed', paymentId, amount, ... }`
+ *   or null if the signature is invalid
+ */
+export const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+/**
+ * Build the provider named by PAYMENT_PROVIDER. There is no default: the
+ * mock provider lets anyone mark their own checkout as paid, so it has to be
+ * chosen explicitly and is refused in production. Webhooks are only trusted
+ * with a configured PAYMENT_WEBHOOK_SECRET.
+ *
+ * @throws when payments are not configured or the mock is used in production
+ */
+export const createProviderFromEnv = (env = process.env) => {
+  const kind = env.PAYMENT_PROVIDER;
+
+  if (!kind) {
+    throw new Error('Payments are not configured: set PAYMENT_PROVIDER');
+  }
+
+  if (!env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to verify payment webhooks');
+  }
+
+  switch (kind) {
+    case 'mock':
+      if (env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+      }
+      return createMockProvider({
+        webhookSecret: env.PAYMENT_WEBHOOK_SECRET,
+        baseUrl: env.APP_URL || `http://localhost:${env.PORT || 3000}`
+      });
+    default:
+      throw new Error(`Unknown payment provider: ${kind}`);
+  }
+};
+
+let provider = null;
+
+export const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. for a fresh mock in tests
+export const setPaymentProvider = (newProvider) => {
+  provider = newProvider;
+};
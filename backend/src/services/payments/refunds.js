@@ -0,0 +1,109 @@
+import { randomUUID } from 'crypto';
+import db from '../../db/index.js';
+import { getPaymentProvider } from './provider.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out what a cancellation refunds under the event's policy: everything
+ * paid until `refund_full_days` before the event, `refund_partial_percent`
+ * of it until the event starts, and nothing once it has started.
+ *
+ * @param {{ date: string, refund_full_days: number, refund_partial_percent: number }} event
+ * @param {number} amountPaid
+ * @param {Date} [now]
+ * @returns {{ amount: number, policy: 'full'|'partial'|'none' }}
+ */
+export const calculateRefund = (event, amountPaid, now = new Date()) => {
+  const startsAt = new Date(event.date);
+
+  if (!amountPaid || now >= startsAt) {
+    return { amount: 0, policy: 'none' };
+  }
+
+  if (startsAt - now >= event.refund_full_days * DAY_MS) {
+    return { amount: amountPaid, policy: 'full' };
+  }
+
+  // Round to cents so partial refunds don't carry float noise
+  const amount = Math.round(amountPaid * event.refund_partial_percent) / 100;
+  return { amount, policy: amount > 0 ? 'partial' : 'none' };
+};
+
+/**
+ * Record the refund owed for a paid registration being cancelled and mark
+ * its payment accordingly. Registrations with nothing paid get no refund.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {{ id: string, event_id: string, user_id: string, payment_id: string, amount_paid: number }} registration
+ * @param {{ date: string, refund_full_days: number, refund_partial_percent: number }} event
+ * @param {object} [options]
+ * @param {boolean} [options.full] refund everything paid regardless of the
+ *   policy, e.g. when the organizer cancels the event
+ * @returns {Promise<object|null>} the refunds row
+ */
+export const recordRefund = async (registration, event, { full = false } = {}) => {
+  if (!registration.payment_id || !registration.amount_paid) {
+    return null;
+  }
+
+  const { amount, policy } = full
+    ? { amount: registration.amount_paid, policy: 'full' }
+    : calculateRefund(event, registration.amount_paid);
+  const refundId = randomUUID();
+
+  await db.exec(
+    `INSERT INTO refunds (
+      id, registration_id, event_id, user_id, payment_id, amount_paid, amount, policy, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      refundId,
+      registration.id,
+      registration.event_id,
+      registration.user_id,
+      registration.payment_id,
+      registration.amount_paid,
+      amount,
+      policy,
+      amount > 0 ? 'pending' : 'not_refundable'
+    ]
+  );
+
+  if (amount > 0) {
+    await db.exec(
+      'UPDATE registrations SET payment_status = ? WHERE id = ?',
+      [amount < registration.amount_paid ? 'partially_refunded' : 'refunded', registration.id]
+    );
+  }
+
+  const [refund] = await db.query('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  return refund;
+};
+
+/**
+ * Send a pending refund to the payment provider. Runs after the cancellation
+ * has committed so a rolled back cancellation never moves money; a provider
+ * failure leaves the refund `failed` for an admin to follow up.
+ *
+ * @param {{ id: string, payment_id: string, amount: number }} refund
+ * @returns {Promise<string>} the resulting refund status
+ */
+export const issueRefund = async (refund) => {
+  let status;
+  let providerRefundId = null;
+
+  try {
+    ({ refundId: providerRefundId, status } = await getPaymentProvider().refund(refund.payment_id, refund.amount));
+  } catch (error) {
+    console.error(`Refund ${refund.id} failed:`, error);
+    status = 'failed';
+  }
+
+  await db.exec(
+    `UPDATE refunds SET status = ?, provider_refund_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, providerRefundId, refund.id]
+  );
+
+  return status;
+};
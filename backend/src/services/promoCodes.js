@@ -0,0 +1,119 @@
+import db from '../db/index.js';
+
+// Registrations in these states hold on to a redemption. Waitlisted ones keep
+// theirs so the discount is still there when they are promoted.
+const REDEEMED_STATUSES = "('confirmed', 'attended', 'pending_payment', 'waitlist')";
+
+export const normalizeCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Promo codes for an event with their redemption counts, the discount given
+ * so far and the ticket types each is restricted to.
+ *
+ * @param {string} eventId
+ * @param {string} [promoCodeId] only this code
+ */
+export const getPromoCodes = async (eventId, promoCodeId) => {
+  const promoCodes = await db.query(
+    `SELECT p.*,
+            (SELECT COUNT(*) FROM registrations r
+             WHERE r.promo_code_id = p.id AND r.status IN ${REDEEMED_STATUSES}) as redemptions,
+            (SELECT COALESCE(SUM(r.discount_amount), 0) FROM registrations r
+             WHERE r.promo_code_id = p.id AND r.status IN ${REDEEMED_STATUSES}) as total_discount,
+            (p.expires_at IS NOT NULL AND p.expires_at <= datetime('now')) as expired
+     FROM promo_codes p
+     WHERE p.event_id = ? ${promoCodeId ? 'AND p.id = ?' : ''}
+     ORDER BY p.created_at DESC`,
+    promoCodeId ? [eventId, promoCodeId] : [eventId]
+  );
+
+  const restrictions = await db.query(
+    `SELECT pt.promo_code_id, pt.ticket_type_id
+     FROM promo_code_ticket_types pt
+     JOIN promo_codes p ON pt.promo_code_id = p.id
+     WHERE p.event_id = ?`,
+    [eventId]
+  );
+
+  return promoCodes.map(promoCode => ({
+    ...promoCode,
+    active: Boolean(promoCode.active),
+    expired: Boolean(promoCode.expired),
+    remaining_uses: promoCode.max_uses === null ? null : Math.max(promoCode.max_uses - promoCode.redemptions, 0),
+    ticket_type_ids: restrictions
+      .filter(restriction => restriction.promo_code_id === promoCode.id)
+      .map(restriction => restriction.ticket_type_id)
+  }));
+};
+
+/**
+ * Replace the ticket types a promo code is restricted to. An empty list lifts
+ * the restriction.
+ */
+export const setPromoCodeTicketTypes = async (promoCodeId, ticketTypeIds = []) => {
+  await db.exec('DELETE FROM promo_code_ticket_types WHERE promo_code_id = ?', [promoCodeId]);
+
+  for (const ticketTypeId of new Set(ticketTypeIds)) {
+    await db.exec(
+      'INSERT INTO promo_code_ticket_types (promo_code_id, ticket_type_id) VALUES (?, ?)',
+      [promoCodeId, ticketTypeId]
+    );
+  }
+};
+
+/**
+ * Look up a code entered at registration and check it can be redeemed for the
+ * chosen ticket type.
+ *
+ * @returns {Promise<{ promoCode: object|null, error?: string }>}
+ */
+export const resolvePromoCode = async (eventId, code, ticketTypeId) => {
+  const [promoCode] = await db.query(
+    'SELECT id FROM promo_codes WHERE event_id = ? AND code = ?',
+    [eventId, normalizeCode(code)]
+  );
+
+  if (!promoCode) {
+    return { promoCode: null, error: 'Invalid promo code' };
+  }
+
+  const [details] = await getPromoCodes(eventId, promoCode.id);
+
+  if (!details.active) {
+    return { promoCode: null, error: 'Invalid promo code' };
+  }
+
+  if (details.expired) {
+    return { promoCode: null, error: 'Promo code has expired' };
+  }
+
+  if (details.remaining_uses === 0) {
+    return { promoCode: null, error: 'Promo code has been fully redeemed' };
+  }
+
+  if (details.ticket_type_ids.length > 0 && !details.ticket_type_ids.includes(ticketTypeId)) {
+    return { promoCode: null, error: 'Promo code does not apply to this ticket type' };
+  }
+
+  return { promoCode: details };
+};
+
+/**
+ * Apply a promo code's discount to a price. Discounts never take the price
+ * below zero.
+ *
+ * @param {number} price
+ * @param {{ discount_type: 'percentage'|'fixed', discount_value: number } | null} promoCode
+ * @returns {{ amount: number, discount: number }}
+ */
+export const applyDiscount = (price, promoCode) => {
+  if (!promoCode || !price) {
+    return { amount: price, discount: 0 };
+  }
+
+  const discount = promoCode.discount_type === 'percentage'
+    ? Math.round(price * promoCode.discount_value) / 100
+    : Math.min(promoCode.discount_value, price);
+
+  return { amount: Math.round((price - discount) * 100) / 100, discount };
+};
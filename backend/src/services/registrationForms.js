@@ -0,0 +1,125 @@
+import { z } from 'zod';
+import db from '../db/index.js';
+
+const TEXT_ANSWER_MAX_LENGTH = 1000;
+
+/**
+ * The live questions of an event's registration form, in display order.
+ *
+ * @param {string} eventId
+ */
+export const getFormQuestions = async (eventId) => {
+  const questions = await db.query(
+    `SELECT id, label, help_text, type, required, options, sort_order
+     FROM registration_questions
+     WHERE event_id = ? AND archived_at IS NULL
+     ORDER BY sort_order ASC, created_at ASC`,
+    [eventId]
+  );
+
+  return questions.map(question => ({
+    ...question,
+    required: Boolean(question.required),
+    options: question.options ? JSON.parse(question.options) : null
+  }));
+};
+
+/**
+ * Build the zod schema that answers to a form must match, keyed by question
+ * id. Unknown question ids are rejected; a required checkbox has to be ticked.
+ *
+ * @param {Array<{ id: string, type: 'text'|'choice'|'checkbox', required: boolean, options?: string[] }>} questions
+ */
+export const buildAnswersSchema = (questions) => {
+  const shape = {};
+
+  for (const question of questions) {
+    let field;
+
+    switch (question.type) {
+      case 'choice':
+        field = z.enum(question.options);
+        break;
+      case 'checkbox':
+        field = question.required ? z.literal(true) : z.boolean();
+        break;
+      default:
+        field = z.string().trim().max(TEXT_ANSWER_MAX_LENGTH);
+        if (question.required) {
+          field = field.min(1);
+        }
+    }
+
+    shape[question.id] = question.required ? field : field.optional();
+  }
+
+  return z.object(shape).strict();
+};
+
+/**
+ * Validate answers against an event's form.
+ *
+ * @returns {Promise<{ answers: object, questions: object[] } | { error: z.ZodError }>}
+ */
+export const validateAnswers = async (eventId, answers = {}) => {
+  const questions = await getFormQuestions(eventId);
+  const result = buildAnswersSchema(questions).safeParse(answers);
+
+  return result.success
+    ? { answers: result.data, questions }
+    : { error: result.error };
+};
+
+/**
+ * Replace a registration's answers to the live form. Answers to archived
+ * questions are kept.
+ *
+ * Must be called inside the caller's transaction.
+ */
+export const saveAnswers = async (registrationId, answers) => {
+  await db.exec(
+    `DELETE FROM registration_answers
+     WHERE registration_id = ?
+       AND question_id IN (SELECT id FROM registration_questions WHERE archived_at IS NULL)`,
+    [registrationId]
+  );
+
+  for (const [questionId, answer] of Object.entries(answers)) {
+    if (answer === undefined) {
+      continue;
+    }
+
+    await db.exec(
+      `INSERT INTO registration_answers (registration_id, question_id, answer, answered_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+      [registrationId, questionId, JSON.stringify(answer)]
+    );
+  }
+};
+
+/**
+ * Every answer given for an event, grouped by registration id. Answers to
+ * archived questions are included with their original label.
+ *
+ * @returns {Promise<Map<string, Array<{ question_id: string, label: string, answer: any }>>>}
+ */
+export const getEventAnswers = async (eventId) => {
+  const rows = await db.query(
+    `SELECT a.registration_id, a.question_id, q.label, a.answer
+     FROM registration_answers a
+     JOIN registration_questions q ON a.question_id = q.id
+     WHERE q.event_id = ?
+     ORDER BY q.sort_order ASC, q.created_at ASC`,
+    [eventId]
+  );
+
+  const answers = new Map();
+  for (const { registration_id: registrationId, answer, ...question } of rows) {
+    if (!answers.has(registrationId)) {
+      answers.set(registrationId, []);
+    }
+    answers.get(registrationId).push({ ...question, answer: JSON.parse(answer) });
+  }
+
+  return answers;
+};
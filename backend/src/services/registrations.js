@@ -0,0 +1,58 @@
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+
+// Registrations in these states no longer hold or wait for a seat
+export const INACTIVE_STATUSES = ['cancelled', 'expired'];
+
+/**
+ * Create a user's registration for an event, or reuse their cancelled or
+ * lapsed one so each user keeps a single row per event. A reused row gets a
+ * new ticket version so tickets from the old registration stay void.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} options
+ * @param {{ id: string }|undefined} options.existing the user's inactive registration, if any
+ * @returns {Promise<{ id: string, event_id: string, user_id: string, ticket_version: number }>}
+ */
+export const saveRegistration = async ({
+  existing,
+  eventId,
+  userId,
+  status,
+  ticketTypeId = null,
+  promoCodeId = null,
+  discount = null,
+  orderId = null,
+  registeredBy = null
+}) => {
+  const registrationId = existing ? existing.id : randomUUID();
+
+  if (existing) {
+    await db.exec(
+      `UPDATE registrations
+       SET status = ?, ticket_type = ?, promo_code_id = ?, discount_amount = ?, order_id = ?, registered_by = ?,
+           registration_time = CURRENT_TIMESTAMP, ticket_version = ticket_version + 1,
+           payment_status = NULL, payment_id = NULL, checkout_url = NULL, amount_due = NULL,
+           amount_paid = NULL, hold_expires_at = NULL, qr_code = NULL, check_in_time = NULL,
+           reminder_sent_at = NULL, cancelled_at = NULL
+       WHERE id = ?`,
+      [status, ticketTypeId, promoCodeId, discount, orderId, registeredBy, registrationId]
+    );
+  } else {
+    await db.exec(
+      `INSERT INTO registrations (
+        id, event_id, user_id, status, ticket_type, promo_code_id, discount_amount, order_id, registered_by,
+        registration_time
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [registrationId, eventId, userId, status, ticketTypeId, promoCodeId, discount, orderId, registeredBy]
+    );
+  }
+
+  const [registration] = await db.query(
+    'SELECT id, event_id, user_id, ticket_version FROM registrations WHERE id = ?',
+    [registrationId]
+  );
+
+  return registration;
+};
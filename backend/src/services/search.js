@@ -0,0 +1,282 @@
+import db from '../db/index.js';
+
+// Columns of event_search in order, with how much a match in each counts
+// towards an event's relevance
+const COLUMN_WEIGHTS = {
+  event_id: 0,
+  title: 10,
+  description: 1,
+  location: 3,
+  organizer: 3,
+  speakers: 4
+};
+
+// Matches on a corrected spelling count for less than the term as typed
+const CORRECTION_WEIGHT = 0.5;
+const MAX_CORRECTIONS = 3;
+const MAX_SEARCH_TERMS = 8;
+
+// Events with ticket types are paid if any type costs something, others by
+// their ticket_price
+const PAID = `(CASE WHEN EXISTS (SELECT 1 FROM ticket_types t WHERE t.event_id = e.id)
+  THEN EXISTS (SELECT 1 FROM ticket_types t WHERE t.event_id = e.id AND t.price > 0)
+  ELSE COALESCE(e.ticket_price, 0) > 0 END)`;
+
+/**
+ * Conditions for each facet value, on the `e` alias of events. The same
+ * conditions filter the list and count the facets.
+ */
+export const FACETS = {
+  price: {
+    free: `NOT ${PAID}`,
+    paid: PAID
+  },
+  format: {
+    virtual: 'e.is_virtual = 1',
+    in_person: 'COALESCE(e.is_virtual, 0) = 0'
+  },
+  when: {
+    today: `date(e.date) = date('now')`,
+    next_7_days: `date(e.date) > date('now') AND date(e.date) <= date('now', '+7 days')`,
+    next_30_days: `date(e.date) > date('now', '+7 days') AND date(e.date) <= date('now', '+30 days')`,
+    later: `date(e.date) > date('now', '+30 days')`
+  }
+};
+
+/**
+ * Score a matched event from matchinfo(event_search, 'pcx'): each phrase's
+ * hits in a column, against its hits across all events, times the column's
+ * weight and the phrase's weight.
+ *
+ * @param {Uint8Array} info the matchinfo blob
+ * @param {string} phraseWeights comma-separated weight of each phrase
+ * @returns {number}
+ */
+export const rankMatch = (info, phraseWeights) => {
+  const view = new DataView(info.buffer, info.byteOffset, info.byteLength);
+  const value = (index) => view.getUint32(index * 4, true);
+
+  const phrases = value(0);
+  const columns = value(1);
+  const weights = String(phraseWeights).split(',').map(Number);
+  const columnWeights = Object.values(COLUMN_WEIGHTS);
+
+  let score = 0;
+  for (let phrase = 0; phrase < phrases; phrase++) {
+    for (let column = 0; column < columns; column++) {
+      const offset = 2 + 3 * (phrase * columns + column);
+      const hits = value(offset);
+      if (hits > 0) {
+        score += (weights[phrase] ?? 1) * columnWeights[column] * hits / value(offset + 1);
+      }
+    }
+  }
+
+  return score;
+};
+
+db.createFunction('search_rank', rankMatch);
+
+// Lowercased words without accents, as the unicode61 tokenizer indexes them
+const toTerms = (text) => String(text)
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .slice(0, MAX_SEARCH_TERMS);
+
+// How many typos a term of this length may contain
+const allowedTypos = (term) => {
+  if (term.length < 4) {
+    return 0;
+  }
+  return term.length < 8 ? 1 : 2;
+};
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit.
+ */
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Indexed terms starting with the prefix, with how many events use them
+const termsStartingWith = (prefix) => db.query(
+  `SELECT term, documents FROM event_search_terms WHERE col = '*' AND term >= ? AND term < ?`,
+  [prefix, `${prefix}\uffff`]
+);
+
+/**
+ * Indexed terms within the allowed number of typos of a term that is not in
+ * the index, closest and most used first. Typos in the first letter are not
+ * corrected.
+ */
+const correctTerm = async (term) => {
+  const typos = allowedTypos(term);
+  if (typos === 0) {
+    return [];
+  }
+
+  const candidates = await termsStartingWith(term[0]);
+
+  return candidates
+    .filter(candidate => Math.abs(candidate.term.length - term.length) <= typos)
+    .map(candidate => ({ ...candidate, distance: editDistance(term, candidate.term) }))
+    .filter(candidate => candidate.distance <= typos)
+    .sort((a, b) => a.distance - b.distance || b.documents - a.documents)
+    .slice(0, MAX_CORRECTIONS)
+    .map(candidate => candidate.term);
+};
+
+/**
+ * Turn search text into an event_search MATCH expression. Every term has to
+ * match, as a word or the start of one, and terms the index does not know
+ * also match their likely corrections.
+ *
+ * @param {string} text
+ * @returns {Promise<{ match: string, weights: string, corrections: Object<string, string[]> } | null>}
+ *   null when the text has nothing to search for
+ */
+export const parseSearch = async (text) => {
+  const terms = toTerms(text);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const clauses = [];
+  const weights = [];
+  const corrections = {};
+
+  for (const term of terms) {
+    const known = (await termsStartingWith(term)).length > 0;
+    const alternatives = known ? [] : await correctTerm(term);
+
+    if (alternatives.length > 0) {
+      corrections[term] = alternatives;
+    }
+
+    const phrases = [`${term}*`, ...alternatives];
+    clauses.push(phrases.length > 1 ? `(${phrases.join(' OR ')})` : phrases[0]);
+    weights.push(1, ...alternatives.map(() => CORRECTION_WEIGHT));
+  }
+
+  return { match: clauses.join(' '), weights: weights.join(','), corrections };
+};
+
+/**
+ * Subquery of the events matching a parsed search with their relevance, to
+ * join on `event_id`. Takes the search's `weights` and `match` as parameters.
+ */
+export const SEARCH_MATCHES = `
+  SELECT event_id, search_rank(matchinfo(event_search, 'pcx'), ?) as relevance
+  FROM event_search
+  WHERE event_search MATCH ?`;
+
+// An event's searchable text, from the event, its organizer and its agenda
+const INDEX_ROWS = `
+  SELECT e.id, e.title, e.description, e.location, u.name,
+         (SELECT group_concat(s.speaker, ' ') FROM event_sessions s WHERE s.event_id = e.id)
+  FROM events e
+  LEFT JOIN users u ON e.organizer_id = u.id`;
+
+const INDEX_COLUMNS = Object.keys(COLUMN_WEIGHTS).join(', ');
+
+/**
+ * Bring an event's entry in the search index up to date. Call after changing
+ * the event or its sessions.
+ */
+export const indexEvent = async (eventId) => {
+  await db.exec('DELETE FROM event_search WHERE event_id = ?', [eventId]);
+  await db.exec(`INSERT INTO event_search (${INDEX_COLUMNS}) ${INDEX_ROWS} WHERE e.id = ?`, [eventId]);
+};
+
+/**
+ * Drop a deleted event from the search index.
+ */
+export const removeEventFromIndex = async (eventId) => {
+  await db.exec('DELETE FROM event_search WHERE event_id = ?', [eventId]);
+};
+
+/**
+ * Re-index an organizer's events, e.g. after their name changed.
+ */
+export const indexOrganizerEvents = async (organizerId) => {
+  await db.exec(
+    'DELETE FROM event_search WHERE event_id IN (SELECT id FROM events WHERE organizer_id = ?)',
+    [organizerId]
+  );
+  await db.exec(`INSERT INTO event_search (${INDEX_COLUMNS}) ${INDEX_ROWS} WHERE e.organizer_id = ?`, [organizerId]);
+};
+
+/**
+ * Rebuild the whole search index from the events table.
+ *
+ * @returns {Promise<number>} how many events were indexed
+ */
+export const rebuildSearchIndex = async () => {
+  await db.exec('DELETE FROM event_search');
+  await db.exec(`INSERT INTO event_search (${INDEX_COLUMNS}) ${INDEX_ROWS}`);
+
+  const [{ count }] = await db.query('SELECT COUNT(*) as count FROM event_search');
+  return count;
+};
+
+/**
+ * Count the events in each facet value. Each facet is counted with every
+ * filter except its own, so picking a value still shows how many events the
+ * other values of that facet would give.
+ *
+ * @param {object} options
+ * @param {string} options.from the FROM clause and joins of the list
+ * @param {Array} options.params parameters of `from`
+ * @param {Array<{ facet?: string, sql: string, params: Array }>} options.filters
+ * @returns {Promise<object>} counts by facet and value
+ */
+export const countFacets = async ({ from, params, filters }) => {
+  const where = (facet) => {
+    const applied = filters.filter(filter => filter.facet !== facet);
+    return {
+      sql: applied.length > 0 ? `WHERE ${applied.map(filter => `(${filter.sql})`).join(' AND ')}` : '',
+      params: [...params, ...applied.flatMap(filter => filter.params)]
+    };
+  };
+
+  const categoryFilter = where('category');
+  const categories = await db.query(
+    `SELECT e.category as value, COUNT(*) as count ${from} ${categoryFilter.sql}
+     GROUP BY e.category ORDER BY count DESC, e.category ASC`,
+    categoryFilter.params
+  );
+
+  const facets = {
+    category: Object.fromEntries(categories.filter(row => row.value).map(row => [row.value, row.count]))
+  };
+
+  for (const [facet, values] of Object.entries(FACETS)) {
+    const filter = where(facet);
+    const [counts] = await db.query(
+      `SELECT ${Object.entries(values).map(([value, condition]) => `COALESCE(SUM(CASE WHEN ${condition} THEN 1 ELSE 0 END), 0) as ${value}`).join(', ')}
+       ${from} ${filter.sql}`,
+      filter.params
+    );
+    facets[facet] = counts;
+  }
+
+  return facets;
+};
@@ -0,0 +1,167 @@
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { canViewEvent } from './eventLifecycle.js';
+import { insertEvent } from './events.js';
+
+// Upper bound on the events one series may create
+export const MAX_SERIES_OCCURRENCES = 100;
+
+// Stop looking for occurrences this far past the first one
+const MAX_SERIES_YEARS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const datePart = (value) => value.slice(0, 10);
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Work out the occurrence dates of a recurrence rule. Occurrences keep the
+ * time of day (and offset) written in `start`, so "every Tuesday at 18:00"
+ * stays at 18:00 whatever the date.
+ *
+ * - `weekly`: every `interval` weeks on `daysOfWeek` (0 = Sunday), or on the
+ *   weekday of `start`
+ * - `monthly`: every `interval` months on the day of the month of `start`.
+ *   Months without that day are skipped.
+ * - `dates`: exactly the listed dates
+ *
+ * Weekly and monthly rules end after `count` occurrences or on `until`,
+ * whichever comes first. Dates listed in `exceptions` are left out and do
+ * not count towards `count`.
+ *
+ * @param {object} rule
+ * @returns {{ dates: string[] } | { error: string }}
+ */
+export const expandRecurrence = (rule) => {
+  const exceptions = new Set((rule.exceptions || []).map(datePart));
+  let dates;
+
+  if (rule.frequency === 'dates') {
+    dates = [...new Set(rule.dates)]
+      .filter(date => !exceptions.has(datePart(date)))
+      .sort((a, b) => datePart(a).localeCompare(datePart(b)));
+  } else {
+    const startDay = datePart(rule.start);
+    const time = rule.start.slice(10);
+    const first = toDate(startDay);
+    const last = rule.until
+      ? toDate(datePart(rule.until))
+      : new Date(Date.UTC(first.getUTCFullYear() + MAX_SERIES_YEARS, first.getUTCMonth(), first.getUTCDate()));
+    const limit = Math.min(rule.count ?? Infinity, MAX_SERIES_OCCURRENCES + 1);
+    const interval = rule.interval || 1;
+
+    const candidates = [];
+
+    if (rule.frequency === 'weekly') {
+      const days = rule.daysOfWeek?.length ? rule.daysOfWeek : [first.getUTCDay()];
+      // Weeks are counted from the Sunday before the first occurrence
+      const weekStart = first.getTime() - first.getUTCDay() * DAY_MS;
+
+      for (let day = first; day <= last && candidates.length < limit; day = new Date(day.getTime() + DAY_MS)) {
+        const week = Math.floor((day.getTime() - weekStart) / (7 * DAY_MS));
+        if (week % interval === 0 && days.includes(day.getUTCDay()) && !exceptions.has(formatDay(day))) {
+          candidates.push(day);
+        }
+      }
+    } else {
+      const dayOfMonth = first.getUTCDate();
+
+      for (let month = 0; candidates.length < limit; month += interval) {
+        const day = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + month, dayOfMonth));
+        if (day > last) {
+          break;
+        }
+        if (day.getUTCDate() === dayOfMonth && !exceptions.has(formatDay(day))) {
+          candidates.push(day);
+        }
+      }
+    }
+
+    dates = candidates.map(day => `${formatDay(day)}${time}`);
+  }
+
+  if (dates.length === 0) {
+    return { error: 'The recurrence rule does not produce any dates' };
+  }
+
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+  }
+
+  return { dates };
+};
+
+/**
+ * Create a series and one event per occurrence date from its template.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} options
+ * @param {string} options.organizerId
+ * @param {object} options.template validated event details without a date
+ * @param {object} options.recurrence the validated recurrence rule
+ * @param {string[]} options.dates from expandRecurrence
+ * @param {string} [options.status] status the occurrences start in
+ * @returns {Promise<string>} the series id
+ */
+export const createSeries = async ({ organizerId, template, recurrence, dates, status = 'published' }) => {
+  const seriesId = randomUUID();
+
+  await db.exec(
+    `INSERT INTO event_series (id, organizer_id, title, template, recurrence, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [seriesId, organizerId, template.title, JSON.stringify(template), JSON.stringify(recurrence)]
+  );
+
+  for (const date of dates) {
+    await insertEvent(randomUUID(), { ...template, date }, {
+      organizer_id: organizerId,
+      status,
+      series_id: seriesId
+    });
+  }
+
+  return seriesId;
+};
+
+/**
+ * A series with its template, rule and occurrences in date order. Given a
+ * viewer, occurrences they may not see are left out, and a series with none
+ * left is not found.
+ *
+ * @param {string} seriesId
+ * @param {{ id: string, role: string }} [viewer]
+ * @returns {Promise<object|null>}
+ */
+export const getSeries = async (seriesId, viewer = null) => {
+  const [series] = await db.query('SELECT * FROM event_series WHERE id = ?', [seriesId]);
+
+  if (!series) {
+    return null;
+  }
+
+  const occurrences = await db.query(
+    `SELECT e.*,
+            (SELECT COUNT(*) FROM registrations WHERE event_id = e.id AND status IN ('confirmed', 'attended')) as registered_count
+     FROM events e
+     WHERE e.series_id = ?
+     ORDER BY e.date ASC`,
+    [seriesId]
+  );
+
+  const visible = viewer ? occurrences.filter(event => canViewEvent(event, viewer)) : occurrences;
+
+  if (viewer && visible.length === 0 && series.organizer_id !== viewer.id && viewer.role !== 'admin') {
+    return null;
+  }
+
+  return {
+    ...series,
+    template: JSON.parse(series.template),
+    recurrence: JSON.parse(series.recurrence),
+    occurrences: visible
+  };
+};
@@ -0,0 +1,94 @@
+import db from '../db/index.js';
+
+// Registrations in these states use up a ticket type's quota
+const SOLD_STATUSES = "('confirmed', 'attended', 'pending_payment')";
+
+/**
+ * Ticket types for an event with how many are sold and still available, in
+ * display order. `available` is null for types without a quota.
+ *
+ * @param {string} eventId
+ * @param {{ includeHidden?: boolean }} options hidden types are left out by default
+ */
+export const getTicketTypes = async (eventId, { includeHidden = false } = {}) => {
+  const ticketTypes = await db.query(
+    `SELECT t.*,
+            (SELECT COUNT(*) FROM registrations r 
+             WHERE r.ticket_type = t.id AND r.status IN ${SOLD_STATUSES}) as sold,
+            (SELECT COUNT(*) FROM registrations r 
+             WHERE r.ticket_type = t.id AND r.status = 'waitlist') as waitlisted,
+            (t.sales_start IS NULL OR t.sales_start <= datetime('now'))
+              AND (t.sales_end IS NULL OR t.sales_end > datetime('now')) as on_sale
+     FROM ticket_types t
+     WHERE t.event_id = ? ${includeHidden ? '' : "AND t.visibility = 'public'"}
+     ORDER BY t.sort_order ASC, t.price ASC`,
+    [eventId]
+  );
+
+  return ticketTypes.map(ticketType => ({
+    ...ticketType,
+    on_sale: Boolean(ticketType.on_sale),
+    available: ticketType.quota === null ? null : Math.max(ticketType.quota - ticketType.sold, 0)
+  }));
+};
+
+/**
+ * Pick the ticket type for a new registration. Events without ticket types
+ * need none; events with exactly one public type default to it. A sold out
+ * type is still returned so the registration can join the waitlist.
+ *
+ * @returns {Promise<{ ticketType: object|null, error?: string }>}
+ */
+export const resolveTicketType = async (eventId, ticketTypeId) => {
+  const ticketTypes = await getTicketTypes(eventId, { includeHidden: true });
+
+  if (ticketTypes.length === 0) {
+    return ticketTypeId
+      ? { ticketType: null, error: 'This event does not have ticket types' }
+      : { ticketType: null };
+  }
+
+  let ticketType;
+  if (ticketTypeId) {
+    ticketType = ticketTypes.find(type => type.id === ticketTypeId);
+  } else {
+    const publicTypes = ticketTypes.filter(type => type.visibility === 'public');
+    if (publicTypes.length !== 1) {
+      return { ticketType: null, error: 'A ticket type must be selected' };
+    }
+    [ticketType] = publicTypes;
+  }
+
+  if (!ticketType) {
+    return { ticketType: null, error: 'Ticket type not found' };
+  }
+
+  if (!ticketType.on_sale) {
+    return { ticketType: null, error: `${ticketType.name} tickets are not on sale` };
+  }
+
+  return { ticketType };
+};
+
+/**
+ * Whether a ticket type still has room under its quota.
+ */
+export const hasQuotaLeft = async (ticketTypeId) => {
+  const [ticketType] = await db.query(
+    `SELECT t.quota,
+            (SELECT COUNT(*) FROM registrations r 
+             WHERE r.ticket_type = t.id AND r.status IN ${SOLD_STATUSES}) as sold
+     FROM ticket_types t WHERE t.id = ?`,
+    [ticketTypeId]
+  );
+
+  return !ticketType || ticketType.quota === null || ticketType.sold < ticketType.quota;
+};
+
+/**
+ * Price of a registration: its ticket type's price, or the event's
+ * ticket_price for events without ticket types.
+ */
+export const getTicketPrice = (event, ticketType) => (
+  ticketType ? ticketType.price : event.ticket_price
+);
@@ -0,0 +1,206 @@
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+
+/**
+ * The keys tickets are signed and verified with. An EC key pair
+ * (TICKET_PRIVATE_KEY and TICKET_PUBLIC_KEY) lets door scanners verify
+ * tickets offline holding only the public key. A TICKET_SECRET can be used
+ * instead, but then only the server can verify tickets. Tickets never fall
+ * back to the secret that signs session tokens.
+ *
+ * @returns {{ algorithm: string, signingKey: string, verificationKey: string }}
+ * @throws when neither is configured, or the secret is the session secret
+ */
+export const getTicketKeys = () => {
+  const { TICKET_PRIVATE_KEY, TICKET_PUBLIC_KEY, TICKET_SECRET, JWT_SECRET } = process.env;
+
+  if (TICKET_PRIVATE_KEY && TICKET_PUBLIC_KEY) {
+    return { algorithm: 'ES256', signingKey: TICKET_PRIVATE_KEY, verificationKey: TICKET_PUBLIC_KEY };
+  }
+
+  if (!TICKET_SECRET) {
+    throw new Error('Ticket signing is not configured: set TICKET_PRIVATE_KEY and TICKET_PUBLIC_KEY, or TICKET_SECRET');
+  }
+
+  if (TICKET_SECRET === JWT_SECRET) {
+    throw new Error('TICKET_SECRET must differ from JWT_SECRET');
+  }
+
+  return { algorithm: 'HS256', signingKey: TICKET_SECRET, verificationKey: TICKET_SECRET };
+};
+
+/**
+ * Public key scanners use to verify tickets offline, or null when tickets
+ * are signed with a shared secret.
+ */
+export const getVerificationKey = () => {
+  const { algorithm, verificationKey } = getTicketKeys();
+  return algorithm === 'ES256' ? { algorithm, publicKey: verificationKey } : null;
+};
+
+/**
+ * Sign a ticket token for a registration. The token carries the event,
+ * registration and user ids plus the ticket version, and its issue time.
+ *
+ * @param {{ id: string, event_id: string, user_id: string, ticket_version?: number }} registration
+ * @returns {string}
+ */
+export const signTicket = (registration) => {
+  const { algorithm, signingKey } = getTicketKeys();
+
+  return jwt.sign(
+    {
+      typ: 'ticket',
+      eid: registration.event_id,
+      rid: registration.id,
+      uid: registration.user_id,
+      ver: registration.ticket_version || 1
+    },
+    signingKey,
+    { algorithm }
+  );
+};
+
+/**
+ * Verify a scanned ticket token's signature.
+ *
+ * @param {string} token
+ * @returns {{ eid: string, rid: string, uid: string, ver: number, iat: number } | null}
+ *   the ticket claims, or null if the token is malformed or forged
+ */
+export const verifyTicket = (token) => {
+  const { algorithm, verificationKey } = getTicketKeys();
+
+  try {
+    const claims = jwt.verify(token, verificationKey, { algorithms: [algorithm] });
+    return claims.typ === 'ticket' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a ticket for a registration and store its QR code.
+ *
+ * @returns {Promise<string>} the QR code as a data URL
+ */
+export const issueTicket = async (registration) => {
+  const qrCode = await QRCode.toDataURL(signTicket(registration));
+
+  await db.exec(
+    'UPDATE registrations SET qr_code = ? WHERE id = ?',
+    [qrCode, registration.id]
+  );
+
+  return qrCode;
+};
+
+/**
+ * Revoke the current ticket of a registration. Scanners pull the revocation
+ * list for offline use; the server also rejects any ticket whose version is
+ * not the registration's current one.
+ */
+export const revokeTicket = async (registration, reason) => {
+  await db.exec(
+    `INSERT INTO ticket_revocations (id, registration_id, event_id, ticket_version, reason, revoked_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [randomUUID(), registration.id, registration.event_id, registration.ticket_version || 1, reason]
+  );
+
+  await db.exec('UPDATE registrations SET qr_code = NULL WHERE id = ?', [registration.id]);
+};
+
+/**
+ * Revoke a registration's current ticket and issue a new one, e.g. when a
+ * ticket leaks or the registration changes hands.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @returns {Promise<string>} the new QR code as a data URL
+ */
+export const reissueTicket = async (registrationId, reason) => {
+  const [registration] = await db.query(
+    'SELECT id, event_id, user_id, ticket_version FROM registrations WHERE id = ?',
+    [registrationId]
+  );
+
+  await revokeTicket(registration, reason);
+
+  const ticketVersion = (registration.ticket_version || 1) + 1;
+  await db.exec(
+    'UPDATE registrations SET ticket_version = ? WHERE id = ?',
+    [ticketVersion, registrationId]
+  );
+
+  return issueTicket({ ...registration, ticket_version: ticketVersion });
+};
+
+/**
+ * Check in the holder of a scanned ticket for an event. The ticket must be
+ * correctly signed for this event and carry the registration's current
+ * version, and the registration must be confirmed and not yet checked in.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {string} eventId
+ * @param {string} token the scanned ticket payload
+ * @returns {Promise<{ error?: string, code?: string, status?: number, checkInTime?: string, registration?: object }>}
+ */
+export const checkInTicket = async (eventId, token) => {
+  const ticket = verifyTicket(token.trim());
+
+  if (!ticket) {
+    return { status: 400, error: 'Ticket signature is invalid', code: 'INVALID_TICKET' };
+  }
+
+  if (ticket.eid !== eventId) {
+    return { status: 400, error: 'Ticket is for a different event', code: 'WRONG_EVENT' };
+  }
+
+  const [registration] = await db.query(
+    `SELECT r.id, r.event_id, r.user_id, r.status, r.check_in_time, r.ticket_version, u.name, u.email
+     FROM registrations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.id = ?`,
+    [ticket.rid]
+  );
+
+  if (!registration) {
+    return { status: 404, error: 'Ticket not recognised', code: 'UNKNOWN_TICKET' };
+  }
+
+  if (registration.user_id !== ticket.uid || registration.ticket_version !== ticket.ver) {
+    return { status: 409, error: 'Ticket has been revoked', code: 'REVOKED' };
+  }
+
+  if (registration.status === 'attended' || registration.check_in_time) {
+    return {
+      status: 409,
+      error: 'Ticket has already been checked in',
+      code: 'ALREADY_CHECKED_IN',
+      checkInTime: registration.check_in_time
+    };
+  }
+
+  if (registration.status === 'waitlist') {
+    return { status: 409, error: 'Registration is still on the waitlist', code: 'WAITLISTED' };
+  }
+
+  if (registration.status !== 'confirmed') {
+    return { status: 409, error: 'Registration has been cancelled', code: 'CANCELLED' };
+  }
+
+  await db.exec(
+    `UPDATE registrations SET status = 'attended', check_in_time = CURRENT_TIMESTAMP WHERE id = ?`,
+    [registration.id]
+  );
+
+  const [{ check_in_time: checkInTime }] = await db.query(
+    'SELECT check_in_time FROM registrations WHERE id = ?',
+    [registration.id]
+  );
+
+  return { registration, checkInTime };
+};
@@ -0,0 +1,95 @@
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+import { INACTIVE_STATUSES } from './registrations.js';
+import { reissueTicket } from './tickets.js';
+import { releaseSessionPicks } from './waitlist.js';
+
+// How long a transfer offer stays open, cut short by the event starting
+export const TRANSFER_OFFER_DAYS = 7;
+
+/**
+ * Expire pending offers that were not accepted in time. Runs lazily whenever
+ * transfers are read so no background job is needed.
+ */
+export const expireTransfers = async () => {
+  await db.exec(
+    `UPDATE ticket_transfers SET status = 'expired'
+     WHERE status = 'pending' AND expires_at <= datetime('now')`
+  );
+};
+
+/**
+ * Hand a registration over to the recipient of an accepted transfer: the
+ * registration moves to the new user, the old QR code is revoked and a new
+ * ticket is issued to them.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {object} transfer a pending ticket_transfers row
+ * @param {{ id: string, name: string }} recipient
+ * @returns {Promise<{ error?: string, status?: number, qrCode?: string }>}
+ */
+export const acceptTransfer = async (transfer, recipient) => {
+  const [registration] = await db.query(
+    `SELECT r.id, r.user_id, r.status, e.title, e.date, e.location, e.allow_transfers
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.id = ?`,
+    [transfer.registration_id]
+  );
+
+  if (!registration || registration.status !== 'confirmed' || registration.user_id !== transfer.from_user_id) {
+    return { status: 409, error: 'This ticket can no longer be transferred' };
+  }
+
+  if (!registration.allow_transfers) {
+    return { status: 403, error: 'Transfers are not allowed for this event' };
+  }
+
+  const [existing] = await db.query(
+    'SELECT id, status FROM registrations WHERE event_id = ? AND user_id = ?',
+    [transfer.event_id, recipient.id]
+  );
+
+  if (existing && !INACTIVE_STATUSES.includes(existing.status)) {
+    return { status: 409, error: 'You are already registered for this event' };
+  }
+
+  // Each user keeps a single row per event, so the recipient's old cancelled
+  // registration makes way for the one they are receiving
+  if (existing) {
+    await db.exec('DELETE FROM registrations WHERE id = ?', [existing.id]);
+  }
+
+  await db.exec(
+    'UPDATE registrations SET user_id = ?, reminder_sent_at = NULL WHERE id = ?',
+    [recipient.id, registration.id]
+  );
+
+  // Session picks and form answers belong to the person, not the seat
+  await releaseSessionPicks(transfer.event_id, transfer.from_user_id);
+  await db.exec('DELETE FROM registration_answers WHERE registration_id = ?', [registration.id]);
+
+  const qrCode = await reissueTicket(registration.id, 'transferred');
+
+  await db.exec(
+    `UPDATE ticket_transfers
+     SET status = 'accepted', to_user_id = ?, responded_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [recipient.id, transfer.id]
+  );
+
+  // Any other open offers for this registration are moot now
+  await db.exec(
+    `UPDATE ticket_transfers SET status = 'cancelled'
+     WHERE registration_id = ? AND status = 'pending' AND id != ?`,
+    [registration.id, transfer.id]
+  );
+
+  const event = { id: transfer.event_id, title: registration.title, date: registration.date, location: registration.location };
+
+  await enqueueUserEmail(recipient.id, 'registrationConfirmed', { event, qrCode });
+  await enqueueUserEmail(transfer.from_user_id, 'ticketTransferred', { event, to: recipient.name });
+
+  return { qrCode };
+};
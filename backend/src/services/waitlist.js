@@ -0,0 +1,178 @@
+import { randomUUID } from 'crypto';
+import db from '../db/index.js';
+import { enqueueUserEmail } from './email/index.js';
+import { startCheckout } from './payments/index.js';
+import { issueTicket } from './tickets.js';
+import { getTicketPrice, hasQuotaLeft } from './ticketTypes.js';
+import { applyDiscount } from './promoCodes.js';
+
+/**
+ * Fill any free seats on an event from its waitlist, oldest registration first.
+ * Each promoted registration gets its signed ticket (or, for paid events, a
+ * seat held pending payment), a row in waitlist_promotions and an email so
+ * the attendee is told about it. Registrations whose ticket type has sold
+ * out keep their place in line and are skipped.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {string} eventId
+ * @returns {Promise<Array<{ id: string, user_id: string }>>} promoted registrations
+ */
+export const promoteWaitlist = async (eventId) => {
+  const [event] = await db.query(
+    `SELECT e.id, e.title, e.date, e.location, e.capacity, e.ticket_price,
+            (SELECT COUNT(*) FROM registrations 
+             WHERE event_id = e.id AND status IN ('confirmed', 'attended', 'pending_payment')) as registered_count
+     FROM events e WHERE e.id = ?`,
+    [eventId]
+  );
+
+  if (!event) {
+    return [];
+  }
+
+  const freeSeats = event.capacity - event.registered_count;
+  if (freeSeats <= 0) {
+    return [];
+  }
+
+  const waitlisted = await db.query(
+    `SELECT r.id, r.event_id, r.user_id, r.ticket_version, r.ticket_type, t.price,
+            p.discount_type, p.discount_value
+     FROM registrations r
+     LEFT JOIN ticket_types t ON r.ticket_type = t.id
+     LEFT JOIN promo_codes p ON r.promo_code_id = p.id
+     WHERE r.event_id = ? AND r.status = 'waitlist'
+     ORDER BY r.registration_time ASC, r.rowid ASC`,
+    [eventId]
+  );
+
+  const eventSummary = { id: event.id, title: event.title, date: event.date, location: event.location };
+  const promoted = [];
+
+  for (const { ticket_type: ticketTypeId, price, discount_type: discountType, discount_value: discountValue, ...registration } of waitlisted) {
+    if (promoted.length >= freeSeats) {
+      break;
+    }
+
+    if (ticketTypeId && !(await hasQuotaLeft(ticketTypeId))) {
+      continue;
+    }
+
+    promoted.push(registration);
+
+    await db.exec(
+      `INSERT INTO waitlist_promotions (id, registration_id, event_id, user_id, promoted_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [randomUUID(), registration.id, eventId, registration.user_id]
+    );
+
+    // A promo code redeemed when joining the waitlist still applies
+    const { amount } = applyDiscount(
+      getTicketPrice(event, ticketTypeId ? { price } : null),
+      discountType ? { discount_type: discountType, discount_value: discountValue } : null
+    );
+
+    if (amount > 0) {
+      const checkout = await startCheckout(registration, event, amount);
+      await enqueueUserEmail(registration.user_id, 'paymentRequired', {
+        event: eventSummary,
+        ...checkout
+      });
+      continue;
+    }
+
+    await db.exec(
+      `UPDATE registrations SET status = 'confirmed' WHERE id = ?`,
+      [registration.id]
+    );
+    const qrCode = await issueTicket(registration);
+
+    await enqueueUserEmail(registration.user_id, 'waitlistPromoted', {
+      event: eventSummary,
+      qrCode
+    });
+  }
+
+  return promoted;
+};
+
+/**
+ * Fill any free places in a session from its waitlist, oldest sign-up first,
+ * and email each promoted attendee. Sessions without a capacity take
+ * everyone waiting.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Array<{ id: string, user_id: string }>>} promoted session registrations
+ */
+export const promoteSessionWaitlist = async (sessionId) => {
+  const [session] = await db.query(
+    `SELECT s.id, s.title, s.start_time, s.capacity, e.id as event_id, e.title as event_title, e.date, e.location,
+            (SELECT COUNT(*) FROM session_registrations
+             WHERE session_id = s.id AND status = 'confirmed') as registered_count
+     FROM event_sessions s
+     JOIN events e ON s.event_id = e.id
+     WHERE s.id = ?`,
+    [sessionId]
+  );
+
+  if (!session) {
+    return [];
+  }
+
+  const freePlaces = session.capacity ? session.capacity - session.registered_count : Infinity;
+  if (freePlaces <= 0) {
+    return [];
+  }
+
+  const waitlisted = await db.query(
+    `SELECT id, user_id FROM session_registrations
+     WHERE session_id = ? AND status = 'waitlist'
+     ORDER BY registration_time ASC, rowid ASC`,
+    [sessionId]
+  );
+
+  const promoted = waitlisted.slice(0, freePlaces);
+  const eventSummary = { id: session.event_id, title: session.event_title, date: session.date, location: session.location };
+
+  for (const registration of promoted) {
+    await db.exec(
+      `UPDATE session_registrations SET status = 'confirmed' WHERE id = ?`,
+      [registration.id]
+    );
+
+    await enqueueUserEmail(registration.user_id, 'sessionWaitlistPromoted', {
+      event: eventSummary,
+      session: { id: session.id, title: session.title, start_time: session.start_time }
+    });
+  }
+
+  return promoted;
+};
+
+/**
+ * Drop a user's session picks for an event, e.g. when they give up their
+ * seat, and hand the places they held to the sessions' waitlists.
+ *
+ * Must be called inside the caller's transaction.
+ *
+ * @param {string} eventId
+ * @param {string} userId
+ */
+export const releaseSessionPicks = async (eventId, userId) => {
+  const held = await db.query(
+    `SELECT session_id FROM session_registrations WHERE event_id = ? AND user_id = ? AND status = 'confirmed'`,
+    [eventId, userId]
+  );
+
+  await db.exec(
+    'DELETE FROM session_registrations WHERE event_id = ? AND user_id = ?',
+    [eventId, userId]
+  );
+
+  for (const { session_id: sessionId } of held) {
+    await promoteSessionWaitlist(sessionId);
+  }
+};
@@ -187,6 +187,9 @@ const cleanup = async () => {
   }
 };
 
+// Tickets need their own signing secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
 const BASE_URL = `http://localhost:${process.env.TEST_PORT || 3000}/api`;
 let authToken = '';
 let eventId = '';
@@ -0,0 +1,204 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../index.js';
+import db from '../db/index.js';
+import { publishDueAnnouncements } from '../services/announcements.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { registerChannel, unregisterChannel } from '../services/notifications.js';
+import { createTestUser, removeTestUsers } from './helpers.js';
+
+describe('Announcement routes', () => {
+  const eventId = crypto.randomUUID();
+  const announcementId = crypto.randomUUID();
+  let organizer;
+  let attendee;
+  let registrant;
+
+  const feed = async (user, query = '') => {
+    const res = await request(app)
+      .get(`/api/users/announcements${query}`)
+      .set('Authorization', `Bearer ${user.token}`);
+    return res.body;
+  };
+
+  before(async () => {
+    organizer = await createTestUser('organizer', 'Organizer');
+    attendee = await createTestUser('attendee', 'Attendee');
+    registrant = await createTestUser('attendee', 'Registrant');
+
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Announced Event', 'Description', '2099-01-01', 'Venue', 10, 'conference',
+               ?, 'published', datetime('now'))`,
+      [eventId, organizer.id]
+    );
+    await db.exec(
+      `INSERT INTO announcements (id, event_id, title, content, priority, created_at, created_by, published_at)
+       VALUES (?, ?, 'Doors open at nine', 'Bring your ticket', 'medium', CURRENT_TIMESTAMP, ?, CURRENT_TIMESTAMP)`,
+      [announcementId, eventId, organizer.id]
+    );
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, 'confirmed', CURRENT_TIMESTAMP)`,
+      [crypto.randomUUID(), eventId, registrant.id]
+    );
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM announcement_reads WHERE announcement_id IN (SELECT id FROM announcements WHERE event_id = ?)', [eventId]);
+    await db.exec('DELETE FROM announcements WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await removeTestUsers(organizer, attendee, registrant);
+  });
+
+  describe('GET /api/events/:id/announcements', () => {
+    it('should hide the announcements of an event that is not public', async () => {
+      await db.exec(`UPDATE events SET status = 'draft' WHERE id = ?`, [eventId]);
+
+      const hidden = await request(app)
+        .get(`/api/events/${eventId}/announcements`)
+        .set('Authorization', `Bearer ${attendee.token}`);
+
+      const own = await request(app)
+        .get(`/api/events/${eventId}/announcements`)
+        .set('Authorization', `Bearer ${organizer.token}`);
+
+      await db.exec(`UPDATE events SET status = 'published' WHERE id = ?`, [eventId]);
+
+      expect(hidden.status).to.equal(404);
+      expect(own.status).to.equal(200);
+      expect(own.body.map(announcement => announcement.id)).to.deep.equal([announcementId]);
+    });
+  });
+
+  describe('GET /api/users/announcements', () => {
+    it('should list announcements of the events the user is registered for', async () => {
+      const announcements = await feed(registrant);
+
+      expect(announcements).to.have.lengthOf(1);
+      expect(announcements[0]).to.include({
+        id: announcementId,
+        title: 'Doors open at nine',
+        event_title: 'Announced Event',
+        is_read: false
+      });
+      expect(await feed(attendee)).to.deep.equal([]);
+    });
+
+    it('should leave out deleted announcements and those of cancelled registrations', async () => {
+      await db.exec('UPDATE announcements SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [announcementId]);
+      const afterDelete = await feed(registrant);
+      await db.exec('UPDATE announcements SET deleted_at = NULL WHERE id = ?', [announcementId]);
+
+      await db.exec(`UPDATE registrations SET status = 'cancelled' WHERE user_id = ?`, [registrant.id]);
+      const afterCancel = await feed(registrant);
+      await db.exec(`UPDATE registrations SET status = 'confirmed' WHERE user_id = ?`, [registrant.id]);
+
+      expect(afterDelete).to.deep.equal([]);
+      expect(afterCancel).to.deep.equal([]);
+    });
+  });
+
+  describe('PUT /api/users/announcements/:id/read', () => {
+    it('should mark an announcement read for a registrant', async () => {
+      const res = await request(app)
+        .put(`/api/users/announcements/${announcementId}/read`)
+        .set('Authorization', `Bearer ${registrant.token}`);
+
+      expect(res.status).to.equal(200);
+
+      const [announcement] = await feed(registrant);
+      expect(announcement.is_read).to.equal(true);
+      expect(announcement.read_at).to.be.a('string');
+      expect(await feed(registrant, '?unread=true')).to.deep.equal([]);
+    });
+
+    it('should not let someone who is not registered mark it read', async () => {
+      const res = await request(app)
+        .put(`/api/users/announcements/${announcementId}/read`)
+        .set('Authorization', `Bearer ${attendee.token}`);
+
+      expect(res.status).to.equal(404);
+
+      const reads = await db.query(
+        'SELECT user_id FROM announcement_reads WHERE announcement_id = ? AND user_id = ?',
+        [announcementId, attendee.id]
+      );
+      expect(reads).to.deep.equal([]);
+    });
+  });
+
+  describe('Scheduled and admin announcements', () => {
+    let admin;
+    let sent;
+
+    const sentFor = (id) => sent.filter(notification => notification.data.announcementId === id);
+
+    before(async () => {
+      setTransport(createMemoryTransport());
+      admin = await createTestUser('admin', 'Admin');
+      registerChannel('test', async (notification, recipients) => {
+        sent.push({ ...notification, recipients: recipients.map(recipient => recipient.id) });
+      });
+    });
+
+    beforeEach(() => {
+      sent = [];
+    });
+
+    after(async () => {
+      unregisterChannel('test');
+      await db.exec('DELETE FROM email_outbox');
+      await removeTestUsers(admin);
+    });
+
+    it('should hold back an announcement scheduled for later until the poller publishes it', async () => {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const created = await request(app)
+        .post(`/api/events/${eventId}/announcements`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ title: 'Lunch is served', content: 'In the main hall', publish_at: publishAt });
+
+      expect(created.status).to.equal(201);
+      expect(created.body).to.include({ published_at: null, delivery: null });
+
+      await publishDueAnnouncements();
+
+      expect((await feed(registrant)).map(announcement => announcement.id)).to.not.include(created.body.id);
+      expect(sentFor(created.body.id)).to.deep.equal([]);
+
+      // The time comes
+      await db.exec(`UPDATE announcements SET publish_at = datetime('now', '-1 minute') WHERE id = ?`, [created.body.id]);
+      await publishDueAnnouncements();
+
+      expect((await feed(registrant)).map(announcement => announcement.id)).to.include(created.body.id);
+      expect(sentFor(created.body.id)).to.have.lengthOf(1);
+      expect(sentFor(created.body.id)[0].recipients).to.deep.equal([registrant.id]);
+
+      await publishDueAnnouncements();
+      expect(sentFor(created.body.id)).to.have.lengthOf(1);
+    });
+
+    it('should dispatch an admin announcement with its priority and list it first', async () => {
+      const res = await request(app)
+        .post('/api/admin/announcements')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ title: 'Venue change', content: 'We have moved to Hall B', priority: 'urgent', eventId });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.delivery).to.deep.equal({ recipients: 1, delivered: ['email', 'test'], failed: [] });
+
+      const [notification] = sentFor(res.body.id);
+      expect(notification).to.include({ type: 'announcement', title: 'Venue change', priority: 'urgent', eventId });
+      expect(notification.recipients).to.deep.equal([registrant.id]);
+
+      const emails = await db.query('SELECT to_email FROM email_outbox WHERE template = ?', ['announcement']);
+      expect(emails.map(email => email.to_email)).to.include(registrant.email);
+
+      expect((await feed(registrant))[0].id).to.equal(res.body.id);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { buildCalendar, eventEntry, formatCalendarDate, sessionEntry } from '../services/calendar.js';
+
+describe('Calendar', () => {
+  const now = new Date('2030-01-01T12:00:00Z');
+  const event = {
+    id: 'event-1',
+    title: 'Spring Summit, 2030',
+    description: 'Talks; workshops\nand more',
+    date: '2030-05-01T09:00:00Z',
+    location: 'Main Hall',
+    status: 'published'
+  };
+  const sessions = [
+    { id: 's1', event_id: 'event-1', title: 'Keynote', speaker: 'Ada', start_time: '2030-05-01T09:00:00Z', end_time: '2030-05-01T10:00:00Z' },
+    { id: 's2', event_id: 'event-1', title: 'Closing', start_time: '2030-05-01T16:00:00Z', end_time: '2030-05-01T17:30:00Z', location: 'Room B' }
+  ];
+
+  it('should format plain dates as all-day values and times in UTC', () => {
+    expect(formatCalendarDate('2030-05-01')).to.deep.equal({ params: ';VALUE=DATE', value: '20300501' });
+    expect(formatCalendarDate('2030-05-01T11:00:00+02:00')).to.deep.equal({ params: '', value: '20300501T090000Z' });
+    expect(formatCalendarDate('not a date')).to.equal(null);
+  });
+
+  it('should build an event that runs until its last session with escaped text', () => {
+    const calendar = buildCalendar({
+      name: event.title,
+      entries: [eventEntry(event, sessions), ...sessions.map(session => sessionEntry(session, event))],
+      now
+    });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).to.equal('BEGIN:VCALENDAR');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).to.have.length(3);
+    expect(lines).to.include('DTSTART:20300501T090000Z');
+    expect(lines).to.include('DTEND:20300501T173000Z');
+    expect(lines).to.include('SUMMARY:Spring Summit\\, 2030');
+    expect(lines).to.include('DESCRIPTION:Talks\\; workshops\\nand more');
+    expect(lines).to.include('LOCATION:Room B');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).to.equal(true);
+  });
+
+  it('should mark entries of cancelled events and make date-only events all day', () => {
+    const entry = eventEntry({ ...event, date: '2030-12-31', status: 'cancelled' });
+    const lines = buildCalendar({ name: 'x', entries: [entry], now }).split('\r\n');
+
+    expect(lines).to.include('DTSTART;VALUE=DATE:20301231');
+    expect(lines).to.include('DTEND;VALUE=DATE:20310101');
+    expect(lines).to.include('STATUS:CANCELLED');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const calendar = buildCalendar({ name: 'x', entries: [eventEntry({ ...event, description: 'é'.repeat(100) })], now });
+
+    for (const line of calendar.split('\r\n')) {
+      expect(Buffer.byteLength(line)).to.be.at.most(75);
+    }
+    expect(calendar.replace(/\r\n /g, '')).to.include(`DESCRIPTION:${'é'.repeat(100)}`);
+  });
+});
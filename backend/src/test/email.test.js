@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import {
+  createMemoryTransport,
+  enqueueEmail,
+  processEmailQueue,
+  renderTemplate,
+  setTransport
+} from '../services/email/index.js';
+
+describe('Email notifications', () => {
+  let transport;
+
+  beforeEach(async () => {
+    transport = createMemoryTransport();
+    setTransport(transport);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  describe('renderTemplate', () => {
+    it('should attach the QR code to registration confirmations', () => {
+      const message = renderTemplate('registrationConfirmed', {
+        name: 'Ada',
+        event: { title: 'Tech Talk', date: '2030-01-01', location: 'Hall A' },
+        qrCode: `data:image/png;base64,${Buffer.from('png').toString('base64')}`
+      });
+
+      expect(message.subject).to.equal("You're registered: Tech Talk");
+      expect(message.html).to.include('cid:ticket-qr');
+      expect(message.attachments).to.have.length(1);
+      expect(message.attachments[0].content.toString()).to.equal('png');
+    });
+
+    it('should escape HTML in template data', () => {
+      const message = renderTemplate('announcement', {
+        name: 'Ada',
+        title: 'Update',
+        body: '<script>alert(1)</script>'
+      });
+
+      expect(message.html).to.not.include('<script>');
+    });
+
+    it('should throw for unknown templates', () => {
+      expect(() => renderTemplate('nope', {})).to.throw('Unknown email template');
+    });
+  });
+
+  describe('processEmailQueue', () => {
+    it('should send queued emails through the transport', async () => {
+      await enqueueEmail('eventReminder', { email: 'ada@test.com', name: 'Ada' }, {
+        event: { title: 'Tech Talk', date: '2030-01-01', location: 'Hall A' }
+      });
+
+      const result = await processEmailQueue();
+
+      expect(result).to.deep.equal({ sent: 1, failed: 0 });
+      expect(transport.sent).to.have.length(1);
+      expect(transport.sent[0].to).to.deep.equal({ name: 'Ada', address: 'ada@test.com' });
+
+      const [email] = await db.query('SELECT status, attempts FROM email_outbox');
+      expect(email).to.deep.equal({ status: 'sent', attempts: 1 });
+    });
+
+    it('should keep failed emails pending and retry them later', async () => {
+      setTransport({
+        name: 'broken',
+        send: async () => {
+          throw new Error('connection refused');
+        }
+      });
+
+      await enqueueEmail('eventReminder', { email: 'ada@test.com', name: 'Ada' }, {
+        event: { title: 'Tech Talk', date: '2030-01-01', location: 'Hall A' }
+      });
+
+      const result = await processEmailQueue();
+      expect(result).to.deep.equal({ sent: 0, failed: 1 });
+
+      const [email] = await db.query(
+        `SELECT status, attempts, last_error, next_attempt_at > datetime('now') as backed_off
+         FROM email_outbox`
+      );
+      expect(email.status).to.equal('pending');
+      expect(email.attempts).to.equal(1);
+      expect(email.last_error).to.equal('connection refused');
+      expect(email.backed_off).to.equal(1);
+
+      // Not due yet, so the next run leaves it alone
+      expect(await processEmailQueue()).to.deep.equal({ sent: 0, failed: 0 });
+    });
+  });
+});
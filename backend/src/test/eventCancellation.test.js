@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { cancelEvent } from '../services/eventCancellation.js';
+import { getStatusHistory } from '../services/eventLifecycle.js';
+import { createMockProvider, issueRefund, setPaymentProvider } from '../services/payments/index.js';
+
+describe('Event cancellation', () => {
+  const eventId = crypto.randomUUID();
+  const vendorId = crypto.randomUUID();
+  const boothId = crypto.randomUUID();
+  const registrations = {};
+
+  const addRegistration = async (status, amountPaid = null, paymentId = null) => {
+    const id = crypto.randomUUID();
+    const userId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Attendee', ?, 'hashedpass', 'attendee', 'active')`,
+      [userId, `cancel-${userId}@test.com`]
+    );
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, payment_id, amount_paid, payment_status, registration_time)
+       VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [id, eventId, userId, status, paymentId, amountPaid, amountPaid ? 'completed' : null]
+    );
+    return id;
+  };
+
+  const getStatus = async (table, id) => {
+    const [row] = await db.query(`SELECT status FROM ${table} WHERE id = ?`, [id]);
+    return row.status;
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    const provider = createMockProvider({ webhookSecret: 'test-secret' });
+    setPaymentProvider(provider);
+
+    // Refund policy would only give back half this close to the event
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category, ticket_price,
+                          refund_full_days, refund_partial_percent, organizer_id, status, created_at)
+       VALUES (?, 'Doomed Event', 'Description', datetime('now', '+1 day'), 'Venue', 10, 'conference', 40,
+               30, 50, 'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+
+    const { paymentId } = await provider.createCheckout({ reference: eventId, amount: 40, currency: 'USD', description: 'Ticket' });
+    provider.simulate(paymentId, 'success');
+    registrations.paid = await addRegistration('confirmed', 40, paymentId);
+    registrations.waitlist = await addRegistration('waitlist');
+    registrations.cancelled = await addRegistration('cancelled');
+
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Vendor', ?, 'hashedpass', 'vendor', 'active')`,
+      [vendorId, `vendor-${vendorId}@test.com`]
+    );
+    await db.exec(
+      `INSERT INTO vendor_booths (id, event_id, vendor_id, booth_number, status, created_at)
+       VALUES (?, ?, ?, 'A1', 'approved', CURRENT_TIMESTAMP)`,
+      [boothId, eventId, vendorId]
+    );
+    await db.exec(
+      `INSERT INTO announcements (id, event_id, title, content, priority, created_at, publish_at)
+       VALUES (?, ?, 'Later', 'Scheduled', 'low', CURRENT_TIMESTAMP, datetime('now', '+1 hour'))`,
+      [crypto.randomUUID(), eventId]
+    );
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM refunds WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM ticket_revocations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM vendor_booths WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM announcements WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM event_status_changes WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+  });
+
+  it('should cancel registrations, refund in full, cancel booths and keep a record', async () => {
+    const [event] = await db.query('SELECT * FROM events WHERE id = ?', [eventId]);
+
+    await db.exec('BEGIN TRANSACTION');
+    const { cancelled, refunds, summary } = await cancelEvent(event, { cancelledBy: 'organizer', reason: 'Venue flooded' });
+    await db.exec('COMMIT');
+
+    expect(cancelled).to.equal(true);
+    expect(await getStatus('events', eventId)).to.equal('cancelled');
+    expect(await getStatus('registrations', registrations.paid)).to.equal('cancelled');
+    expect(await getStatus('registrations', registrations.waitlist)).to.equal('cancelled');
+    expect(await getStatus('vendor_booths', boothId)).to.equal('cancelled');
+
+    expect(refunds.map(refund => [refund.amount, refund.policy])).to.deep.equal([[40, 'full']]);
+    expect(await issueRefund(refunds[0])).to.equal('succeeded');
+
+    const [announcement] = await db.query('SELECT deleted_at FROM announcements WHERE event_id = ?', [eventId]);
+    expect(announcement.deleted_at).to.not.equal(null);
+
+    const emails = await db.query(
+      `SELECT template FROM email_outbox WHERE to_email LIKE 'cancel-%' OR to_email = ?`,
+      [`vendor-${vendorId}@test.com`]
+    );
+    expect(emails.map(email => email.template)).to.include.members(['eventCancelled', 'boothCancelled']);
+
+    expect(summary).to.deep.include({
+      registrationsCancelled: 2,
+      refundsRecorded: 1,
+      refundTotal: 40,
+      boothsCancelled: 1,
+      announcementsWithdrawn: 1
+    });
+    const [change] = await getStatusHistory(eventId);
+    expect(change).to.deep.include({ from_status: 'published', to_status: 'cancelled', reason: 'Venue flooded' });
+    expect(change.details).to.deep.equal(summary);
+  });
+
+  it('should leave registrations and the provider alone if the event changed status', async () => {
+    const staleId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category, ticket_price,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Finished Event', 'Description', datetime('now', '+1 day'), 'Venue', 10, 'conference', 40,
+               'organizer', 'completed', datetime('now'))`,
+      [staleId]
+    );
+    const registrationId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, payment_id, registration_time)
+       VALUES (?, ?, 'someone', 'pending_payment', 'payment-1', CURRENT_TIMESTAMP)`,
+      [registrationId, staleId]
+    );
+
+    const provider = createMockProvider({ webhookSecret: 'test-secret' });
+    const cancelledCheckouts = [];
+    provider.cancelCheckout = async (paymentId) => {
+      cancelledCheckouts.push(paymentId);
+    };
+    setPaymentProvider(provider);
+
+    const [event] = await db.query('SELECT * FROM events WHERE id = ?', [staleId]);
+
+    await db.exec('BEGIN TRANSACTION');
+    const result = await cancelEvent({ ...event, status: 'published' }, { cancelledBy: 'organizer' });
+    await db.exec('ROLLBACK');
+
+    expect(result).to.deep.equal({ cancelled: false });
+    expect(cancelledCheckouts).to.deep.equal([]);
+    expect(await getStatus('registrations', registrationId)).to.equal('pending_payment');
+
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [staleId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [staleId]);
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import {
+  checkTransition,
+  completePastEvents,
+  getStatusHistory,
+  initialEventStatus,
+  transitionEvent
+} from '../services/eventLifecycle.js';
+
+describe('Event lifecycle', () => {
+  const owner = { id: 'organizer-1', role: 'organizer' };
+  const admin = { id: 'admin-1', role: 'admin' };
+  const stranger = { id: 'organizer-2', role: 'organizer' };
+  const event = (status) => ({ status, organizer_id: owner.id });
+
+  afterEach(() => {
+    delete process.env.EVENT_REVIEW_REQUIRED;
+  });
+
+  describe('checkTransition', () => {
+    it('should only allow transitions in the table', () => {
+      expect(checkTransition(event('draft'), 'pending_review', owner)).to.equal(null);
+      expect(checkTransition(event('completed'), 'archived', owner)).to.equal(null);
+      expect(checkTransition(event('archived'), 'published', admin)).to.include('from archived to published');
+      expect(checkTransition(event('draft'), 'completed', admin)).to.include('from draft to completed');
+    });
+
+    it('should only let the owner, admins or the system make a change', () => {
+      expect(checkTransition(event('draft'), 'pending_review', stranger)).to.include('Not allowed');
+      expect(checkTransition(event('pending_review'), 'published', owner)).to.include('Not allowed');
+      expect(checkTransition(event('pending_review'), 'published', admin)).to.equal(null);
+      expect(checkTransition(event('published'), 'completed', 'system')).to.equal(null);
+    });
+
+    it('should make organizers go through review when it is required', () => {
+      expect(checkTransition(event('draft'), 'published', owner)).to.equal(null);
+      expect(initialEventStatus('organizer')).to.equal('published');
+
+      process.env.EVENT_REVIEW_REQUIRED = 'true';
+
+      expect(checkTransition(event('draft'), 'published', owner)).to.include('Not allowed');
+      expect(checkTransition(event('draft'), 'published', admin)).to.equal(null);
+      expect(initialEventStatus('organizer')).to.equal('pending_review');
+      expect(initialEventStatus('admin')).to.equal('published');
+      expect(initialEventStatus('organizer', true)).to.equal('draft');
+    });
+  });
+
+  describe('transitions', () => {
+    const pastId = crypto.randomUUID();
+    const futureId = crypto.randomUUID();
+
+    before(async () => {
+      for (const [id, date] of [[pastId, '2000-01-01T10:00:00Z'], [futureId, '2099-01-01']]) {
+        await db.exec(
+          `INSERT INTO events (id, title, description, date, location, capacity, category,
+                              ticket_price, organizer_id, status, created_at)
+           VALUES (?, 'Lifecycle Event', 'Description', ?, 'Venue', 10, 'conference', 0,
+                   'organizer-1', 'published', datetime('now'))`,
+          [id, date]
+        );
+      }
+    });
+
+    after(async () => {
+      await db.exec('DELETE FROM event_status_changes WHERE event_id IN (?, ?)', [pastId, futureId]);
+      await db.exec('DELETE FROM events WHERE id IN (?, ?)', [pastId, futureId]);
+    });
+
+    it('should complete past events and record who changed what', async () => {
+      await completePastEvents();
+
+      const [past] = await db.query('SELECT status FROM events WHERE id = ?', [pastId]);
+      const [future] = await db.query('SELECT status FROM events WHERE id = ?', [futureId]);
+      expect(past.status).to.equal('completed');
+      expect(future.status).to.equal('published');
+
+      await transitionEvent({ id: pastId, status: 'completed' }, 'archived', { changedBy: 'organizer-1', reason: 'Tidy up' });
+
+      const history = await getStatusHistory(pastId);
+      expect(history.map(({ from_status, to_status, changed_by, reason }) => [from_status, to_status, changed_by, reason]))
+        .to.deep.equal([
+          ['published', 'completed', null, null],
+          ['completed', 'archived', 'organizer-1', 'Tidy up']
+        ]);
+    });
+
+    it('should not apply a change to an event whose status moved on', async () => {
+      const changed = await transitionEvent({ id: futureId, status: 'draft' }, 'published');
+
+      expect(changed).to.equal(false);
+      expect(await getStatusHistory(futureId)).to.deep.equal([]);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { expect } from 'chai';
 import request from 'supertest';
-import { app } from '../index.js';
+import { app, redis } from '../index.js';
 import db from '../db/index.js';
 import jwt from 'jsonwebtoken';
 
@@ -30,6 +30,10 @@ describe('Event Routes', () => {
       { id: organizerId, role: 'organizer' },
       process.env.JWT_SECRET || 'your-secret-key'
     );
+
+    // Tokens are only accepted while their session is open
+    await redis.setex(`session:${adminId}`, 60 * 60, adminToken);
+    await redis.setex(`session:${organizerId}`, 60 * 60, organizerToken);
   });
 
   after(async () => {
@@ -166,4 +170,75 @@ describe('Event Routes', () => {
       expect(res.body[0].category).to.equal('conference');
     });
   });
+
+  describe('PUT /api/events/:id', () => {
+    let testEventId;
+
+    beforeEach(async () => {
+      testEventId = crypto.randomUUID();
+      await db.exec(`
+        INSERT INTO events (id, title, description, date, location, capacity, category,
+                          ticket_price, refund_full_days, refund_partial_percent, allow_transfers,
+                          organizer_id, status, created_at)
+        VALUES (?, 'Policy Event', 'Description', ?, 'Venue', 100, 'conference', 50.00, 14, 25, 0,
+               (SELECT id FROM users WHERE email = 'organizer@test.com'),
+               'published', datetime('now'))
+      `, [testEventId, new Date(Date.now() + 86400000).toISOString()]);
+    });
+
+    // Every detail except the transfer and refund settings
+    const edit = (changes) => ({
+      title: 'Policy Event',
+      description: 'Description',
+      date: new Date(Date.now() + 86400000).toISOString(),
+      location: 'Venue',
+      capacity: 100,
+      category: 'conference',
+      ticket_price: 50,
+      ...changes
+    });
+
+    const getEvent = async () => {
+      const [event] = await db.query('SELECT * FROM events WHERE id = ?', [testEventId]);
+      return event;
+    };
+
+    it('should keep transfers turned off when an edit leaves them out', async () => {
+      const res = await request(app)
+        .put(`/api/events/${testEventId}`)
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send(edit({ title: 'Renamed Event' }));
+
+      expect(res.status).to.equal(200);
+
+      const event = await getEvent();
+      expect(event.title).to.equal('Renamed Event');
+      expect(event.allow_transfers).to.equal(0);
+    });
+
+    it('should keep a custom refund policy when an edit leaves it out', async () => {
+      const res = await request(app)
+        .put(`/api/events/${testEventId}`)
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send(edit({ location: 'New Venue' }));
+
+      expect(res.status).to.equal(200);
+
+      const event = await getEvent();
+      expect(event.location).to.equal('New Venue');
+      expect(event).to.include({ refund_full_days: 14, refund_partial_percent: 25 });
+    });
+  });
+
+  describe('POST /api/events/:id/register', () => {
+    it('should return 400 when the promo code is not a string', async () => {
+      const res = await request(app)
+        .post(`/api/events/${crypto.randomUUID()}/register`)
+        .set('Authorization', `Bearer ${organizerToken}`)
+        .send({ promoCode: { code: 'CLUB20' } });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal('Validation error');
+    });
+  });
 });
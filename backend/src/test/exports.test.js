@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import { streamExport } from '../services/exports.js';
+
+// Just enough of an express response to collect what gets written
+const createResponse = () => ({
+  headers: {},
+  body: '',
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  write(chunk) {
+    this.body += chunk;
+    return true;
+  },
+  end() {
+    this.ended = true;
+  }
+});
+
+describe('Exports', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'email', label: 'Email' }];
+  const rows = [
+    { name: 'Ada, "The Countess"', email: 'ada@test.com' },
+    { name: '=HYPERLINK("x")', email: null },
+    { name: 'Grace <Admiral>', email: 'grace@test.com' }
+  ];
+
+  // Serve rows two at a time, like paging through the database
+  const fetchPage = async (limit, offset) => rows.slice(offset, offset + limit);
+
+  it('should write escaped CSV across pages', async () => {
+    const res = createResponse();
+    await streamExport(res, { format: 'csv', filename: 'attendees', columns, fetchPage, pageSize: 2 });
+
+    expect(res.headers['Content-Disposition']).to.equal('attachment; filename="attendees.csv"');
+    expect(res.ended).to.equal(true);
+    expect(res.body.startsWith('\uFEFF')).to.equal(true);
+    expect(res.body.replace(/^\uFEFF/, '').split('\r\n')).to.deep.equal([
+      'Name,Email',
+      '"Ada, ""The Countess""",ada@test.com',
+      '"\'=HYPERLINK(""x"")",',
+      'Grace <Admiral>,grace@test.com',
+      ''
+    ]);
+  });
+
+  it('should write a SpreadsheetML workbook', async () => {
+    const res = createResponse();
+    await streamExport(res, { format: 'xls', filename: 'attendees', columns, fetchPage });
+
+    expect(res.headers['Content-Type']).to.equal('application/vnd.ms-excel; charset=utf-8');
+    expect(res.body).to.include('<Cell><Data ss:Type="String">Grace &lt;Admiral&gt;</Data></Cell>');
+    expect(res.body.trim().endsWith('</Workbook>')).to.equal(true);
+  });
+});
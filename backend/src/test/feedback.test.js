@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../index.js';
+import db from '../db/index.js';
+import { createTestUser, removeTestUsers } from './helpers.js';
+
+describe('Event feedback routes', () => {
+  const eventId = crypto.randomUUID();
+  let organizer;
+  let admin;
+  let attendees;
+  let cancelled;
+  let outsider;
+
+  const register = async (user, status) => {
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [crypto.randomUUID(), eventId, user.id, status]
+    );
+  };
+
+  const submit = (user, body) => request(app)
+    .post(`/api/events/${eventId}/feedback`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(body);
+
+  before(async () => {
+    organizer = await createTestUser('organizer', 'Organizer');
+    admin = await createTestUser('admin', 'Admin');
+    attendees = [await createTestUser('attendee', 'Checked In'), await createTestUser('attendee', 'Confirmed')];
+    cancelled = await createTestUser('attendee', 'Cancelled');
+    outsider = await createTestUser('attendee', 'Outsider');
+
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Past Event', 'Description', '2020-01-01', 'Venue', 10, 'conference',
+               ?, 'completed', datetime('now'))`,
+      [eventId, organizer.id]
+    );
+    await register(attendees[0], 'attended');
+    await register(attendees[1], 'confirmed');
+    await register(cancelled, 'cancelled');
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM event_feedback WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await removeTestUsers(organizer, admin, ...attendees, cancelled, outsider);
+  });
+
+  it('should only take feedback from people who held a seat at the event', async () => {
+    const fromOutsider = await submit(outsider, { rating: 5 });
+    const fromCancelled = await submit(cancelled, { rating: 1 });
+    const fromAttendee = await submit(attendees[0], { rating: 4, feedback_text: 'Great speakers' });
+
+    expect(fromOutsider.status).to.equal(403);
+    expect(fromCancelled.status).to.equal(403);
+    expect(fromAttendee.status).to.equal(201);
+
+    const [registration] = await db.query(
+      'SELECT feedback_submitted FROM registrations WHERE event_id = ? AND user_id = ?',
+      [eventId, attendees[0].id]
+    );
+    expect(registration.feedback_submitted).to.equal(1);
+  });
+
+  it('should not take feedback before the event has taken place', async () => {
+    await db.exec(`UPDATE events SET date = '2099-01-01' WHERE id = ?`, [eventId]);
+    const early = await submit(attendees[1], { rating: 3 });
+    await db.exec(`UPDATE events SET date = '2020-01-01' WHERE id = ?`, [eventId]);
+
+    expect(early.status).to.equal(400);
+  });
+
+  it('should take one submission per attendee and let them edit it instead', async () => {
+    const first = await submit(attendees[1], { rating: 2, anonymous: true });
+    const second = await submit(attendees[1], { rating: 5 });
+
+    expect(first.status).to.equal(201);
+    expect(second.status).to.equal(409);
+    expect(second.body.id).to.equal(first.body.id);
+
+    const edited = await request(app)
+      .put(`/api/events/${eventId}/feedback`)
+      .set('Authorization', `Bearer ${attendees[1].token}`)
+      .send({ rating: 3, anonymous: true });
+
+    expect(edited.status).to.equal(200);
+
+    const mine = await request(app)
+      .get(`/api/events/${eventId}/feedback/mine`)
+      .set('Authorization', `Bearer ${attendees[1].token}`);
+
+    expect(mine.body).to.include({ id: first.body.id, rating: 3, anonymous: 1, editable: true });
+  });
+
+  it('should summarise the ratings without naming anonymous reviewers', async () => {
+    const res = await request(app)
+      .get(`/api/admin/events/${eventId}/feedback`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).to.equal(200);
+    expect(res.body.summary).to.include({ total_responses: 2, average_rating: 3.5, four_star: 1, three_star: 1 });
+    expect(res.body.recentFeedback.map(feedback => feedback.user_name)).to.deep.equal(['Checked In']);
+  });
+});
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../index.js';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { createMockProvider, setPaymentProvider } from '../services/payments/index.js';
+import { createTestUser, removeTestUsers } from './helpers.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Group registration routes', () => {
+  const eventId = crypto.randomUUID();
+  let organizer;
+  let colleague;
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    setPaymentProvider(createMockProvider({ webhookSecret: 'test-secret' }));
+
+    organizer = await createTestUser('organizer', 'Organizer');
+    colleague = await createTestUser('attendee', 'Colleague');
+
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          ticket_price, organizer_id, status, created_at)
+       VALUES (?, 'Team Offsite', 'Description', '2099-01-01', 'Venue', 10, 'conference', 30,
+               ?, 'published', datetime('now'))`,
+      [eventId, organizer.id]
+    );
+  });
+
+  after(async () => {
+    const invited = await db.query(
+      `SELECT user_id FROM registrations WHERE event_id = ? AND user_id != ?`,
+      [eventId, colleague.id]
+    );
+    for (const { user_id: userId } of invited) {
+      await db.exec('DELETE FROM user_invitations WHERE user_id = ?', [userId]);
+      await db.exec('DELETE FROM users WHERE id = ?', [userId]);
+    }
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registration_orders WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+    await removeTestUsers(organizer, colleague);
+  });
+
+  it('should only let organizers register groups for their own events', async () => {
+    const otherOrganizer = await createTestUser('organizer', 'Other Organizer');
+
+    const res = await request(app)
+      .post(`/api/events/${eventId}/group-registrations`)
+      .set('Authorization', `Bearer ${otherOrganizer.token}`)
+      .send({ attendees: [{ email: colleague.email }] });
+
+    await removeTestUsers(otherOrganizer);
+
+    expect(res.status).to.equal(403);
+    expect(await db.query('SELECT id FROM registration_orders WHERE event_id = ?', [eventId])).to.deep.equal([]);
+  });
+
+  it('should let an attendee register colleagues as a team lead, but not a vendor', async () => {
+    const teamLead = await createTestUser('attendee', 'Team Lead');
+    const vendor = await createTestUser('vendor', 'Vendor');
+    const body = { attendees: [{ email: `lead-${eventId}@test.com`, name: 'Team Member' }] };
+
+    const refused = await request(app)
+      .post(`/api/events/${eventId}/group-registrations`)
+      .set('Authorization', `Bearer ${vendor.token}`)
+      .send(body);
+
+    const registered = await request(app)
+      .post(`/api/events/${eventId}/group-registrations`)
+      .set('Authorization', `Bearer ${teamLead.token}`)
+      .send(body);
+
+    expect(refused.status).to.equal(403);
+    expect(registered.status).to.equal(202);
+
+    const [order] = await db.query('SELECT purchaser_id FROM registration_orders WHERE id = ?', [registered.body.orderId]);
+    expect(order.purchaser_id).to.equal(teamLead.id);
+
+    await db.exec('DELETE FROM registration_orders WHERE id = ?', [registered.body.orderId]);
+    await removeTestUsers(teamLead, vendor);
+  });
+
+  it('should let a purchaser who is not attending pay for the group', async () => {
+    const registered = await request(app)
+      .post(`/api/events/${eventId}/group-registrations`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({
+        attendees: [
+          { email: colleague.email },
+          { email: `new-${eventId}@test.com`, name: 'New Starter' }
+        ]
+      });
+
+    expect(registered.status).to.equal(202);
+    const { paymentId } = registered.body.checkout;
+
+    const checkout = await request(app)
+      .get(`/api/payments/mock/${paymentId}`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+
+    expect(checkout.status).to.equal(200);
+    expect(checkout.body).to.include({ orderId: registered.body.orderId, amount: 60 });
+
+    const paid = await request(app)
+      .post(`/api/payments/mock/${paymentId}`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ outcome: 'success' });
+
+    expect(paid.status).to.equal(200);
+
+    const registrations = await db.query(
+      'SELECT status FROM registrations WHERE order_id = ?',
+      [registered.body.orderId]
+    );
+    expect(registrations.map(registration => registration.status)).to.deep.equal(['confirmed', 'confirmed']);
+
+    const [order] = await db.query('SELECT status FROM registration_orders WHERE id = ?', [registered.body.orderId]);
+    expect(order.status).to.equal('paid');
+  });
+});
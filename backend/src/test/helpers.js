@@ -0,0 +1,37 @@
+import jwt from 'jsonwebtoken';
+import db from '../db/index.js';
+import { redis } from '../index.js';
+
+/**
+ * Insert an active user and open a session for them as logging in would,
+ * so requests can send `Authorization: Bearer <token>`.
+ *
+ * @param {string} role
+ * @param {string} name
+ * @returns {Promise<{ id: string, name: string, email: string, role: string, token: string }>}
+ */
+export const createTestUser = async (role = 'attendee', name = 'Test User') => {
+  const id = crypto.randomUUID();
+  const email = `${id}@test.com`;
+
+  await db.exec(
+    `INSERT INTO users (id, name, email, password, role, status)
+     VALUES (?, ?, ?, 'hashedpass', ?, 'active')`,
+    [id, name, email, role]
+  );
+
+  const token = jwt.sign({ id, role }, process.env.JWT_SECRET || 'your-secret-key');
+  await redis.setex(`session:${id}`, 60 * 60, token);
+
+  return { id, name, email, role, token };
+};
+
+/**
+ * Remove users made by createTestUser along with their sessions.
+ */
+export const removeTestUsers = async (...users) => {
+  for (const user of users) {
+    await redis.del(`session:${user.id}`);
+    await db.exec('DELETE FROM users WHERE id = ?', [user.id]);
+  }
+};
@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { MAX_PAGE_SIZE, paginate, parseListQuery } from '../services/pagination.js';
+
+describe('Pagination', () => {
+  const options = {
+    sortable: { name: 'name', created_at: 'created_at', company: 'company' },
+    defaultSort: '-created_at',
+    fields: ['id', 'name', 'email', 'company', 'created_at']
+  };
+
+  // Companies repeat and one is missing, so ties and NULLs are crossed
+  const users = [
+    { id: 'page-user-1', name: 'Ada', company: 'Acme', created_at: '2030-01-01 10:00:00' },
+    { id: 'page-user-2', name: 'Brian', company: null, created_at: '2030-01-02 10:00:00' },
+    { id: 'page-user-3', name: 'Cleo', company: 'Acme', created_at: '2030-01-03 10:00:00' },
+    { id: 'page-user-4', name: 'Dev', company: 'Globex', created_at: '2030-01-04 10:00:00' },
+    { id: 'page-user-5', name: 'Eve', company: 'Acme', created_at: '2030-01-05 10:00:00' }
+  ];
+
+  const sql = `SELECT id, name, email, company, created_at FROM users WHERE id LIKE 'page-user-%'`;
+
+  // Follow nextCursor until the last page
+  const readAll = async (query) => {
+    const pages = [];
+    let cursor;
+    do {
+      const list = parseListQuery({ ...query, cursor }, options);
+      const page = await paginate({ sql, params: [], list, idColumn: 'id' });
+      pages.push(page);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  before(async () => {
+    for (const user of users) {
+      await db.exec(
+        `INSERT INTO users (id, name, email, password, role, status, company, created_at)
+         VALUES (?, ?, ?, 'x', 'attendee', 'active', ?, ?)`,
+        [user.id, user.name, `${user.id}@test.com`, user.company, user.created_at]
+      );
+    }
+  });
+
+  after(async () => {
+    await db.exec(`DELETE FROM users WHERE id LIKE 'page-user-%'`);
+  });
+
+  it('should page through every row once in sort order', async () => {
+    const pages = await readAll({ sort: '-created_at', limit: '2' });
+
+    expect(pages.map(page => page.rows.map(row => row.name)))
+      .to.deep.equal([['Eve', 'Dev'], ['Cleo', 'Brian'], ['Ada']]);
+    expect(pages.every(page => page.total === 5)).to.equal(true);
+  });
+
+  it('should break ties on the id and keep rows without a value', async () => {
+    const pages = await readAll({ sort: 'company', limit: '2' });
+
+    expect(pages.flatMap(page => page.rows.map(row => row.id))).to.deep.equal([
+      'page-user-2', 'page-user-1', 'page-user-3', 'page-user-5', 'page-user-4'
+    ]);
+  });
+
+  it('should return only the selected fields and the id', async () => {
+    const list = parseListQuery({ fields: 'name', sort: 'name', limit: '1' }, options);
+    const { rows } = await paginate({ sql, params: [], list, idColumn: 'id' });
+
+    expect(rows).to.deep.equal([{ id: 'page-user-1', name: 'Ada' }]);
+  });
+
+  it('should reject bad limits, sorts, fields and cursors', () => {
+    expect(parseListQuery({ limit: String(MAX_PAGE_SIZE + 1) }, options).error).to.include('limit');
+    expect(parseListQuery({ sort: 'password' }, options).error).to.include('sort must be one of');
+    expect(parseListQuery({ fields: 'name,password' }, options).error).to.equal('Unknown fields: password');
+    expect(parseListQuery({ cursor: 'not-a-cursor' }, options).error).to.equal('Invalid cursor');
+
+    // A cursor only continues the sort it was made for
+    const cursor = Buffer.from(JSON.stringify({ sort: 'name', after: ['Ada', 'page-user-1'] })).toString('base64url');
+    expect(parseListQuery({ sort: 'name', cursor }, options).cursor).to.deep.equal(['Ada', 'page-user-1']);
+    expect(parseListQuery({ sort: '-name', cursor }, options).error).to.equal('Invalid cursor');
+  });
+});
@@ -0,0 +1,243 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import {
+  createMockProvider,
+  createProviderFromEnv,
+  calculateRefund,
+  expireUnpaidHolds,
+  handlePaymentEvent,
+  issueRefund,
+  recordRefund,
+  setPaymentProvider,
+  startCheckout,
+  startGroupCheckout
+} from '../services/payments/index.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Paid registrations', () => {
+  const eventId = crypto.randomUUID();
+  let provider;
+
+  const addRegistration = async (status) => {
+    const id = crypto.randomUUID();
+    const userId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Payer', ?, 'hashedpass', 'attendee', 'active')`,
+      [userId, `payer-${userId}@test.com`]
+    );
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [id, eventId, userId, status]
+    );
+    return { id, event_id: eventId, user_id: userId };
+  };
+
+  const getRegistration = async (id) => {
+    const [registration] = await db.query('SELECT * FROM registrations WHERE id = ?', [id]);
+    return registration;
+  };
+
+  // Pay or decline a checkout through the mock gateway's signed webhook
+  const completeCheckout = async (paymentId, outcome) => {
+    const webhook = provider.simulate(paymentId, outcome);
+    const paymentEvent = provider.parseWebhook(Buffer.from(webhook.body), webhook.headers);
+    return handlePaymentEvent(paymentEvent);
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          ticket_price, organizer_id, status, created_at)
+       VALUES (?, 'Paid Event', 'Description', '2030-01-01', 'Venue', 1, 'conference', 25,
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+  });
+
+  beforeEach(() => {
+    provider = createMockProvider({ webhookSecret: 'test-secret' });
+    setPaymentProvider(provider);
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM refunds WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registration_orders WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM waitlist_promotions WHERE event_id = ?', [eventId]);
+    await db.exec("DELETE FROM users WHERE email LIKE 'payer-%@test.com'");
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  it('should reject webhooks with a bad signature', () => {
+    const body = Buffer.from(JSON.stringify({ type: 'payment.succeeded', paymentId: 'x' }));
+    expect(provider.parseWebhook(body, { 'x-mock-signature': 'forged' })).to.equal(null);
+  });
+
+  it('should confirm the seat and issue a ticket when payment succeeds', async () => {
+    const registration = await addRegistration('pending_payment');
+    const checkout = await startCheckout(registration, { title: 'Paid Event' }, 25);
+
+    expect((await getRegistration(registration.id)).status).to.equal('pending_payment');
+
+    const result = await completeCheckout(checkout.paymentId, 'success');
+    const updated = await getRegistration(registration.id);
+
+    expect(result).to.deep.equal({ handled: true, status: 'confirmed' });
+    expect(updated.status).to.equal('confirmed');
+    expect(updated.payment_status).to.equal('completed');
+    expect(updated.amount_paid).to.equal(25);
+    expect(updated.qr_code).to.match(/^data:image\/png;base64,/);
+  });
+
+  it('should release the seat to the waitlist when payment fails', async () => {
+    const registration = await addRegistration('pending_payment');
+    const waitlisted = await addRegistration('waitlist');
+    const checkout = await startCheckout(registration, { title: 'Paid Event' }, 25);
+
+    await completeCheckout(checkout.paymentId, 'failure');
+
+    expect((await getRegistration(registration.id)).status).to.equal('cancelled');
+    // The paid seat is held for the next in line until they pay
+    expect((await getRegistration(waitlisted.id)).status).to.equal('pending_payment');
+  });
+
+  it('should expire lapsed holds', async () => {
+    const registration = await addRegistration('pending_payment');
+    const checkout = await startCheckout(registration, { title: 'Paid Event' }, 25);
+    await db.exec(
+      "UPDATE registrations SET hold_expires_at = datetime('now', '-1 minute') WHERE id = ?",
+      [registration.id]
+    );
+
+    expect(await expireUnpaidHolds()).to.equal(1);
+    expect((await getRegistration(registration.id)).status).to.equal('expired');
+    expect(provider.getPayment(checkout.paymentId).status).to.equal('cancelled');
+  });
+
+  it('should leave the holds and waitlist of an event untouched if expiring them fails', async () => {
+    const holds = [await addRegistration('pending_payment'), await addRegistration('pending_payment')];
+    const waitlisted = await addRegistration('waitlist');
+    for (const registration of holds) {
+      await startCheckout(registration, { title: 'Paid Event' }, 25);
+    }
+    await db.exec(
+      "UPDATE registrations SET hold_expires_at = datetime('now', '-1 minute') WHERE event_id = ? AND status = 'pending_payment'",
+      [eventId]
+    );
+
+    const { cancelCheckout } = provider;
+    let calls = 0;
+    provider.cancelCheckout = async (paymentId) => {
+      if (++calls === 2) {
+        throw new Error('Gateway unavailable');
+      }
+      return cancelCheckout(paymentId);
+    };
+
+    let failure;
+    await expireUnpaidHolds().catch(error => { failure = error; });
+
+    expect(failure.message).to.equal('Gateway unavailable');
+    for (const { id } of holds) {
+      expect((await getRegistration(id)).status).to.equal('pending_payment');
+    }
+
+    provider.cancelCheckout = cancelCheckout;
+
+    expect(await expireUnpaidHolds()).to.equal(2);
+    for (const { id } of holds) {
+      expect((await getRegistration(id)).status).to.equal('expired');
+    }
+    expect((await getRegistration(waitlisted.id)).status).to.equal('pending_payment');
+  });
+
+  it('should refund a cancelled paid registration through the provider', async () => {
+    const registration = await addRegistration('pending_payment');
+    const checkout = await startCheckout(registration, { title: 'Paid Event' }, 25);
+    await completeCheckout(checkout.paymentId, 'success');
+
+    const refund = await recordRefund(
+      await getRegistration(registration.id),
+      { date: '2030-01-01', refund_full_days: 7, refund_partial_percent: 50 }
+    );
+
+    expect(refund).to.include({ amount: 25, policy: 'full', status: 'pending' });
+    expect((await getRegistration(registration.id)).payment_status).to.equal('refunded');
+
+    expect(await issueRefund(refund)).to.equal('succeeded');
+    expect(provider.getPayment(checkout.paymentId).status).to.equal('refunded');
+  });
+
+  it('should settle a group order with one payment', async () => {
+    await db.exec('UPDATE events SET capacity = 2 WHERE id = ?', [eventId]);
+    const orderId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO registration_orders (id, event_id, purchaser_id, attendee_count, status, created_at)
+       VALUES (?, ?, 'lead', 2, 'pending_payment', CURRENT_TIMESTAMP)`,
+      [orderId, eventId]
+    );
+    const members = [await addRegistration('pending_payment'), await addRegistration('pending_payment')];
+
+    const checkout = await startGroupCheckout(
+      { id: orderId },
+      members.map(({ id }) => ({ id, amount: 25 })),
+      { title: 'Paid Event' }
+    );
+    expect(checkout.amount).to.equal(50);
+
+    await completeCheckout(checkout.paymentId, 'success');
+
+    for (const { id } of members) {
+      const member = await getRegistration(id);
+      expect(member.status).to.equal('confirmed');
+      expect(member.amount_paid).to.equal(25);
+    }
+    const [order] = await db.query('SELECT status FROM registration_orders WHERE id = ?', [orderId]);
+    expect(order.status).to.equal('paid');
+
+    await db.exec('UPDATE events SET capacity = 1 WHERE id = ?', [eventId]);
+  });
+
+  describe('createProviderFromEnv', () => {
+    it('should only use the mock provider when it is chosen outside production', () => {
+      const env = { PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'secret', NODE_ENV: 'development' };
+
+      expect(createProviderFromEnv(env).name).to.equal('mock');
+      expect(() => createProviderFromEnv({ ...env, PAYMENT_PROVIDER: undefined })).to.throw('PAYMENT_PROVIDER');
+      expect(() => createProviderFromEnv({ ...env, NODE_ENV: 'production' })).to.throw('production');
+    });
+
+    it('should refuse to verify webhooks without a secret', () => {
+      expect(() => createProviderFromEnv({ PAYMENT_PROVIDER: 'mock' })).to.throw('PAYMENT_WEBHOOK_SECRET');
+    });
+  });
+
+  describe('calculateRefund', () => {
+    const event = { date: '2030-01-10T00:00:00Z', refund_full_days: 7, refund_partial_percent: 50 };
+
+    it('should refund in full before the cut-off', () => {
+      expect(calculateRefund(event, 25, new Date('2030-01-01T00:00:00Z')))
+        .to.deep.equal({ amount: 25, policy: 'full' });
+    });
+
+    it('should refund partially between the cut-off and the start', () => {
+      expect(calculateRefund(event, 25, new Date('2030-01-05T00:00:00Z')))
+        .to.deep.equal({ amount: 12.5, policy: 'partial' });
+    });
+
+    it('should not refund once the event has started', () => {
+      expect(calculateRefund(event, 25, new Date('2030-01-10T01:00:00Z')))
+        .to.deep.equal({ amount: 0, policy: 'none' });
+    });
+  });
+});
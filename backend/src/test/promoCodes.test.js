@@ -0,0 +1,80 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { applyDiscount, resolvePromoCode, setPromoCodeTicketTypes } from '../services/promoCodes.js';
+
+describe('Promo codes', () => {
+  const eventId = crypto.randomUUID();
+  const promoCodeId = crypto.randomUUID();
+
+  const addPromoCode = async (id, code, { maxUses = null, expiresAt = null } = {}) => {
+    await db.exec(
+      `INSERT INTO promo_codes (
+        id, event_id, code, discount_type, discount_value, max_uses, expires_at, active, created_by, created_at
+      ) VALUES (?, ?, ?, 'percentage', 20, ?, ?, 1, 'organizer', CURRENT_TIMESTAMP)`,
+      [id, eventId, code, maxUses, expiresAt]
+    );
+  };
+
+  before(async () => {
+    await addPromoCode(promoCodeId, 'CLUB20', { maxUses: 1 });
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec(
+      'DELETE FROM promo_code_ticket_types WHERE promo_code_id IN (SELECT id FROM promo_codes WHERE event_id = ?)',
+      [eventId]
+    );
+    await db.exec('DELETE FROM promo_codes WHERE event_id = ?', [eventId]);
+  });
+
+  describe('applyDiscount', () => {
+    it('should take a percentage off the price', () => {
+      expect(applyDiscount(25, { discount_type: 'percentage', discount_value: 20 }))
+        .to.deep.equal({ amount: 20, discount: 5 });
+    });
+
+    it('should not discount a fixed amount below zero', () => {
+      expect(applyDiscount(10, { discount_type: 'fixed', discount_value: 15 }))
+        .to.deep.equal({ amount: 0, discount: 10 });
+    });
+  });
+
+  describe('resolvePromoCode', () => {
+    it('should match codes case-insensitively', async () => {
+      const { promoCode, error } = await resolvePromoCode(eventId, ' club20 ');
+      expect(error).to.equal(undefined);
+      expect(promoCode.id).to.equal(promoCodeId);
+    });
+
+    it('should reject unknown and expired codes', async () => {
+      await addPromoCode(crypto.randomUUID(), 'OLD', { expiresAt: '2000-01-01 00:00:00' });
+
+      expect((await resolvePromoCode(eventId, 'NOPE')).error).to.equal('Invalid promo code');
+      expect((await resolvePromoCode(eventId, 'OLD')).error).to.equal('Promo code has expired');
+    });
+
+    it('should stop once the usage limit is reached', async () => {
+      await db.exec(
+        `INSERT INTO registrations (id, event_id, user_id, status, promo_code_id, registration_time)
+         VALUES (?, ?, 'someone', 'confirmed', ?, CURRENT_TIMESTAMP)`,
+        [crypto.randomUUID(), eventId, promoCodeId]
+      );
+
+      expect((await resolvePromoCode(eventId, 'CLUB20')).error).to.equal('Promo code has been fully redeemed');
+    });
+
+    it('should only apply to the ticket types it is restricted to', async () => {
+      await setPromoCodeTicketTypes(promoCodeId, ['student']);
+
+      expect((await resolvePromoCode(eventId, 'CLUB20', 'vip')).error)
+        .to.equal('Promo code does not apply to this ticket type');
+      expect((await resolvePromoCode(eventId, 'CLUB20', 'student')).promoCode.id).to.equal(promoCodeId);
+
+      await setPromoCodeTicketTypes(promoCodeId, []);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { buildAnswersSchema, getEventAnswers, saveAnswers } from '../services/registrationForms.js';
+
+describe('Registration forms', () => {
+  const questions = [
+    { id: 'diet', type: 'text', required: false },
+    { id: 'size', type: 'choice', required: true, options: ['S', 'M', 'L'] },
+    { id: 'terms', type: 'checkbox', required: true }
+  ];
+
+  describe('buildAnswersSchema', () => {
+    const schema = buildAnswersSchema(questions);
+
+    it('should accept answers that match the form', () => {
+      expect(schema.parse({ size: 'M', terms: true })).to.deep.equal({ size: 'M', terms: true });
+    });
+
+    it('should reject missing required answers and unticked required checkboxes', () => {
+      const result = schema.safeParse({ terms: false });
+
+      expect(result.success).to.equal(false);
+      expect(result.error.errors.map(issue => issue.path[0])).to.have.members(['size', 'terms']);
+    });
+
+    it('should reject options that are not on offer and unknown questions', () => {
+      expect(schema.safeParse({ size: 'XXL', terms: true }).success).to.equal(false);
+      expect(schema.safeParse({ size: 'S', terms: true, shoe: '42' }).success).to.equal(false);
+    });
+  });
+
+  describe('saveAnswers', () => {
+    const eventId = crypto.randomUUID();
+    const registrationId = crypto.randomUUID();
+
+    before(async () => {
+      for (const [index, question] of questions.entries()) {
+        await db.exec(
+          `INSERT INTO registration_questions (id, event_id, label, type, required, options, sort_order, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [
+            `${eventId}-${question.id}`,
+            eventId,
+            question.id,
+            question.type,
+            question.required ? 1 : 0,
+            question.options ? JSON.stringify(question.options) : null,
+            index
+          ]
+        );
+      }
+    });
+
+    after(async () => {
+      await db.exec('DELETE FROM registration_answers WHERE registration_id = ?', [registrationId]);
+      await db.exec('DELETE FROM registration_questions WHERE event_id = ?', [eventId]);
+    });
+
+    it('should store answers per registration and keep their types', async () => {
+      await saveAnswers(registrationId, { [`${eventId}-size`]: 'L', [`${eventId}-terms`]: true });
+      await saveAnswers(registrationId, { [`${eventId}-size`]: 'S', [`${eventId}-terms`]: true });
+
+      const answers = (await getEventAnswers(eventId)).get(registrationId);
+
+      expect(answers.map(({ label, answer }) => [label, answer])).to.deep.equal([['size', 'S'], ['terms', true]]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { insertEvent } from '../services/events.js';
+import {
+  FACETS,
+  SEARCH_MATCHES,
+  countFacets,
+  editDistance,
+  indexEvent,
+  indexOrganizerEvents,
+  parseSearch,
+  removeEventFromIndex
+} from '../services/search.js';
+
+describe('Event search', () => {
+  const organizerId = crypto.randomUUID();
+  const titleMatch = crypto.randomUUID();
+  const speakerMatch = crypto.randomUUID();
+  const paidVirtual = crypto.randomUUID();
+  const eventIds = [titleMatch, speakerMatch, paidVirtual];
+
+  const details = (overrides) => ({
+    description: 'An evening of talks',
+    date: '2099-06-01',
+    location: 'Harbour Hall',
+    category: 'conference',
+    capacity: 50,
+    ticket_price: 0,
+    refund_full_days: 7,
+    refund_partial_percent: 50,
+    allow_transfers: true,
+    is_virtual: false,
+    ...overrides
+  });
+
+  // Event ids matching a search, best first
+  const search = async (text) => {
+    const { match, weights } = await parseSearch(text);
+    const rows = await db.query(
+      `SELECT e.id FROM events e JOIN (${SEARCH_MATCHES}) m ON m.event_id = e.id
+       WHERE e.organizer_id = ? ORDER BY m.relevance DESC`,
+      [weights, match, organizerId]
+    );
+    return rows.map(row => row.id);
+  };
+
+  before(async () => {
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Quillon Marsh', ?, 'x', 'organizer', 'active')`,
+      [organizerId, `${organizerId}@test.com`]
+    );
+
+    const extra = { organizer_id: organizerId, status: 'published' };
+    await insertEvent(titleMatch, details({ title: 'Zymurgy Summit' }), extra);
+    await insertEvent(speakerMatch, details({ title: 'Brewing Day', description: 'Zymurgy for beginners' }), extra);
+    await insertEvent(paidVirtual, details({ title: 'Café Crawl', ticket_price: 15, is_virtual: true, category: 'networking' }), extra);
+
+    await db.exec(
+      `INSERT INTO event_sessions (id, event_id, title, speaker, start_time, end_time, type)
+       VALUES (?, ?, 'Keynote', 'Ottoline Fairweather', '2099-06-01T10:00:00Z', '2099-06-01T11:00:00Z', 'talk')`,
+      [crypto.randomUUID(), speakerMatch]
+    );
+    await indexEvent(speakerMatch);
+  });
+
+  after(async () => {
+    await db.exec(`DELETE FROM event_sessions WHERE event_id = ?`, [speakerMatch]);
+    for (const id of eventIds) {
+      await db.exec('DELETE FROM events WHERE id = ?', [id]);
+      await removeEventFromIndex(id);
+    }
+    await db.exec('DELETE FROM users WHERE id = ?', [organizerId]);
+  });
+
+  it('should rank title matches above description matches', async () => {
+    expect(await search('zymurgy')).to.deep.equal([titleMatch, speakerMatch]);
+  });
+
+  it('should find speakers, organizers, word starts and unaccented spellings', async () => {
+    expect(await search('fairweather')).to.deep.equal([speakerMatch]);
+    expect(await search('quillon harb')).to.have.members(eventIds);
+    expect(await search('cafe')).to.deep.equal([paidVirtual]);
+  });
+
+  it('should correct misspelled terms', async () => {
+    const parsed = await parseSearch('zymrugy sumit');
+
+    expect(parsed.corrections).to.deep.equal({ zymrugy: ['zymurgy'], sumit: ['summit'] });
+    expect(await search('zymrugy sumit')).to.deep.equal([titleMatch]);
+    expect(editDistance('zymrugy', 'zymurgy')).to.equal(1);
+    expect(await parseSearch('  !! ')).to.equal(null);
+  });
+
+  it('should follow organizer renames', async () => {
+    await db.exec(`UPDATE users SET name = 'Rosalind Pike' WHERE id = ?`, [organizerId]);
+    await indexOrganizerEvents(organizerId);
+
+    expect(await search('quillon')).to.deep.equal([]);
+    expect(await search('rosalind')).to.have.members(eventIds);
+  });
+
+  it('should count each facet without its own filter', async () => {
+    const facets = await countFacets({
+      from: 'FROM events e',
+      params: [],
+      filters: [
+        { sql: 'e.organizer_id = ?', params: [organizerId] },
+        { facet: 'price', sql: FACETS.price.paid, params: [] }
+      ]
+    });
+
+    expect(facets.price).to.deep.equal({ free: 2, paid: 1 });
+    expect(facets.category).to.deep.equal({ networking: 1 });
+    expect(facets.format).to.deep.equal({ virtual: 1, in_person: 0 });
+    expect(facets.when).to.deep.equal({ today: 0, next_7_days: 0, next_30_days: 0, later: 1 });
+  });
+});
@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { MAX_SERIES_OCCURRENCES, createSeries, expandRecurrence, getSeries } from '../services/series.js';
+
+describe('Event series', () => {
+  describe('expandRecurrence', () => {
+    it('should repeat weekly on the chosen days and keep the time of day', () => {
+      // 2030-01-01 is a Tuesday
+      const { dates } = expandRecurrence({
+        frequency: 'weekly',
+        start: '2030-01-01T18:00:00Z',
+        daysOfWeek: [2, 4],
+        interval: 2,
+        count: 4
+      });
+
+      expect(dates).to.deep.equal([
+        '2030-01-01T18:00:00Z',
+        '2030-01-03T18:00:00Z',
+        '2030-01-15T18:00:00Z',
+        '2030-01-17T18:00:00Z'
+      ]);
+    });
+
+    it('should skip exceptions and months without the day', () => {
+      const { dates } = expandRecurrence({
+        frequency: 'monthly',
+        start: '2030-01-31',
+        until: '2030-06-30',
+        exceptions: ['2030-05-31']
+      });
+
+      expect(dates).to.deep.equal(['2030-01-31', '2030-03-31']);
+    });
+
+    it('should use listed dates in order and refuse oversized series', () => {
+      expect(expandRecurrence({
+        frequency: 'dates',
+        dates: ['2030-03-01', '2030-02-01', '2030-03-01'],
+        exceptions: ['2030-02-01']
+      })).to.deep.equal({ dates: ['2030-03-01'] });
+
+      expect(expandRecurrence({ frequency: 'weekly', start: '2030-01-01', until: '2040-01-01' }).error)
+        .to.include(String(MAX_SERIES_OCCURRENCES));
+    });
+  });
+
+  describe('createSeries', () => {
+    let seriesId;
+
+    after(async () => {
+      await db.exec('DELETE FROM events WHERE series_id = ?', [seriesId]);
+      await db.exec('DELETE FROM event_series WHERE id = ?', [seriesId]);
+    });
+
+    it('should create an event per occurrence from the template', async () => {
+      seriesId = await createSeries({
+        organizerId: 'organizer',
+        template: {
+          title: 'Weekly Seminar',
+          description: 'Research talks',
+          location: 'Room 101',
+          capacity: 30,
+          category: 'seminar',
+          ticket_price: 0,
+          refund_full_days: 7,
+          refund_partial_percent: 50,
+          allow_transfers: true,
+          is_virtual: false
+        },
+        recurrence: { frequency: 'dates', dates: ['2030-02-01', '2030-01-01'] },
+        dates: ['2030-01-01', '2030-02-01']
+      });
+
+      const series = await getSeries(seriesId);
+
+      expect(series.template.title).to.equal('Weekly Seminar');
+      expect(series.occurrences.map(event => [event.date, event.title, event.allow_transfers]))
+        .to.deep.equal([['2030-01-01', 'Weekly Seminar', 1], ['2030-02-01', 'Weekly Seminar', 1]]);
+    });
+
+    it('should only show other users the occurrences that are public', async () => {
+      const stranger = { id: 'someone-else', role: 'attendee' };
+
+      await db.exec(
+        `UPDATE events SET status = 'draft' WHERE series_id = ? AND date = '2030-02-01'`,
+        [seriesId]
+      );
+
+      expect((await getSeries(seriesId, stranger)).occurrences.map(event => event.date)).to.deep.equal(['2030-01-01']);
+      expect((await getSeries(seriesId, { id: 'organizer', role: 'organizer' })).occurrences).to.have.length(2);
+      expect((await getSeries(seriesId, { id: 'admin-1', role: 'admin' })).occurrences).to.have.length(2);
+
+      await db.exec(`UPDATE events SET status = 'draft' WHERE series_id = ?`, [seriesId]);
+
+      expect(await getSeries(seriesId, stranger)).to.equal(null);
+    });
+  });
+});
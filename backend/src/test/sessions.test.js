@@ -0,0 +1,268 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../index.js';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { promoteSessionWaitlist, releaseSessionPicks } from '../services/waitlist.js';
+import { createTestUser, removeTestUsers } from './helpers.js';
+
+describe('Session waitlists', () => {
+  const eventId = crypto.randomUUID();
+  const sessionId = crypto.randomUUID();
+  const userIds = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+
+  const signUp = async (userId, status, registrationTime) => {
+    await db.exec(
+      `INSERT INTO session_registrations (id, session_id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [crypto.randomUUID(), sessionId, eventId, userId, status, registrationTime]
+    );
+  };
+
+  const statuses = async () => {
+    const rows = await db.query(
+      'SELECT user_id, status FROM session_registrations WHERE session_id = ?',
+      [sessionId]
+    );
+    return Object.fromEntries(rows.map(row => [row.user_id, row.status]));
+  };
+
+  const inTransaction = async (work) => {
+    await db.exec('BEGIN');
+    const result = await work();
+    await db.exec('COMMIT');
+    return result;
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Session Event', 'Description', '2030-01-01', 'Venue', 10, 'conference',
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+    await db.exec(
+      `INSERT INTO event_sessions (id, event_id, title, start_time, end_time, capacity, type)
+       VALUES (?, ?, 'Workshop', '2030-01-01T10:00:00Z', '2030-01-01T11:00:00Z', 1, 'workshop')`,
+      [sessionId, eventId]
+    );
+    for (const [index, id] of userIds.entries()) {
+      await db.exec(
+        `INSERT INTO users (id, name, email, password, role, status)
+         VALUES (?, ?, ?, 'hashedpass', 'attendee', 'active')`,
+        [id, `Attendee ${index}`, `${id}@test.com`]
+      );
+    }
+  });
+
+  beforeEach(async () => {
+    await signUp(userIds[0], 'confirmed', '2029-12-01 10:00:00');
+    await signUp(userIds[1], 'waitlist', '2029-12-01 11:00:00');
+    await signUp(userIds[2], 'waitlist', '2029-12-01 12:00:00');
+  });
+
+  afterEach(async () => {
+    await db.exec('UPDATE event_sessions SET capacity = 1 WHERE id = ?', [sessionId]);
+    await db.exec('DELETE FROM session_registrations WHERE session_id = ?', [sessionId]);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  after(async () => {
+    await db.exec(`DELETE FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`, userIds);
+    await db.exec('DELETE FROM event_sessions WHERE id = ?', [sessionId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+  });
+
+  it('should not promote anyone while the session is full', async () => {
+    const promoted = await inTransaction(() => promoteSessionWaitlist(sessionId));
+
+    expect(promoted).to.deep.equal([]);
+    expect(await statuses()).to.deep.equal({
+      [userIds[0]]: 'confirmed',
+      [userIds[1]]: 'waitlist',
+      [userIds[2]]: 'waitlist'
+    });
+  });
+
+  it('should give a freed place to the oldest waitlisted sign-up and email them', async () => {
+    await inTransaction(() => releaseSessionPicks(eventId, userIds[0]));
+
+    expect(await statuses()).to.deep.equal({
+      [userIds[1]]: 'confirmed',
+      [userIds[2]]: 'waitlist'
+    });
+
+    const emails = await db.query(
+      'SELECT to_email FROM email_outbox WHERE template = ?',
+      ['sessionWaitlistPromoted']
+    );
+    expect(emails.map(email => email.to_email)).to.deep.equal([`${userIds[1]}@test.com`]);
+  });
+
+  it('should fill places added by raising or removing the capacity', async () => {
+    await db.exec('UPDATE event_sessions SET capacity = 2 WHERE id = ?', [sessionId]);
+    const promoted = await inTransaction(() => promoteSessionWaitlist(sessionId));
+
+    expect(promoted.map(registration => registration.user_id)).to.deep.equal([userIds[1]]);
+
+    await db.exec('UPDATE event_sessions SET capacity = NULL WHERE id = ?', [sessionId]);
+    await inTransaction(() => promoteSessionWaitlist(sessionId));
+
+    expect(Object.values(await statuses())).to.deep.equal(['confirmed', 'confirmed', 'confirmed']);
+  });
+
+  it('should not free a place when a waitlisted user leaves', async () => {
+    await inTransaction(() => releaseSessionPicks(eventId, userIds[1]));
+
+    expect(await statuses()).to.deep.equal({
+      [userIds[0]]: 'confirmed',
+      [userIds[2]]: 'waitlist'
+    });
+  });
+});
+
+describe('Session routes', () => {
+  const eventId = crypto.randomUUID();
+  let organizer;
+  let attendees;
+
+  const session = (overrides) => ({
+    title: 'Opening Talk',
+    start_time: '2099-01-01T10:00:00Z',
+    end_time: '2099-01-01T11:00:00Z',
+    location: 'Hall A',
+    ...overrides
+  });
+
+  const addSession = (overrides, user = organizer) => request(app)
+    .post(`/api/events/${eventId}/sessions`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(session(overrides));
+
+  const signUp = (sessionId, user) => request(app)
+    .post(`/api/events/${eventId}/sessions/${sessionId}/register`)
+    .set('Authorization', `Bearer ${user.token}`);
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    organizer = await createTestUser('organizer', 'Organizer');
+    attendees = [await createTestUser('attendee', 'First'), await createTestUser('attendee', 'Second')];
+
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Session Event', 'Description', '2099-01-01', 'Venue', 10, 'conference',
+               ?, 'published', datetime('now'))`,
+      [eventId, organizer.id]
+    );
+    for (const attendee of attendees) {
+      await db.exec(
+        `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+         VALUES (?, ?, ?, 'confirmed', CURRENT_TIMESTAMP)`,
+        [crypto.randomUUID(), eventId, attendee.id]
+      );
+    }
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM session_registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM event_sessions WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+    await removeTestUsers(organizer, ...attendees);
+  });
+
+  it('should let the organizer add and update sessions', async () => {
+    const created = await addSession({ speaker: 'Ada Lovelace', capacity: 20 });
+
+    expect(created.status).to.equal(201);
+    expect(created.body).to.include({ title: 'Opening Talk', speaker: 'Ada Lovelace', capacity: 20, type: 'talk' });
+
+    const updated = await request(app)
+      .put(`/api/events/${eventId}/sessions/${created.body.id}`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send(session({ title: 'Keynote', type: 'keynote', end_time: '2099-01-01T11:30:00Z' }));
+
+    expect(updated.status).to.equal(200);
+    expect(updated.body).to.include({ title: 'Keynote', type: 'keynote', end_time: '2099-01-01T11:30:00Z', promotedCount: 0 });
+
+    const listed = await request(app)
+      .get(`/api/events/${eventId}/sessions`)
+      .set('Authorization', `Bearer ${attendees[0].token}`);
+
+    expect(listed.body.map(row => row.title)).to.deep.equal(['Keynote']);
+  });
+
+  it('should refuse sessions off the event date, in a booked room or from another organizer', async () => {
+    const otherOrganizer = await createTestUser('organizer', 'Other Organizer');
+    await addSession();
+
+    const offDate = await addSession({ start_time: '2099-01-02T10:00:00Z', end_time: '2099-01-02T11:00:00Z' });
+    const roomClash = await addSession({ title: 'Clashing Talk', start_time: '2099-01-01T10:30:00Z', end_time: '2099-01-01T11:30:00Z' });
+    const backwards = await addSession({ end_time: '2099-01-01T09:00:00Z', location: 'Hall B' });
+    const notOwner = await addSession({ location: 'Hall B' }, otherOrganizer);
+
+    await removeTestUsers(otherOrganizer);
+
+    expect(offDate.status).to.equal(409);
+    expect(offDate.body.details[0]).to.include('event date');
+    expect(roomClash.status).to.equal(409);
+    expect(roomClash.body.details[0]).to.include('Hall A is already booked');
+    expect(backwards.status).to.equal(400);
+    expect(notOwner.status).to.equal(403);
+  });
+
+  it('should waitlist sign-ups for a full session and promote them when a place frees up', async () => {
+    const { body: workshop } = await addSession({ title: 'Workshop', type: 'workshop', capacity: 1 });
+
+    const first = await signUp(workshop.id, attendees[0]);
+    const second = await signUp(workshop.id, attendees[1]);
+
+    expect(first.body).to.include({ status: 'confirmed', position: null });
+    expect(second.body).to.include({ status: 'waitlist', position: 1 });
+    expect((await signUp(workshop.id, attendees[0])).status).to.equal(400);
+
+    const cancelled = await request(app)
+      .delete(`/api/events/${eventId}/sessions/${workshop.id}/register`)
+      .set('Authorization', `Bearer ${attendees[0].token}`);
+
+    expect(cancelled.body.promotedCount).to.equal(1);
+
+    const [promoted] = await db.query(
+      'SELECT status FROM session_registrations WHERE session_id = ? AND user_id = ?',
+      [workshop.id, attendees[1].id]
+    );
+    expect(promoted.status).to.equal('confirmed');
+  });
+
+  it('should refuse a pick that overlaps one already made, or without a seat at the event', async () => {
+    const { body: talk } = await addSession();
+    const { body: overlapping } = await addSession({
+      title: 'Parallel Track',
+      start_time: '2099-01-01T10:30:00Z',
+      end_time: '2099-01-01T11:30:00Z',
+      location: 'Hall B'
+    });
+    const { body: later } = await addSession({ title: 'Closing Talk', start_time: '2099-01-01T11:00:00Z', end_time: '2099-01-01T12:00:00Z' });
+
+    expect((await signUp(talk.id, attendees[0])).status).to.equal(200);
+
+    const clash = await signUp(overlapping.id, attendees[0]);
+    expect(clash.status).to.equal(409);
+    expect(clash.body.conflictingSession.id).to.equal(talk.id);
+
+    expect((await signUp(later.id, attendees[0])).status).to.equal(200);
+
+    const outsider = await createTestUser('attendee', 'Outsider');
+    const refused = await signUp(talk.id, outsider);
+    await removeTestUsers(outsider);
+
+    expect(refused.status).to.equal(403);
+  });
+});
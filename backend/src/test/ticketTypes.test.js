@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { getTicketTypes, resolveTicketType } from '../services/ticketTypes.js';
+import { promoteWaitlist } from '../services/waitlist.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Ticket types', () => {
+  const eventId = crypto.randomUUID();
+  const studentId = crypto.randomUUID();
+  const generalId = crypto.randomUUID();
+
+  const addRegistration = async (status, ticketType) => {
+    const id = crypto.randomUUID();
+    const userId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Holder', ?, 'hashedpass', 'attendee', 'active')`,
+      [userId, `holder-${userId}@test.com`]
+    );
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, ticket_type, registration_time)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [id, eventId, userId, status, ticketType]
+    );
+    return id;
+  };
+
+  const getStatus = async (id) => {
+    const [registration] = await db.query('SELECT status FROM registrations WHERE id = ?', [id]);
+    return registration.status;
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          ticket_price, organizer_id, status, created_at)
+       VALUES (?, 'Tiered Event', 'Description', '2030-01-01', 'Venue', 3, 'conference', 0,
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+    await db.exec(
+      `INSERT INTO ticket_types (id, event_id, name, price, quota, visibility, sort_order, created_at)
+       VALUES (?, ?, 'Student', 0, 1, 'public', 0, datetime('now')),
+              (?, ?, 'General', 0, NULL, 'hidden', 1, datetime('now'))`,
+      [studentId, eventId, generalId, eventId]
+    );
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM waitlist_promotions WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM ticket_types WHERE event_id = ?', [eventId]);
+    await db.exec("DELETE FROM users WHERE email LIKE 'holder-%@test.com'");
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  it('should report per-type counts and hide hidden types by default', async () => {
+    await addRegistration('confirmed', studentId);
+
+    const publicTypes = await getTicketTypes(eventId);
+    expect(publicTypes.map(type => type.name)).to.deep.equal(['Student']);
+    expect(publicTypes[0]).to.include({ sold: 1, available: 0, on_sale: true });
+
+    const allTypes = await getTicketTypes(eventId, { includeHidden: true });
+    expect(allTypes).to.have.length(2);
+    expect(allTypes[1].available).to.equal(null);
+  });
+
+  it('should default to the only public type and reject unknown ones', async () => {
+    expect((await resolveTicketType(eventId)).ticketType.id).to.equal(studentId);
+    expect((await resolveTicketType(eventId, generalId)).ticketType.id).to.equal(generalId);
+    expect((await resolveTicketType(eventId, 'missing')).error).to.equal('Ticket type not found');
+  });
+
+  it('should skip waitlisted registrations whose type has sold out', async () => {
+    await addRegistration('confirmed', studentId);
+    const soldOut = await addRegistration('waitlist', studentId);
+    const general = await addRegistration('waitlist', generalId);
+
+    await db.exec('BEGIN');
+    const promoted = await promoteWaitlist(eventId);
+    await db.exec('COMMIT');
+
+    expect(promoted.map(registration => registration.id)).to.deep.equal([general]);
+    expect(await getStatus(general)).to.equal('confirmed');
+    expect(await getStatus(soldOut)).to.equal('waitlist');
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from 'chai';
+import { generateKeyPairSync } from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../db/index.js';
+import {
+  checkInTicket,
+  getTicketKeys,
+  getVerificationKey,
+  reissueTicket,
+  revokeTicket,
+  signTicket,
+  verifyTicket
+} from '../services/tickets.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Tickets', () => {
+  const eventId = crypto.randomUUID();
+  const userId = crypto.randomUUID();
+  let registration;
+
+  const checkIn = async (token, forEvent = eventId) => {
+    await db.exec('BEGIN');
+    const result = await checkInTicket(forEvent, token);
+    await db.exec(result.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  };
+
+  before(async () => {
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Ticket Event', 'Description', '2030-01-01', 'Venue', 10, 'conference',
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+    await db.exec(
+      `INSERT INTO users (id, name, email, password, role, status)
+       VALUES (?, 'Ticket Holder', ?, 'hashedpass', 'attendee', 'active')`,
+      [userId, `${userId}@test.com`]
+    );
+  });
+
+  beforeEach(async () => {
+    registration = { id: crypto.randomUUID(), event_id: eventId, user_id: userId, ticket_version: 1 };
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, 'confirmed', CURRENT_TIMESTAMP)`,
+      [registration.id, eventId, userId]
+    );
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM ticket_revocations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM users WHERE id = ?', [userId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+  });
+
+  describe('checkInTicket', () => {
+    it('should check in a valid ticket once', async () => {
+      const token = signTicket(registration);
+
+      const first = await checkIn(` ${token}\n`);
+      const [row] = await db.query('SELECT status, check_in_time FROM registrations WHERE id = ?', [registration.id]);
+
+      expect(first.registration).to.include({ id: registration.id, name: 'Ticket Holder' });
+      expect(row).to.deep.equal({ status: 'attended', check_in_time: first.checkInTime });
+
+      const second = await checkIn(token);
+
+      expect(second).to.deep.equal({
+        status: 409,
+        error: 'Ticket has already been checked in',
+        code: 'ALREADY_CHECKED_IN',
+        checkInTime: first.checkInTime
+      });
+    });
+
+    it('should refuse a revoked ticket', async () => {
+      const token = signTicket(registration);
+      await revokeTicket(registration, 'lost');
+      await db.exec('UPDATE registrations SET ticket_version = 2 WHERE id = ?', [registration.id]);
+
+      expect((await checkIn(token)).code).to.equal('REVOKED');
+
+      const [row] = await db.query('SELECT status, check_in_time FROM registrations WHERE id = ?', [registration.id]);
+      expect(row).to.deep.equal({ status: 'confirmed', check_in_time: null });
+    });
+
+    it('should refuse tickets for another event or a registration that is not confirmed', async () => {
+      const token = signTicket(registration);
+
+      expect((await checkIn(token, crypto.randomUUID())).code).to.equal('WRONG_EVENT');
+
+      await db.exec(`UPDATE registrations SET status = 'waitlist' WHERE id = ?`, [registration.id]);
+      expect((await checkIn(token)).code).to.equal('WAITLISTED');
+
+      await db.exec(`UPDATE registrations SET status = 'cancelled' WHERE id = ?`, [registration.id]);
+      expect((await checkIn(token)).code).to.equal('CANCELLED');
+
+      expect((await checkIn(signTicket({ ...registration, id: crypto.randomUUID() }))).code).to.equal('UNKNOWN_TICKET');
+    });
+  });
+
+  describe('signing', () => {
+    const keys = ['TICKET_SECRET', 'TICKET_PRIVATE_KEY', 'TICKET_PUBLIC_KEY', 'JWT_SECRET'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+
+    afterEach(() => {
+      for (const key of keys) {
+        if (saved[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = saved[key];
+        }
+      }
+    });
+
+    it('should reject tampered and forged tokens', () => {
+      const token = signTicket(registration);
+      const [header, , signature] = token.split('.');
+      const claims = Buffer.from(JSON.stringify({ ...verifyTicket(token), rid: crypto.randomUUID() })).toString('base64url');
+
+      expect(verifyTicket(token)).to.include({ eid: eventId, rid: registration.id, uid: userId, ver: 1 });
+      expect(verifyTicket(`${header}.${claims}.${signature}`)).to.equal(null);
+      expect(verifyTicket(jwt.sign({ typ: 'ticket', rid: registration.id }, 'some-other-secret'))).to.equal(null);
+      expect(verifyTicket(jwt.sign({ id: userId }, process.env.TICKET_SECRET))).to.equal(null);
+      expect(verifyTicket('not-a-ticket')).to.equal(null);
+    });
+
+    it('should not sign tickets with the session secret', () => {
+      delete process.env.TICKET_SECRET;
+      expect(() => signTicket(registration)).to.throw('not configured');
+
+      process.env.TICKET_SECRET = 'shared-secret';
+      process.env.JWT_SECRET = 'shared-secret';
+      expect(() => signTicket(registration)).to.throw('must differ');
+    });
+
+    it('should let the public key verify tickets and refuse ones signed with the secret', () => {
+      const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const hmacToken = signTicket(registration);
+
+      process.env.TICKET_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+      process.env.TICKET_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+      const token = signTicket(registration);
+
+      expect(getTicketKeys().algorithm).to.equal('ES256');
+      expect(getVerificationKey().publicKey).to.equal(process.env.TICKET_PUBLIC_KEY);
+      expect(jwt.verify(token, process.env.TICKET_PUBLIC_KEY, { algorithms: ['ES256'] }).rid).to.equal(registration.id);
+      expect(verifyTicket(hmacToken)).to.equal(null);
+    });
+  });
+
+  describe('reissueTicket', () => {
+    it('should revoke the old ticket and check in only the new one', async () => {
+      const oldToken = signTicket(registration);
+
+      await db.exec('BEGIN');
+      const qrCode = await reissueTicket(registration.id, 'leaked');
+      await db.exec('COMMIT');
+
+      const [row] = await db.query('SELECT ticket_version, qr_code FROM registrations WHERE id = ?', [registration.id]);
+      const revocations = await db.query(
+        'SELECT ticket_version, reason FROM ticket_revocations WHERE registration_id = ?',
+        [registration.id]
+      );
+
+      expect(row).to.deep.equal({ ticket_version: 2, qr_code: qrCode });
+      expect(revocations).to.deep.equal([{ ticket_version: 1, reason: 'leaked' }]);
+
+      expect((await checkIn(oldToken)).code).to.equal('REVOKED');
+      expect((await checkIn(signTicket({ ...registration, ticket_version: 2 }))).registration.id).to.equal(registration.id);
+    });
+  });
+});
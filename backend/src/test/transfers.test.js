@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { acceptTransfer } from '../services/transfers.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Ticket transfers', () => {
+  const eventId = crypto.randomUUID();
+  const holderId = crypto.randomUUID();
+  const recipient = { id: crypto.randomUUID(), name: 'Recipient' };
+  let registrationId;
+
+  const offerTransfer = async () => {
+    const id = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO ticket_transfers (
+        id, registration_id, event_id, from_user_id, to_email, status, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, 'recipient@test.com', 'pending', CURRENT_TIMESTAMP, datetime('now', '+1 day'))`,
+      [id, registrationId, eventId, holderId]
+    );
+    const [transfer] = await db.query('SELECT * FROM ticket_transfers WHERE id = ?', [id]);
+    return transfer;
+  };
+
+  const accept = async (transfer) => {
+    await db.exec('BEGIN');
+    const result = await acceptTransfer(transfer, recipient);
+    await db.exec(result.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Transfer Event', 'Description', '2030-01-01', 'Venue', 10, 'conference',
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+    for (const [id, name] of [[holderId, 'Holder'], [recipient.id, recipient.name]]) {
+      await db.exec(
+        `INSERT INTO users (id, name, email, password, role, status)
+         VALUES (?, ?, ?, 'hashedpass', 'attendee', 'active')`,
+        [id, name, `${name.toLowerCase()}@test.com`]
+      );
+    }
+  });
+
+  beforeEach(async () => {
+    registrationId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, 'confirmed', CURRENT_TIMESTAMP)`,
+      [registrationId, eventId, holderId]
+    );
+  });
+
+  afterEach(async () => {
+    await db.exec('UPDATE events SET allow_transfers = 1 WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM ticket_transfers WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM ticket_revocations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM users WHERE id IN (?, ?)', [holderId, recipient.id]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  it('should move the registration and reissue its ticket', async () => {
+    const transfer = await offerTransfer();
+
+    const { qrCode } = await accept(transfer);
+    const [registration] = await db.query('SELECT * FROM registrations WHERE id = ?', [registrationId]);
+    const revocations = await db.query('SELECT * FROM ticket_revocations WHERE registration_id = ?', [registrationId]);
+    const [accepted] = await db.query('SELECT * FROM ticket_transfers WHERE id = ?', [transfer.id]);
+
+    expect(qrCode).to.match(/^data:image\/png;base64,/);
+    expect(registration.user_id).to.equal(recipient.id);
+    expect(registration.ticket_version).to.equal(2);
+    expect(revocations).to.have.length(1);
+    expect(revocations[0].reason).to.equal('transferred');
+    expect(accepted).to.include({ status: 'accepted', to_user_id: recipient.id });
+  });
+
+  it('should refuse when the organizer has turned transfers off', async () => {
+    const transfer = await offerTransfer();
+    await db.exec('UPDATE events SET allow_transfers = 0 WHERE id = ?', [eventId]);
+
+    expect(await accept(transfer)).to.deep.equal({ status: 403, error: 'Transfers are not allowed for this event' });
+  });
+
+  it('should refuse once the holder has cancelled', async () => {
+    const transfer = await offerTransfer();
+    await db.exec(`UPDATE registrations SET status = 'cancelled' WHERE id = ?`, [registrationId]);
+
+    expect((await accept(transfer)).status).to.equal(409);
+  });
+});
@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { parseCsv, parseCsvRecords } from '../services/csv.js';
+import { acceptInvitation, createInvitation, findInvitation } from '../services/invitations.js';
+
+describe('User import', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields, CRLF line endings and blank lines', () => {
+      const rows = parseCsv('\uFEFFname,email\r\n"Lovelace, Ada",ada@test.com\r\n\r\n"Say ""hi""\nthere",x@test.com\n');
+
+      expect(rows).to.deep.equal([
+        { line: 1, cells: ['name', 'email'] },
+        { line: 2, cells: ['Lovelace, Ada', 'ada@test.com'] },
+        { line: 4, cells: ['Say "hi"\nthere', 'x@test.com'] }
+      ]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('name\n"Ada')).to.throw('line 2');
+    });
+
+    it('should key records by lower-cased header and fill missing cells', () => {
+      const { columns, records } = parseCsvRecords(' Name ,EMAIL,Role\nAda, ada@test.com \n');
+
+      expect(columns).to.deep.equal(['name', 'email', 'role']);
+      expect(records).to.deep.equal([{ line: 2, values: { name: 'Ada', email: 'ada@test.com', role: '' } }]);
+    });
+  });
+
+  describe('invitations', () => {
+    const userId = crypto.randomUUID();
+
+    before(async () => {
+      await db.exec(
+        `INSERT INTO users (id, name, email, password, role, status, created_at)
+         VALUES (?, 'Invited User', ?, '', 'vendor', 'invited', CURRENT_TIMESTAMP)`,
+        [userId, `${userId}@test.com`]
+      );
+    });
+
+    after(async () => {
+      await db.exec('DELETE FROM user_invitations WHERE user_id = ?', [userId]);
+      await db.exec('DELETE FROM email_outbox WHERE to_email = ?', [`${userId}@test.com`]);
+      await db.exec('DELETE FROM users WHERE id = ?', [userId]);
+    });
+
+    it('should email a link that replaces earlier invitations', async () => {
+      const first = await createInvitation(userId);
+      const second = await createInvitation(userId);
+
+      expect(await findInvitation(first.token)).to.equal(null);
+      expect((await findInvitation(second.token)).email).to.equal(`${userId}@test.com`);
+
+      const emails = await db.query(
+        'SELECT payload FROM email_outbox WHERE to_email = ? AND template = ?',
+        [`${userId}@test.com`, 'accountInvitation']
+      );
+      expect(emails).to.have.length(2);
+      expect(JSON.parse(emails[1].payload).inviteUrl).to.match(new RegExp(`/invitations/${second.token}$`));
+    });
+
+    it('should send the link in the email the caller picks', async () => {
+      const event = { id: 'event-1', title: 'Team Offsite', date: '2099-01-01', location: 'HQ' };
+      const { token } = await createInvitation(userId, null, {
+        template: 'groupRegistrationInvite',
+        data: { event, registeredBy: 'Team Lead' }
+      });
+
+      const [email] = await db.query(
+        'SELECT payload FROM email_outbox WHERE to_email = ? AND template = ?',
+        [`${userId}@test.com`, 'groupRegistrationInvite']
+      );
+      const payload = JSON.parse(email.payload);
+      expect(payload.registeredBy).to.equal('Team Lead');
+      expect(payload.inviteUrl).to.match(new RegExp(`/invitations/${token}$`));
+    });
+
+    it('should set the password and activate the user once', async () => {
+      const { token } = await createInvitation(userId);
+
+      await acceptInvitation(await findInvitation(token), 'hashed-password');
+
+      const [user] = await db.query('SELECT password, status FROM users WHERE id = ?', [userId]);
+      expect(user).to.deep.equal({ password: 'hashed-password', status: 'active' });
+      expect(await findInvitation(token)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../index.js';
+import db from '../db/index.js';
+import { createTestUser, removeTestUsers } from './helpers.js';
+
+describe('Vendor rating routes', () => {
+  const eventId = crypto.randomUUID();
+  const boothId = crypto.randomUUID();
+  let vendor;
+  let admin;
+  let buyers;
+  let browser;
+  let refunded;
+
+  const sell = async (buyer, status) => {
+    await db.exec(
+      `INSERT INTO sales_transactions (id, booth_id, product_id, buyer_id, quantity, unit_price, total_amount,
+                                       payment_method, status, transaction_time)
+       VALUES (?, ?, NULL, ?, 1, 10, 10, 'card', ?, CURRENT_TIMESTAMP)`,
+      [crypto.randomUUID(), boothId, buyer.id, status]
+    );
+  };
+
+  const rate = (user, body) => request(app)
+    .post(`/api/vendors/booths/${boothId}/ratings`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(body);
+
+  const summary = async () => {
+    const res = await request(app)
+      .get(`/api/vendors/booths/${boothId}/ratings`)
+      .set('Authorization', `Bearer ${browser.token}`);
+    return res.body;
+  };
+
+  before(async () => {
+    vendor = await createTestUser('vendor', 'Vendor');
+    admin = await createTestUser('admin', 'Admin');
+    buyers = [await createTestUser('attendee', 'Happy Buyer'), await createTestUser('attendee', 'Angry Buyer')];
+    browser = await createTestUser('attendee', 'Browser');
+    refunded = await createTestUser('attendee', 'Refunded');
+
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Trade Fair', 'Description', '2099-01-01', 'Venue', 10, 'conference',
+               ?, 'published', datetime('now'))`,
+      [eventId, admin.id]
+    );
+    await db.exec(
+      `INSERT INTO vendor_booths (id, event_id, vendor_id, booth_number, location, status, created_at)
+       VALUES (?, ?, ?, 'B1', 'Hall A', 'approved', CURRENT_TIMESTAMP)`,
+      [boothId, eventId, vendor.id]
+    );
+    await sell(buyers[0], 'completed');
+    await sell(buyers[1], 'completed');
+    await sell(refunded, 'refunded');
+  });
+
+  after(async () => {
+    await db.exec('DELETE FROM vendor_ratings WHERE booth_id = ?', [boothId]);
+    await db.exec('DELETE FROM sales_transactions WHERE booth_id = ?', [boothId]);
+    await db.exec('DELETE FROM vendor_booths WHERE id = ?', [boothId]);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+    await removeTestUsers(vendor, admin, ...buyers, browser, refunded);
+  });
+
+  it('should only let buyers with a completed sale rate the booth, once', async () => {
+    const fromBrowser = await rate(browser, { rating: 5 });
+    const fromRefunded = await rate(refunded, { rating: 1 });
+    const fromVendor = await rate(vendor, { rating: 5 });
+    const fromBuyer = await rate(buyers[0], { rating: 5, reviewText: 'Lovely mugs' });
+    const again = await rate(buyers[0], { rating: 4 });
+
+    expect(fromBrowser.status).to.equal(403);
+    expect(fromRefunded.status).to.equal(403);
+    expect(fromVendor.status).to.equal(403);
+    expect(fromBuyer.status).to.equal(201);
+    expect(again.status).to.equal(409);
+    expect(again.body.id).to.equal(fromBuyer.body.id);
+  });
+
+  it('should leave hidden ratings out of the booth average', async () => {
+    const { body: angry } = await rate(buyers[1], { rating: 1, reviewText: 'Rude staff' });
+
+    expect((await summary()).summary).to.deep.equal({ total_ratings: 2, average_rating: 3 });
+
+    const hidden = await request(app)
+      .put(`/api/admin/vendor-ratings/${angry.id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'hidden', reason: 'Personal attack' });
+
+    expect(hidden.status).to.equal(200);
+
+    const { summary: visible, reviews } = await summary();
+    expect(visible).to.deep.equal({ total_ratings: 1, average_rating: 5 });
+    expect(reviews.map(review => review.user_name)).to.deep.equal(['Happy Buyer']);
+
+    const edit = await request(app)
+      .put(`/api/vendors/booths/${boothId}/ratings`)
+      .set('Authorization', `Bearer ${buyers[1].token}`)
+      .send({ rating: 2 });
+
+    expect(edit.status).to.equal(403);
+  });
+
+  it('should reject moderation without a valid status', async () => {
+    const [rating] = await db.query('SELECT id FROM vendor_ratings WHERE booth_id = ? LIMIT 1', [boothId]);
+
+    const res = await request(app)
+      .put(`/api/admin/vendor-ratings/${rating.id}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ status: 'deleted' });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal('Validation error');
+  });
+});
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import db from '../db/index.js';
+import { createMemoryTransport, setTransport } from '../services/email/index.js';
+import { promoteWaitlist } from '../services/waitlist.js';
+
+// Tickets are signed with their own secret
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+
+describe('Event waitlist promotion', () => {
+  const eventId = crypto.randomUUID();
+  const holderId = crypto.randomUUID();
+  const firstInLine = crypto.randomUUID();
+  const secondInLine = crypto.randomUUID();
+  const userIds = [holderId, firstInLine, secondInLine];
+
+  const register = async (userId, status, registrationTime) => {
+    const id = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO registrations (id, event_id, user_id, status, registration_time)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, eventId, userId, status, registrationTime]
+    );
+    return id;
+  };
+
+  const getRegistration = async (userId) => {
+    const [registration] = await db.query(
+      'SELECT * FROM registrations WHERE event_id = ? AND user_id = ?',
+      [eventId, userId]
+    );
+    return registration;
+  };
+
+  const promote = async () => {
+    await db.exec('BEGIN');
+    const promoted = await promoteWaitlist(eventId);
+    await db.exec('COMMIT');
+    return promoted;
+  };
+
+  before(async () => {
+    setTransport(createMemoryTransport());
+    await db.exec(
+      `INSERT INTO events (id, title, description, date, location, capacity, category,
+                          organizer_id, status, created_at)
+       VALUES (?, 'Waitlist Event', 'Description', '2030-01-01', 'Venue', 1, 'conference',
+               'organizer', 'published', datetime('now'))`,
+      [eventId]
+    );
+    for (const [index, id] of userIds.entries()) {
+      await db.exec(
+        `INSERT INTO users (id, name, email, password, role, status)
+         VALUES (?, ?, ?, 'hashedpass', 'attendee', 'active')`,
+        [id, `Attendee ${index}`, `${id}@test.com`]
+      );
+    }
+  });
+
+  beforeEach(async () => {
+    await register(holderId, 'confirmed', '2029-12-01 10:00:00');
+    await register(secondInLine, 'waitlist', '2029-12-01 12:00:00');
+    await register(firstInLine, 'waitlist', '2029-12-01 11:00:00');
+  });
+
+  afterEach(async () => {
+    await db.exec('DELETE FROM waitlist_promotions WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM registrations WHERE event_id = ?', [eventId]);
+    await db.exec('DELETE FROM email_outbox');
+  });
+
+  after(async () => {
+    await db.exec(`DELETE FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`, userIds);
+    await db.exec('DELETE FROM events WHERE id = ?', [eventId]);
+  });
+
+  it('should leave the waitlist alone while the event is full', async () => {
+    expect(await promote()).to.deep.equal([]);
+    expect((await getRegistration(firstInLine)).status).to.equal('waitlist');
+  });
+
+  it('should confirm the oldest waitlisted registration when a seat frees up', async () => {
+    await db.exec(`UPDATE registrations SET status = 'cancelled' WHERE event_id = ? AND user_id = ?`, [eventId, holderId]);
+
+    const promoted = await promote();
+    const registration = await getRegistration(firstInLine);
+
+    expect(promoted.map(row => row.user_id)).to.deep.equal([firstInLine]);
+    expect(registration.status).to.equal('confirmed');
+    expect(registration.qr_code).to.match(/^data:image\/png;base64,/);
+    expect((await getRegistration(secondInLine)).status).to.equal('waitlist');
+
+    const promotions = await db.query(
+      'SELECT registration_id, user_id FROM waitlist_promotions WHERE event_id = ?',
+      [eventId]
+    );
+    expect(promotions).to.deep.equal([{ registration_id: registration.id, user_id: firstInLine }]);
+
+    const [email] = await db.query(
+      'SELECT to_email, payload FROM email_outbox WHERE template = ?',
+      ['waitlistPromoted']
+    );
+    expect(email.to_email).to.equal(`${firstInLine}@test.com`);
+    expect(JSON.parse(email.payload).qrCode).to.equal(registration.qr_code);
+  });
+
+  it('should skip registrations whose ticket type has sold out', async () => {
+    const ticketTypeId = crypto.randomUUID();
+    await db.exec(
+      `INSERT INTO ticket_types (id, event_id, name, price, quota, created_at)
+       VALUES (?, ?, 'Workshop Pass', 0, 0, CURRENT_TIMESTAMP)`,
+      [ticketTypeId, eventId]
+    );
+    await db.exec(
+      'UPDATE registrations SET ticket_type = ? WHERE event_id = ? AND user_id = ?',
+      [ticketTypeId, eventId, firstInLine]
+    );
+    await db.exec(`UPDATE registrations SET status = 'cancelled' WHERE event_id = ? AND user_id = ?`, [eventId, holderId]);
+
+    const promoted = await promote();
+    await db.exec('DELETE FROM ticket_types WHERE id = ?', [ticketTypeId]);
+
+    expect(promoted.map(row => row.user_id)).to.deep.equal([secondInLine]);
+    expect((await getRegistration(firstInLine)).status).to.equal('waitlist');
+  });
+});